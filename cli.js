@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// cli.js - Headless entry point for batch guide creation (no Electron window required)
+//
+//   guide-creator split --profile 3212 --out /tmp/guides reel1.mov reel2.mov
+const path = require('path');
+const fs = require('fs');
+const { createSettingsStore } = require('./lib/settings');
+const { setLogSink } = require('./lib/logger');
+const { applyShotData } = require('./lib/sheet');
+const { providerConfig, createProvider } = require('./lib/metadata');
+const { createSheetCache, loadShotData } = require('./lib/sheetcache');
+const { analyzeFiles, processChapters, controlProcessing } = require('./lib/pipeline');
+const { getDefaultUserDataPath, resolveBinary } = require('./lib/paths');
+const { inspectMedia } = require('./lib/probe');
+const { loadPresets, resolvePreset, DEFAULT_PRESET_NAME } = require('./lib/presets');
+const { profileNaming } = require('./lib/naming');
+const { planChapters, exportPlan } = require('./lib/plan');
+const { VERSION_POLICIES, DEFAULT_VERSION_POLICY } = require('./lib/manifest');
+
+const USAGE = `Usage:
+  guide-creator split [options] <file> [file...]   Cut guides from the chapters of each file
+  guide-creator profiles [options]                 List the configured profiles
+  guide-creator presets [options]                  List the available encoding presets
+
+Options:
+  --profile <name>       Profile to use (default: the active profile)
+  --out <dir>            Output root (default: the profile's output root)
+  --test                 Use the profile's test root instead of its output root
+  --jobs <n>             Chapters to encode at once (default: the parallel jobs setting)
+  --preset <name>        Encoding preset (default: the profile's preset, then ${DEFAULT_PRESET_NAME})
+  --versions <policy>    new (next free version), overwrite (the latest version), or skip-identical
+                         (nothing for chapters unchanged since their last guide). Default: the profile's
+  --markers <source>     Chapter source: auto (default), embedded, or a marker file
+                         (CSV/TSV, FCP7 XML, FCPXML, EDL, WebVTT/SRT; single input only)
+  --no-sheet             Skip the shot data lookup and keep the chapter IDs as names
+  --no-update            Do not write durations back to the shot data provider
+  --dry-run              Print every output the run would write, then stop
+  --plan <file>          Save the plan of outputs as CSV, or JSON for a .json file
+  --bin-dir <dir>        Directory holding ffmpeg/ffprobe (default: ./bin, then PATH)
+  --settings-dir <dir>   Settings directory (default: the GUI's user data directory)
+  --verbose              Print the full processing log
+  --help                 Show this message`;
+
+const VALUE_OPTIONS = ['profile', 'out', 'jobs', 'preset', 'versions', 'markers', 'plan', 'bin-dir', 'settings-dir'];
+const FLAG_OPTIONS = ['test', 'no-sheet', 'no-update', 'dry-run', 'verbose', 'help'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (VALUE_OPTIONS.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new UsageError(`Option --${name} needs a value.`);
+            options[name] = value;
+        } else if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+        } else {
+            throw new UsageError(`Unknown option --${name}.`);
+        }
+    }
+    const [command, ...files] = positional;
+    return { command, options, files };
+}
+
+function createLogSink(logPath, verbose) {
+    return (message) => {
+        if (verbose || message.includes('[ERROR]') || message.includes('[WARNING]')) {
+            console.log(message);
+        }
+        try {
+            fs.appendFileSync(logPath, `${new Date().toISOString()} - ${message}\n`);
+        } catch (error) {
+            // The log file is best-effort; the console already has what matters.
+        }
+    };
+}
+
+async function runSplit(files, options, settingsStore, presets, sheetCache) {
+    if (files.length === 0) throw new UsageError('No input files given.');
+    const missing = files.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) throw new UsageError(`Input file(s) not found: ${missing.join(', ')}`);
+
+    const markerSource = options.markers || 'auto';
+    if (!['auto', 'embedded'].includes(markerSource)) {
+        if (files.length > 1) throw new UsageError('--markers <file> can only be used with a single input file.');
+        if (!fs.existsSync(markerSource)) throw new UsageError(`Marker file not found: ${markerSource}`);
+    }
+
+    const profile = settingsStore.getProfile(options.profile);
+    const presetName = options.preset || profile.preset || DEFAULT_PRESET_NAME;
+    try {
+        resolvePreset(presets, presetName);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const versionPolicy = options.versions || profile.versionPolicy || DEFAULT_VERSION_POLICY;
+    if (!VERSION_POLICIES.includes(versionPolicy)) {
+        throw new UsageError(`Unknown version policy "${versionPolicy}". Policies: ${VERSION_POLICIES.join(', ')}`);
+    }
+    const parallelJobs = options.jobs !== undefined ? parseInt(options.jobs, 10) : settingsStore.get().parallelJobs;
+    if (!(parallelJobs > 0)) throw new UsageError(`--jobs needs a positive number, got "${options.jobs}".`);
+    const baseDir = path.resolve(options.out || (options.test ? (profile.testRoot || profile.outputRoot) : profile.outputRoot));
+    const binDir = options['bin-dir'] || path.join(__dirname, 'bin');
+    const ffmpegPath = resolveBinary('ffmpeg', binDir);
+    const ffprobePath = resolveBinary('ffprobe', binDir);
+
+    console.log(`Profile: ${profile.name}`);
+    console.log(`Output:  ${baseDir}`);
+    console.log(`Preset:  ${presetName}`);
+    console.log(`Jobs:    ${parallelJobs}`);
+    console.log(`Versions: ${versionPolicy}`);
+
+    let failed = false;
+    const emit = (channel, payload) => {
+        if (channel === 'processing-error') {
+            console.error(`ERROR: ${payload}`);
+            failed = true;
+        }
+    };
+
+    const inputPaths = files.map(file => path.resolve(file));
+    const markerFiles = {};
+    inputPaths.forEach(file => {
+        markerFiles[file] = ['auto', 'embedded'].includes(markerSource) ? markerSource : path.resolve(markerSource);
+    });
+    const acceptedPaths = [];
+    for (const file of inputPaths) {
+        const check = await inspectMedia(ffprobePath, file, markerFiles[file]);
+        if (check.ok) {
+            acceptedPaths.push(file);
+        } else {
+            console.error(`Skipping ${path.basename(file)}: ${check.reason}`);
+            failed = true;
+        }
+    }
+    if (acceptedPaths.length === 0) return 1;
+
+    const chapters = await analyzeFiles(acceptedPaths, { ffprobePath, markerFiles }, emit);
+    console.log(`Found ${chapters.length} chapter(s) in ${acceptedPaths.length} file(s).`);
+    if (chapters.length === 0) return 1;
+
+    const provider = createProvider(providerConfig(profile));
+    if (!options['no-sheet']) {
+        try {
+            const sheet = await loadShotData(provider, chapters.map(chapter => chapter.title), sheetCache);
+            if (sheet.source === 'snapshot') {
+                console.error(`WARNING: ${provider.label} unreachable (${sheet.error}). Using the snapshot from ${sheet.fetchedAt}.`);
+            } else if (sheet.diff && sheet.diff.changed.length > 0) {
+                console.log(`${sheet.diff.changed.length} shot(s) changed in the sheet since the last run (see the log).`);
+            }
+            const matched = applyShotData(chapters, sheet.shotDataMap);
+            console.log(`Matched ${matched} of ${chapters.length} chapter(s) in ${provider.label}.`);
+        } catch (error) {
+            console.error(`WARNING: Sheet lookup failed (${error.message}). Using chapter IDs as names.`);
+        }
+    }
+    chapters.forEach(chapter => { chapter.originalTitle = chapter.originalTitle || chapter.title; });
+
+    const skipped = chapters.filter(chapter => chapter.skip);
+    if (skipped.length > 0) {
+        console.log(`Skipping ${skipped.length} chapter(s) marked SKIP in ${provider.label}: ${skipped.map(chapter => chapter.originalTitle).join(', ')}`);
+    }
+    const toProcess = chapters.filter(chapter => !chapter.skip);
+    if (toProcess.length === 0) {
+        console.log('Nothing left to process.');
+        return failed ? 1 : 0;
+    }
+
+    // The run executes this plan as-is, so what a dry run prints is what gets written.
+    let plan;
+    try {
+        plan = await planChapters(toProcess, { ffprobePath, baseDir, presets, presetName, naming: profileNaming(profile), versionPolicy });
+    } catch (error) {
+        console.error(`ERROR: Output naming: ${error.message}`);
+        return 1;
+    }
+    if (options.plan) {
+        exportPlan(plan, path.resolve(options.plan));
+        console.log(`Plan saved to ${path.resolve(options.plan)}`);
+    }
+    const planErrors = plan.entries.filter(entry => entry.error).length;
+    if (options['dry-run']) {
+        printPlan(plan);
+        const unchanged = plan.entries.filter(entry => !entry.error && entry.action === 'skip').length;
+        console.log(`Dry run: ${plan.entries.length - planErrors - unchanged} output(s) planned, ${unchanged} unchanged, ${planErrors} with errors. Nothing was written.`);
+        return failed || planErrors > 0 ? 1 : 0;
+    }
+
+    const sheetUpdates = [];
+    const byId = new Map(chapters.map(chapter => [chapter.id, chapter]));
+    // Chapters run in parallel, so each keeps the position it was started at.
+    const positions = new Map();
+    const processEmit = (channel, payload) => {
+        emit(channel, payload);
+        if (channel !== 'chapter-update') return;
+        const chapter = byId.get(payload.chapterId);
+        if (!positions.has(payload.chapterId)) {
+            positions.set(payload.chapterId, positions.size + 1);
+        }
+        const position = positions.get(payload.chapterId);
+        if (payload.status === 'Processing') {
+            console.log(`[${position}/${toProcess.length}] ${payload.finalName} ...`);
+        } else if (payload.status === 'Done') {
+            console.log(`[${position}/${toProcess.length}] Done: ${chapter.title} ${payload.durationSeconds}s / ${payload.durationFrames}f (v${String(payload.guide_version).padStart(3, '0')})`);
+            payload.qcWarnings.forEach(reason => console.error(`    QC warning: ${reason}`));
+            if (!options['no-update'] && provider.canReport) {
+                const durations = { durationFrames: payload.durationFrames, durationSeconds: payload.durationSeconds };
+                sheetUpdates.push(provider.reportResult(chapter.originalTitle, durations, payload.guide_version).then(result => {
+                    if (!result.success) console.error(`WARNING: Sheet update for ${chapter.originalTitle} failed: ${result.message}`);
+                }));
+            }
+        } else if (payload.status === 'QC Failed') {
+            console.error(`[${position}/${toProcess.length}] QC FAILED: ${chapter.title} (v${String(payload.guide_version).padStart(3, '0')})`);
+            payload.qcFailures.forEach(reason => console.error(`    ${reason}`));
+        } else if (payload.status === 'Skipped') {
+            console.log(`[${position}/${toProcess.length}] Unchanged: ${chapter.title} (v${String(payload.guide_version).padStart(3, '0')} kept)`);
+        } else if (payload.status === 'Error') {
+            console.error(`[${position}/${toProcess.length}] FAILED: ${chapter.title}`);
+        }
+    };
+
+    const processOptions = { ffmpegPath, ffprobePath, baseDir, presets, presetName, parallelJobs, naming: profileNaming(profile), plan };
+    process.on('SIGINT', () => {
+        console.error('Interrupted, stopping...');
+        controlProcessing('stop', emit);
+    });
+    const summary = await processChapters(toProcess, processOptions, processEmit);
+    await Promise.all(sheetUpdates);
+
+    console.log(`Finished: ${summary.done} done, ${summary.skipped} unchanged, ${summary.failed} failed${summary.stopped ? ', stopped early' : ''}.`);
+    return failed || summary.failed > 0 || summary.stopped ? 1 : 0;
+}
+
+function printPlan(plan) {
+    const time = seconds => (seconds === null ? '-' : seconds.toFixed(3));
+    plan.entries.forEach(entry => {
+        const target = entry.path ? path.relative(plan.baseDir, entry.path) : '-';
+        const action = { overwrite: ' (overwrite)', skip: ' (unchanged, skipped)' }[entry.action] || '';
+        const version = entry.version === null ? '' : ` v${String(entry.version).padStart(3, '0')}${action}`;
+        const range = entry.timecodeIn ? `${entry.timecodeIn}-${entry.timecodeOut}` : `${time(entry.startTime)}-${time(entry.endTime)}`;
+        console.log(`${path.basename(entry.source)}  ${entry.id}  ${range}  ${target}${version}  [${entry.preset}]`);
+        if (entry.error) console.error(`    ERROR: ${entry.error}`);
+        entry.warnings.forEach(warning => console.log(`    WARNING: ${warning}`));
+    });
+}
+
+function runProfiles(settingsStore) {
+    const settings = settingsStore.get();
+    Object.entries(settings.profiles).forEach(([name, profile]) => {
+        const marker = name === settings.activeProfile ? '*' : ' ';
+        console.log(`${marker} ${name}\t${profile.outputRoot}`);
+    });
+    return 0;
+}
+
+function runPresets(presets, settingsStore) {
+    const defaultName = settingsStore.getProfile().preset || DEFAULT_PRESET_NAME;
+    Object.values(presets).forEach(preset => {
+        const marker = preset.name === defaultName ? '*' : ' ';
+        console.log(`${marker} ${preset.name}\t${preset.extension}\t${preset.label || ''}`);
+    });
+    return 0;
+}
+
+async function main(argv) {
+    const { command, options, files } = parseArgs(argv);
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const settingsDir = options['settings-dir'] || getDefaultUserDataPath();
+    const settingsStore = createSettingsStore(settingsDir);
+    fs.mkdirSync(settingsDir, { recursive: true });
+    setLogSink(createLogSink(path.join(settingsDir, 'app.log'), options.verbose));
+
+    const presets = loadPresets(path.join(settingsDir, 'presets'));
+
+    if (command === 'split') return runSplit(files, options, settingsStore, presets, createSheetCache(settingsDir));
+    if (command === 'profiles') return runProfiles(settingsStore);
+    if (command === 'presets') return runPresets(presets, settingsStore);
+    throw new UsageError(`Unknown command "${command}".`);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+});
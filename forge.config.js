@@ -5,9 +5,11 @@ module.exports = {
     // Forge will automatically use .ico for Windows and .icns for macOS.
     icon: 'logo/logo',
     // Specifies an array of files or directories to be copied into the app's resources directory.
-    // This ensures your 'bin' directory with ffmpeg is included in the packaged app.
+    // This ensures your 'bin' directory with ffmpeg is included in the packaged app, and the
+    // 'fonts' the slate overlays are drawn with, which ffmpeg cannot read from inside the asar.
     extraResource: [
       'bin',
+      'fonts',
     ],
   },
   rebuildConfig: {},
@@ -0,0 +1,245 @@
+// lib/api.js - Local HTTP/JSON control API, so pipeline tools can drive the app without its window
+//
+//   GET  /api/status     whether a run is going, which one, and its progress
+//   POST /api/files      { files: [path, ...], profile?, markerFiles? } analyses the files and looks
+//                        the chapters up in the profile's shot list. Replaces the API's chapter list.
+//   GET  /api/chapters   the API's chapters, each with the status of its latest run
+//   POST /api/process    { chapterIds?, preset?, profile? } encodes the API's chapters (all those not
+//                        marked SKIP when no IDs are given). 202 once started, 409 while a run is going,
+//                        422 when it could not start (e.g. FFmpeg missing, unknown preset or profile).
+//   POST /api/control    { action: 'pause' | 'resume' | 'stop' }, as the window's PAUSE and STOP buttons
+//   GET  /api/events     Server-Sent Events: every log line and run event (chapter-update,
+//                        chapter-progress, batch-progress, processing-complete, ...), each as
+//                        { source, data } where `source` is the run's origin: 'app', 'api' or 'watch'
+//
+// The server only listens on 127.0.0.1, and every request needs "Authorization: Bearer <token>".
+// /api/events also takes ?token=<token>, for EventSource clients that cannot set headers.
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 15000;
+const CONTROL_ACTIONS = ['pause', 'resume', 'stop'];
+
+class ApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+function tokenMatches(given, token) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'Request body too large.'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body.trim()) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new ApiError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+}
+
+// The app's side of the API:
+//   analyze(filePaths, { profile, markerFiles })        resolves with the chapters, shot list applied
+//   process(chapters, { profile, preset }, emit)         starts a run; resolves with { done } once it is
+//                                                        going (`done` resolves with its summary), rejects
+//                                                        when it could not start
+//   control(action)                                     pauses, resumes or stops the run going
+//   status()                                            { processing, paused, run, lastRun }
+function createControlApi({ analyze, process, control, status }) {
+    let server = null;
+    let current = { port: 0, token: '' };
+    let chapters = []; // As analysed, handed to `process` unchanged
+    const states = new Map(); // chapter ID -> { status, percent, finalName, ... } of its latest run
+    const clients = new Set();
+    let heartbeat = null;
+
+    // Keeps the chapter states up to date from the events of the API's runs.
+    function applyEvent(channel, payload) {
+        const state = payload && states.get(payload.chapterId);
+        if (!state) return;
+        if (channel === 'chapter-update') {
+            state.status = payload.status;
+            if (payload.finalName) state.finalName = payload.finalName;
+            if (payload.durationFrames !== undefined) {
+                Object.assign(state, { durationFrames: payload.durationFrames, durationSeconds: payload.durationSeconds, version: payload.guide_version });
+            }
+            if (payload.qcFailures) state.qcFailures = payload.qcFailures;
+            if (payload.qcWarnings) state.qcWarnings = payload.qcWarnings;
+            if (payload.status === 'Done' || payload.status === 'QC Failed') state.percent = 100;
+        } else if (channel === 'chapter-progress') {
+            state.percent = payload.percent;
+        }
+    }
+
+    function describeChapter(chapter) {
+        const state = states.get(chapter.id);
+        return {
+            id: chapter.id,
+            title: chapter.title,
+            originalTitle: chapter.originalTitle,
+            sourceFile: chapter.sourceFile,
+            startTime: parseFloat(chapter.start_time),
+            endTime: parseFloat(chapter.end_time),
+            path: chapter.path || null,
+            skip: !!chapter.skip,
+            status: state.status,
+            percent: state.percent,
+            finalName: state.finalName || null,
+            version: state.version === undefined ? null : state.version,
+            durationFrames: state.durationFrames === undefined ? null : state.durationFrames,
+            durationSeconds: state.durationSeconds === undefined ? null : state.durationSeconds,
+            qcFailures: state.qcFailures || [],
+            qcWarnings: state.qcWarnings || [],
+        };
+    }
+
+    // Sends an event to every /api/events client.
+    function publish(channel, payload, source) {
+        if (clients.size === 0) return;
+        const message = `event: ${channel}\ndata: ${JSON.stringify({ source, data: payload === undefined ? null : payload })}\n\n`;
+        clients.forEach(res => res.write(message));
+    }
+
+    function openEventStream(req, res) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.write('retry: 3000\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        if (!heartbeat) {
+            heartbeat = setInterval(() => clients.forEach(client => client.write(': keep-alive\n\n')), HEARTBEAT_MS);
+            if (heartbeat.unref) heartbeat.unref();
+        }
+    }
+
+    async function route(req, res, url) {
+        const key = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+        if (key === 'GET /api/events') return openEventStream(req, res);
+        if (key === 'GET /api/status') return sendJson(res, 200, status());
+        if (key === 'GET /api/chapters') return sendJson(res, 200, { chapters: chapters.map(describeChapter) });
+
+        if (key === 'POST /api/files') {
+            const body = await readJsonBody(req);
+            if (!Array.isArray(body.files) || body.files.length === 0 || !body.files.every(file => typeof file === 'string')) {
+                throw new ApiError(400, '"files" must list the paths of the movies to analyse.');
+            }
+            if (status().processing) throw new ApiError(409, 'A run is going. Submit files when it has finished.');
+            try {
+                chapters = await analyze(body.files, { profile: body.profile, markerFiles: body.markerFiles || {} });
+            } catch (error) {
+                throw new ApiError(422, error.message);
+            }
+            states.clear();
+            chapters.forEach(chapter => states.set(chapter.id, { status: chapter.skip ? 'Skipped' : 'Ready', percent: 0 }));
+            return sendJson(res, 200, { chapters: chapters.map(describeChapter) });
+        }
+
+        if (key === 'POST /api/process') {
+            const body = await readJsonBody(req);
+            if (status().processing) throw new ApiError(409, 'A run is already going.');
+            let selected = chapters.filter(chapter => !chapter.skip);
+            if (body.chapterIds !== undefined) {
+                if (!Array.isArray(body.chapterIds)) throw new ApiError(400, '"chapterIds" must be a list.');
+                const unknown = body.chapterIds.filter(id => !chapters.some(chapter => chapter.id === id));
+                if (unknown.length > 0) throw new ApiError(404, `Unknown chapter(s): ${unknown.join(', ')}`);
+                selected = chapters.filter(chapter => body.chapterIds.includes(chapter.id));
+            }
+            if (selected.length === 0) throw new ApiError(400, 'No chapters to process. Submit files first.');
+            // Queued before the run starts, so the updates it sends from the start land on these
+            // states; put back when it cannot start.
+            const previous = selected.map(chapter => [chapter.id, states.get(chapter.id)]);
+            selected.forEach(chapter => states.set(chapter.id, { status: 'Queued', percent: 0 }));
+            let run;
+            try {
+                run = await process(selected, { profile: body.profile, preset: body.preset }, applyEvent);
+            } catch (error) {
+                previous.forEach(([id, state]) => states.set(id, state));
+                // Another run (a watch folder's) may have taken the slot since the check above.
+                throw new ApiError(status().processing ? 409 : 422, error.message);
+            }
+            run.done.catch(error => log(`[ERROR] API run failed: ${error.message}`));
+            return sendJson(res, 202, { started: selected.length, chapterIds: selected.map(chapter => chapter.id) });
+        }
+
+        if (key === 'POST /api/control') {
+            const body = await readJsonBody(req);
+            if (!CONTROL_ACTIONS.includes(body.action)) throw new ApiError(400, `"action" is one of ${CONTROL_ACTIONS.join(', ')}.`);
+            if (!status().processing) throw new ApiError(409, 'Nothing is processing.');
+            await control(body.action);
+            return sendJson(res, 200, status());
+        }
+        throw new ApiError(404, `No such endpoint: ${req.method} ${url.pathname}`);
+    }
+
+    async function handle(req, res) {
+        try {
+            // Only local clients; a Host header naming another site means a page tried to rebind to us.
+            if (!/^(127\.0\.0\.1|localhost)(:\d+)?$/i.test(req.headers.host || '')) throw new ApiError(403, 'Forbidden host.');
+            const url = new URL(req.url, `http://${HOST}`);
+            const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+            const given = bearer || (url.pathname === '/api/events' ? url.searchParams.get('token') : '');
+            if (!tokenMatches(given, current.token)) throw new ApiError(401, 'Missing or wrong API token.');
+            await route(req, res, url);
+        } catch (error) {
+            if (!(error instanceof ApiError)) log(`[ERROR] Control API: ${req.method} ${req.url}: ${error.message}`);
+            if (!res.headersSent) sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    function stop() {
+        if (heartbeat) clearInterval(heartbeat);
+        heartbeat = null;
+        clients.forEach(res => res.end());
+        clients.clear();
+        if (server) server.close();
+        server = null;
+    }
+
+    // Listens on `port` with `token`, or stops listening when the port is 0. Restarts only on a change.
+    function configure({ port, token }) {
+        if (port === current.port && token === current.token && (server || !port)) return;
+        stop();
+        current = { port, token };
+        if (!port) return;
+        if (!token) {
+            log('[ERROR] The control API needs a token. Not starting it.');
+            return;
+        }
+        server = http.createServer(handle);
+        server.on('error', (error) => {
+            log(`[ERROR] Control API could not listen on ${HOST}:${port}: ${error.message}`);
+            server = null;
+        });
+        server.listen(port, HOST, () => log(`Control API listening on http://${HOST}:${port}/api`));
+    }
+
+    return { configure, stop, publish };
+}
+
+module.exports = { createControlApi, CONTROL_ACTIONS };
@@ -0,0 +1,165 @@
+// lib/audio.js - Guide audio: stream selection and downmix, handle audio, boundary fades and loudness
+//
+// Besides the encoder settings (lib/presets.js), a preset's "audio" section takes:
+//   streams   source audio streams to use, by their order among the audio streams (default [0]).
+//             Several streams, e.g. the mono stems of an MXF master, are merged into one signal.
+//   downmix   a channel rule for that signal: 'itu-stereo' (5.1 in L R C LFE Ls Rs order to Lo/Ro),
+//             'front-pair' (the first two channels), 'mono' (all channels summed), or a pan filter
+//             spec such as "stereo|c0=c2|c1=c3". Without one, ffmpeg's own -ac matrix applies.
+//   handles   'source' (default) for the neighbouring audio under the holds, 'silence' for none. A
+//             chapter at the very start or end of its reel gets silence there either way.
+//   fadeMs    fade in and out where the source audio is cut, against clicks (default 0, no fades)
+//   loudness  { standard, integrated, truePeak, range }: two-pass loudnorm over the whole guide.
+//             `standard` is 'ebu-r128' or 'atsc-a85' and sets the targets not given.
+const { log } = require('./logger');
+
+const HANDLE_MODES = ['source', 'silence'];
+
+const LOUDNESS_STANDARDS = {
+    'ebu-r128': { integrated: -23, truePeak: -1, range: 20 },
+    'atsc-a85': { integrated: -24, truePeak: -2, range: 20 },
+};
+
+// Named downmix rules: the pan spec for a source of `channels` channels, or null when they do not apply.
+const DOWNMIX_RULES = {
+    'itu-stereo': channels => (channels >= 6 ? 'stereo|c0=c0+0.707*c2+0.707*c4|c1=c1+0.707*c2+0.707*c5' : null),
+    'front-pair': channels => (channels >= 2 ? 'stereo|c0=c0|c1=c1' : null),
+    mono: channels => `mono|c0=${Array.from({ length: channels }, (_, i) => `${(1 / channels).toFixed(4)}*c${i}`).join('+')}`,
+};
+
+// Problems with a preset's "audio" options, as readable strings (lib/presets.js reports them).
+function validateAudioOptions(audio) {
+    const problems = [];
+    if (audio.streams !== undefined && !(Array.isArray(audio.streams) && audio.streams.length > 0 && audio.streams.every(i => Number.isInteger(i) && i >= 0))) {
+        problems.push('"audio.streams" must list audio stream numbers, counting from 0');
+    }
+    if (audio.downmix !== undefined && !(DOWNMIX_RULES[audio.downmix] || (typeof audio.downmix === 'string' && audio.downmix.includes('|')))) {
+        problems.push(`"audio.downmix" is one of ${Object.keys(DOWNMIX_RULES).join(', ')}, or a pan spec like "stereo|c0=c0|c1=c1"`);
+    }
+    if (audio.handles !== undefined && !HANDLE_MODES.includes(audio.handles)) {
+        problems.push(`"audio.handles" is one of ${HANDLE_MODES.join(', ')}`);
+    }
+    if (audio.fadeMs !== undefined && !(typeof audio.fadeMs === 'number' && audio.fadeMs >= 0)) {
+        problems.push('"audio.fadeMs" must be a number of milliseconds');
+    }
+    const loudness = audio.loudness;
+    if (loudness !== undefined && loudness !== null) {
+        if (!LOUDNESS_STANDARDS[loudness.standard]) {
+            problems.push(`"audio.loudness.standard" is one of ${Object.keys(LOUDNESS_STANDARDS).join(', ')}`);
+        }
+        for (const key of ['integrated', 'truePeak', 'range']) {
+            if (loudness[key] !== undefined && typeof loudness[key] !== 'number') problems.push(`"audio.loudness.${key}" must be a number`);
+        }
+    }
+    return problems;
+}
+
+// The loudness targets of a preset, or null when it does not normalise.
+function loudnessTarget(audio) {
+    if (!audio || !audio.loudness) return null;
+    const { standard, ...overrides } = audio.loudness;
+    return { standard, ...LOUDNESS_STANDARDS[standard], ...overrides };
+}
+
+// The source audio streams the preset asks for, falling back to the first one when none of them exist.
+function selectAudioStreams(audio, videoInfo) {
+    const audioStreams = videoInfo.streams.filter(s => s.codec_type === 'audio');
+    const wanted = (audio.streams || [0]).filter(i => {
+        if (audioStreams[i]) return true;
+        log(`[WARNING] The source has no audio stream ${i} (it has ${audioStreams.length}). Leaving it out.`);
+        return false;
+    });
+    return wanted.length > 0 ? wanted.map(i => audioStreams[i]) : audioStreams.slice(0, 1);
+}
+
+function panSpec(audio, channels) {
+    if (!audio.downmix) return null;
+    if (!DOWNMIX_RULES[audio.downmix]) return audio.downmix;
+    const spec = DOWNMIX_RULES[audio.downmix](channels);
+    if (!spec) log(`[WARNING] Downmix "${audio.downmix}" does not fit a ${channels}-channel source. Using ffmpeg's default downmix.`);
+    return spec;
+}
+
+// The loudnorm filter: the first pass prints its measurement, the second applies it linearly. loudnorm
+// works at 192 kHz, hence the resample back.
+function loudnormFilter(target, measured, sampleRate) {
+    const options = [`I=${target.integrated}`, `TP=${target.truePeak}`, `LRA=${target.range}`];
+    if (measured === undefined) return `loudnorm=${options.join(':')}:print_format=json`;
+    if (measured) {
+        options.push(
+            `measured_I=${measured.integrated}`, `measured_TP=${measured.truePeak}`, `measured_LRA=${measured.range}`,
+            `measured_thresh=${measured.threshold}`, `offset=${measured.offset}`, 'linear=true'
+        );
+    }
+    return `loudnorm=${options.join(':')},aresample=${sampleRate}`;
+}
+
+// The audio filter chain of a guide: the chapter's source audio plus either neighbouring audio or
+// silence for each hold, remapped, faded and normalised. Returns `chain(outLabel, measured)`, which
+// writes the chain ending in `[outLabel]`. `measured` is the loudness measurement for the second
+// pass, undefined for the measuring pass, or null to normalise in a single (dynamic) pass when no
+// measurement could be made.
+function createAudioGraph(audio, { videoInfo, startTime, endTime, holdDuration, frameDuration }) {
+    const streams = selectAudioStreams(audio, videoInfo);
+    const sampleRate = parseInt(streams[0].sample_rate, 10) || 48000;
+    const channels = streams.reduce((sum, s) => sum + (s.channels || 2), 0);
+    const sourceDuration = parseFloat(videoInfo.format.duration);
+
+    // The source audio is cut once, handles included where they carry neighbouring audio.
+    const withSourceHandles = holdDuration > 0 && (audio.handles || 'source') === 'source';
+    const prefixFromSource = withSourceHandles && startTime >= holdDuration;
+    const suffixFromSource = withSourceHandles && !(endTime > sourceDuration - frameDuration);
+    const cutStart = prefixFromSource ? startTime - holdDuration : startTime;
+    const cutEnd = suffixFromSource ? Math.min(sourceDuration, endTime + holdDuration) : endTime;
+
+    const inputs = streams.map(s => `[0:${s.index}]`).join('');
+    const filters = [];
+    if (streams.length > 1) filters.push(`amerge=inputs=${streams.length}`);
+    filters.push(`atrim=start=${cutStart}:end=${cutEnd}`, 'asetpts=PTS-STARTPTS');
+    const pan = panSpec(audio, channels);
+    if (pan) filters.push(`pan=${pan}`);
+    const fade = Math.min((audio.fadeMs || 0) / 1000, (cutEnd - cutStart) / 2);
+    if (fade > 0) filters.push(`afade=t=in:st=0:d=${fade}`, `afade=t=out:st=${cutEnd - cutStart - fade}:d=${fade}`);
+    // Holds without neighbouring audio are silence before and after the cut.
+    const holdSamples = Math.round(holdDuration * sampleRate);
+    if (holdSamples > 0 && !prefixFromSource) filters.push(`adelay=delays=${holdSamples}S:all=1`);
+    if (holdSamples > 0 && !suffixFromSource) filters.push(`apad=pad_len=${holdSamples}`);
+    const target = loudnessTarget(audio);
+
+    return (outLabel, measured) => {
+        const chain = target ? [...filters, loudnormFilter(target, measured, sampleRate)] : filters;
+        return `${inputs}${chain.join(',')}[${outLabel}]`;
+    };
+}
+
+// Reads loudnorm's measurement (print_format=json) from ffmpeg's stderr. Returns
+// { integrated, truePeak, range, threshold, offset }, or null when there is none.
+function parseLoudnessMeasurement(stderr) {
+    const start = stderr.lastIndexOf('"input_i"');
+    if (start < 0) return null;
+    const open = stderr.lastIndexOf('{', start);
+    const close = stderr.indexOf('}', start);
+    if (open < 0 || close < 0) return null;
+    try {
+        const values = JSON.parse(stderr.slice(open, close + 1));
+        const measured = {
+            integrated: parseFloat(values.input_i),
+            truePeak: parseFloat(values.input_tp),
+            range: parseFloat(values.input_lra),
+            threshold: parseFloat(values.input_thresh),
+            offset: parseFloat(values.target_offset),
+        };
+        return Object.values(measured).every(isFinite) ? measured : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    HANDLE_MODES,
+    LOUDNESS_STANDARDS,
+    validateAudioOptions,
+    loudnessTarget,
+    createAudioGraph,
+    parseLoudnessMeasurement,
+};
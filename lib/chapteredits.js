@@ -0,0 +1,156 @@
+// lib/chapteredits.js - In/out, name, split and merge edits made in the window's chapter list
+//
+// In/out points are edited in source frames: IN is the first frame of the guide and OUT the last, as
+// FRAME_IN / FRAME_OUT in the shot list. Every change is kept in the chapter's `edits`, with the
+// analysed marker in `marker`, and travels with the chapter into the job journal and the output
+// manifest. A split's second part keeps its parent's row in the shot list as `sheetId` and is marked
+// with `splitFrom`: its names and outputs are its own, but it has no row to report to.
+
+function chapterFrameRate(chapter) {
+    return chapter.frameRate > 0 ? chapter.frameRate : 25;
+}
+
+// The chapter's first and last source frame, as processing will cut it (see resolveChapterTimes).
+function chapterFrames(chapter) {
+    const frameRate = chapterFrameRate(chapter);
+    let start = parseFloat(chapter.start_time);
+    let end = parseFloat(chapter.end_time);
+    if (!chapter.timesEdited) {
+        if (Number.isInteger(chapter.frameIn)) start = chapter.frameIn / frameRate;
+        if (Number.isInteger(chapter.frameOut)) end = (chapter.frameOut + 1) / frameRate;
+    }
+    const inFrame = Math.round(start * frameRate);
+    return { inFrame, outFrame: Math.max(inFrame, Math.round(end * frameRate) - 1) };
+}
+
+function recordEdit(chapter, edit) {
+    // The marker as analysed, kept from before the first edit
+    chapter.marker = chapter.marker || { title: chapter.originalTitle || chapter.title, start_time: chapter.start_time, end_time: chapter.end_time };
+    chapter.edits = chapter.edits || [];
+    const at = new Date().toISOString();
+    const last = chapter.edits[chapter.edits.length - 1];
+    if (edit.type === 'trim' && last && last.type === 'trim' && last.point === edit.point) {
+        // A run of nudges on the same point is one edit
+        Object.assign(last, { to: edit.to, at });
+    } else {
+        chapter.edits.push({ ...edit, at });
+    }
+}
+
+function applyFrames(chapter, inFrame, outFrame) {
+    const frameRate = chapterFrameRate(chapter);
+    chapter.start_time = (inFrame / frameRate).toFixed(6);
+    chapter.end_time = ((outFrame + 1) / frameRate).toFixed(6);
+    chapter.timesEdited = true;
+}
+
+function setChapterFrames(chapter, inFrame, outFrame) {
+    const lastFrame = chapter.sourceDuration ? Math.round(chapter.sourceDuration * chapterFrameRate(chapter)) - 1 : Infinity;
+    if (inFrame < 0 || outFrame > lastFrame) throw new Error(`In and out must stay within frames 0-${lastFrame} of ${chapter.fileName}.`);
+    if (outFrame < inFrame) throw new Error('OUT cannot come before IN.');
+    const before = chapterFrames(chapter);
+    if (inFrame !== before.inFrame) recordEdit(chapter, { type: 'trim', point: 'in', from: before.inFrame, to: inFrame });
+    if (outFrame !== before.outFrame) recordEdit(chapter, { type: 'trim', point: 'out', from: before.outFrame, to: outFrame });
+    applyFrames(chapter, inFrame, outFrame);
+}
+
+function renameChapter(chapter, name) {
+    const title = name.trim();
+    if (!title) throw new Error('A chapter needs a name.');
+    if (title === chapter.title) return;
+    recordEdit(chapter, { type: 'rename', from: chapter.title, to: title });
+    chapter.title = title;
+    chapter.customTitle = title; // Kept over the shot list's name when the sheet is refreshed
+    chapter.finalName = undefined;
+}
+
+// Extends chapters[index] to the end of the next chapter and removes that one from `chapters`.
+// Returns the removed chapter.
+function mergeWithNext(chapters, index) {
+    const chapter = chapters[index];
+    const next = chapters[index + 1];
+    if (!next || next.sourceFile !== chapter.sourceFile) {
+        throw new Error('A chapter can only be merged with the next chapter of the same file.');
+    }
+    const { inFrame } = chapterFrames(chapter);
+    const { outFrame } = chapterFrames(next);
+    if (outFrame < inFrame) throw new Error(`"${next.title}" starts before "${chapter.title}".`);
+    recordEdit(chapter, { type: 'merge', with: next.originalTitle || next.title, from: chapterFrames(chapter).outFrame, to: outFrame });
+    applyFrames(chapter, inFrame, outFrame);
+    chapters.splice(index + 1, 1);
+    return next;
+}
+
+// Splits chapters[index] before `frame`: the chapter keeps the frames up to it, a new chapter with
+// ID `id`, named "<name>_B", the rest. Returns the new chapter.
+function splitChapter(chapters, index, frame, id) {
+    const chapter = chapters[index];
+    const { inFrame, outFrame } = chapterFrames(chapter);
+    if (frame <= inFrame || frame > outFrame) {
+        throw new Error(`The split frame must lie after IN and no later than OUT (${inFrame + 1}-${outFrame}).`);
+    }
+    recordEdit(chapter, { type: 'split', frame });
+    applyFrames(chapter, inFrame, frame - 1);
+
+    const sheetId = chapter.sheetId || chapter.originalTitle || chapter.title;
+    const second = {
+        ...chapter,
+        id,
+        originalTitle: `${chapter.originalTitle || chapter.title}_B`,
+        sheetId,
+        splitFrom: chapter.id,
+        title: `${chapter.title}_B`,
+        customTitle: `${chapter.title}_B`,
+        edits: chapter.edits.map(edit => ({ ...edit })),
+        finalName: undefined,
+        outputPreview: undefined,
+        sheetSync: undefined,
+        sheetChanges: null,
+    };
+    applyFrames(second, frame, outFrame);
+    second.marker = { title: second.originalTitle, start_time: second.start_time, end_time: second.end_time };
+    chapters.splice(index + 1, 0, second);
+    return second;
+}
+
+function resetChapterEdits(chapter) {
+    if (!chapter.marker) return;
+    const rename = (chapter.edits || []).find(edit => edit.type === 'rename');
+    recordEdit(chapter, { type: 'reset' });
+    chapter.start_time = chapter.marker.start_time;
+    chapter.end_time = chapter.marker.end_time;
+    chapter.timesEdited = false;
+    if (rename) {
+        chapter.title = rename.from;
+        chapter.customTitle = undefined;
+        chapter.finalName = undefined;
+    }
+}
+
+// The shot list row a chapter is looked up in.
+function sheetIdOf(chapter) {
+    return chapter.sheetId || chapter.originalTitle || chapter.title;
+}
+
+// The write-back of a finished chapter (see update-sheet-data in main.js): { originalTitle, dur_f,
+// dur_s, guide_version }, or null for a split's second part, whose row reports the first part.
+function sheetUpdate(chapter, { durationFrames, durationSeconds, guide_version }) {
+    if (chapter.splitFrom || !chapter.originalTitle) return null;
+    return { originalTitle: chapter.originalTitle, dur_f: durationFrames, dur_s: durationSeconds, guide_version };
+}
+
+const chapterEdits = {
+    chapterFrameRate,
+    chapterFrames,
+    setChapterFrames,
+    renameChapter,
+    mergeWithNext,
+    splitChapter,
+    resetChapterEdits,
+    sheetIdOf,
+    sheetUpdate,
+};
+
+// index.html loads this file as a plain script, ahead of renderer.js; there `chapterEdits` is a
+// global rather than an export.
+if (typeof module !== 'undefined') module.exports = chapterEdits;
@@ -0,0 +1,325 @@
+// lib/ffmpeg.js - Thin wrappers around the ffmpeg and ffprobe binaries
+const path = require('path');
+const { spawn } = require('child_process');
+const { log } = require('./logger');
+const { scaleFilter } = require('./presets');
+const { resolveSlate, markerFilter } = require('./slate');
+
+// Every ffmpeg run belongs to a job handle ({ label, encode, process, killReason, suspended, commands }).
+// Several jobs can run at once, so pause and stop go through the handles rather than a single global
+// process. `encode` marks a batch's jobs; thumbnail and preview runs are not, and a stop leaves them be.
+// `commands` collects the command lines the job ran, [binary, ...args] each, for the provenance record.
+const activeJobs = new Set();
+const ffmpegVersions = new Map(); // binary path -> version string
+
+function createJob(label, { encode = true } = {}) {
+    const job = { label, encode, process: null, killReason: null, suspended: false, resumeWaiters: [], commands: [] };
+    activeJobs.add(job);
+    return job;
+}
+
+function releaseJob(job) {
+    activeJobs.delete(job);
+}
+
+function killError(reason) {
+    if (reason === 'stop') return new Error('stopped');
+    if (reason === 'pause') return new Error('paused');
+    return null;
+}
+
+// Probes format, streams and embedded chapters in one pass.
+function getVideoInfo(ffprobePath, filePath) {
+    return new Promise((resolve, reject) => {
+        const args = ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', '-show_chapters', filePath];
+        const ffprobe = spawn(ffprobePath, args);
+        let output = '';
+        ffprobe.stdout.on('data', (data) => output += data);
+        ffprobe.stderr.on('data', (data) => log(`ffprobe stderr: ${data}`));
+        ffprobe.on('error', reject);
+        ffprobe.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}`));
+            try {
+                resolve(JSON.parse(output));
+            } catch (e) {
+                reject(new Error('Failed to parse video info.'));
+            }
+        });
+    });
+}
+
+// The version ffmpeg reports ("6.1.1", "N-113684-g2a7f...") from the first line of `ffmpeg -version`.
+// Asked once per binary; rejects when the binary cannot be run.
+function getFfmpegVersion(ffmpegPath) {
+    if (ffmpegVersions.has(ffmpegPath)) return Promise.resolve(ffmpegVersions.get(ffmpegPath));
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ['-version']);
+        let output = '';
+        ffmpeg.stdout.on('data', (data) => output += data);
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`ffmpeg -version exited with code ${code}`));
+            const match = output.match(/^ffmpeg version (\S+)/m);
+            const version = match ? match[1] : output.split(/\r?\n/)[0].trim();
+            ffmpegVersions.set(ffmpegPath, version);
+            resolve(version);
+        });
+    });
+}
+
+// Reads the key=value blocks `-progress pipe:1` writes to stdout. Calls `onProgress` once per block
+// with { outTimeSeconds, frame, speed, finished }; speed is the realtime factor (2.5 for "2.5x").
+function createProgressParser(onProgress) {
+    let buffer = '';
+    let block = {};
+    return (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+            const separator = line.indexOf('=');
+            if (separator < 0) continue;
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            block[key] = value;
+            if (key !== 'progress') continue;
+
+            // out_time_ms is in microseconds too (a long-standing ffmpeg misnomer). It reads N/A
+            // until the first frame is out, and sometimes again in the final block.
+            const outTimeUs = parseInt(block.out_time_us || block.out_time_ms, 10);
+            const finished = value === 'end';
+            if (!isFinite(outTimeUs) && !finished) {
+                block = {};
+                continue;
+            }
+            onProgress({
+                outTimeSeconds: isFinite(outTimeUs) ? Math.max(0, outTimeUs / 1000000) : null,
+                frame: parseInt(block.frame, 10) || 0,
+                speed: parseFloat(block.speed) || null,
+                finished,
+            });
+            block = {};
+        }
+    };
+}
+
+// Resolves with ffmpeg's stderr output. Rejects with Error('paused') or Error('stopped') when the
+// job was killed through killFfmpeg.
+// Without a job the run gets a handle of its own for its lifetime, not an encode job. With `onProgress`
+// ffmpeg reports machine-readable progress on stdout instead of the stats line on stderr.
+function runFfmpeg(ffmpegPath, args, job = null, { onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const ownJob = !job;
+        if (ownJob) job = createJob(path.basename(args[args.length - 1]), { encode: false });
+        const finish = () => {
+            job.process = null;
+            if (ownJob) releaseJob(job);
+        };
+
+        const start = () => {
+            // A job killed between two ffmpeg runs must not start the next one.
+            if (job.killReason) {
+                finish();
+                return reject(killError(job.killReason) || new Error(`FFmpeg job "${job.label}" was killed.`));
+            }
+
+            const fullArgs = onProgress ? ['-progress', 'pipe:1', '-nostats', ...args] : args;
+            log(`Running FFmpeg: ${path.basename(ffmpegPath)} ${fullArgs.join(' ')}`);
+            job.commands.push([ffmpegPath, ...fullArgs]);
+            const ffmpeg = spawn(ffmpegPath, fullArgs, { detached: process.platform !== 'win32' });
+            job.process = ffmpeg;
+            let stderr = '';
+
+            if (onProgress) {
+                ffmpeg.stdout.on('data', createProgressParser(onProgress));
+            } else {
+                ffmpeg.stdout.on('data', (data) => log(`ffmpeg stdout: ${data}`));
+            }
+            ffmpeg.stderr.on('data', (data) => {
+                const str = data.toString();
+                log(`ffmpeg stderr: ${str}`);
+                stderr += str;
+            });
+
+            ffmpeg.on('close', (code) => {
+                finish();
+                const killed = killError(job.killReason);
+                if (killed) {
+                    return reject(killed);
+                }
+                if (code !== 0) {
+                    return reject(new Error(`FFmpeg process exited with code ${code}\n\nFFmpeg output:\n${stderr}`));
+                }
+                resolve(stderr);
+            });
+
+            ffmpeg.on('error', (err) => {
+                finish();
+                reject(err);
+            });
+        };
+
+        // A suspended job holds its next run until it is resumed (or killed).
+        if (job.suspended) {
+            job.resumeWaiters.push(start);
+        } else {
+            start();
+        }
+    });
+}
+
+function killJob(job, reason) {
+    job.killReason = reason;
+    // Runs held back by a suspension start, see the kill reason and reject straight away.
+    flushResumeWaiters(job);
+    const child = job.process;
+    if (!child || child.killed) {
+        log(`FFmpeg job "${job.label}" has no running process; it will not start another one (reason: ${reason}).`);
+        return;
+    }
+    const pid = child.pid;
+    log(`Attempting to kill FFmpeg process with PID: ${pid} for reason: ${reason}`);
+
+    if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', pid, '/f', '/t']);
+    } else {
+        // Kill the entire process group by negating the PID
+        try {
+            process.kill(-pid, 'SIGKILL');
+        } catch (e) {
+            log(`Could not kill process group ${-pid}, falling back to single process ${pid}. Error: ${e.message}`);
+            child.kill('SIGKILL');
+        }
+    }
+}
+
+// Kills one job, or every active encode job when none is given.
+function killFfmpeg(reason = 'unknown', job = null) {
+    const jobs = job ? [job] : [...activeJobs].filter(active => active.encode);
+    if (jobs.length === 0) {
+        log(`killFfmpeg called for reason "${reason}", but no FFmpeg encode job is running.`);
+        return;
+    }
+    jobs.forEach(target => killJob(target, reason));
+}
+
+function flushResumeWaiters(job) {
+    const waiters = job.resumeWaiters;
+    job.resumeWaiters = [];
+    waiters.forEach(start => start());
+}
+
+// Windows has no SIGSTOP; NtSuspendProcess/NtResumeProcess from ntdll do the same for a whole process.
+function windowsProcessControl(pid, action) {
+    const fn = action === 'suspend' ? 'NtSuspendProcess' : 'NtResumeProcess';
+    const script = [
+        `$nt = Add-Type -Name Nt -Namespace GuideCreator -PassThru -MemberDefinition '[DllImport("ntdll.dll")] public static extern int ${fn}(IntPtr handle);'`,
+        `$status = $nt::${fn}((Get-Process -Id ${pid}).Handle)`,
+        'exit $status',
+    ].join('; ');
+    return new Promise((resolve, reject) => {
+        const ps = spawn('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script], { windowsHide: true });
+        ps.on('error', reject);
+        ps.on('close', (code) => code === 0 ? resolve() : reject(new Error(`${fn} failed with status ${code}`)));
+    });
+}
+
+async function signalJob(job, action) {
+    const pid = job.process.pid;
+    if (process.platform === 'win32') {
+        await windowsProcessControl(pid, action);
+        return;
+    }
+    const signal = action === 'suspend' ? 'SIGSTOP' : 'SIGCONT';
+    try {
+        // The whole process group, like killJob
+        process.kill(-pid, signal);
+    } catch (e) {
+        process.kill(pid, signal);
+    }
+}
+
+// Freezes the job's running ffmpeg process in place; a job between two runs will not start the next.
+// Resolves with false when the process could not be suspended, so the caller can fall back to killing it.
+async function suspendFfmpeg(job) {
+    job.suspended = true;
+    if (!job.process || job.process.killed) return true;
+    try {
+        await signalJob(job, 'suspend');
+        log(`Suspended FFmpeg job "${job.label}" (PID ${job.process ? job.process.pid : '-'}).`);
+        return true;
+    } catch (error) {
+        log(`[WARNING] Could not suspend FFmpeg job "${job.label}": ${error.message}`);
+        job.suspended = false;
+        return false;
+    }
+}
+
+async function resumeFfmpeg(job) {
+    if (!job.suspended) return;
+    job.suspended = false;
+    if (job.process && !job.process.killed) {
+        try {
+            await signalJob(job, 'resume');
+            log(`Resumed FFmpeg job "${job.label}" (PID ${job.process ? job.process.pid : '-'}).`);
+        } catch (error) {
+            log(`[ERROR] Could not resume FFmpeg job "${job.label}": ${error.message}`);
+        }
+    }
+    flushResumeWaiters(job);
+}
+
+function createStillFrame(ffmpegPath, filePath, time, outputPath, preset, job = null) {
+    const seekTime = Math.max(0, time);
+    // Scale the still frame to the preset's resolution to match the main video output.
+    // The slate's marker box (lib/slate.js) is drawn after scaling.
+    // Added -update 1 to satisfy "image sequence pattern" requirement for single images
+    const filters = [
+        scaleFilter(preset),
+        markerFilter(resolveSlate(preset).marker)
+    ].filter(Boolean);
+    const args = [
+        '-ss', seekTime.toString(), '-i', filePath,
+        ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+        '-vframes', '1', '-update', '1', '-y', outputPath
+    ];
+    return runFfmpeg(ffmpegPath, args, job);
+}
+
+// A small JPEG of the frame at `time`, `height` pixels high, for the chapter list.
+function createThumbnail(ffmpegPath, filePath, time, outputPath, height) {
+    const args = [
+        '-ss', Math.max(0, time).toString(), '-i', filePath,
+        '-vf', `scale=-2:${height}`,
+        '-frames:v', '1', '-q:v', '5', '-update', '1', '-y', outputPath
+    ];
+    return runFfmpeg(ffmpegPath, args);
+}
+
+// A light H.264 copy of the source between `startTime` and `endTime`, which the preview player can
+// play whatever the source codec. Only the first video and audio streams are kept.
+function createPreviewProxy(ffmpegPath, filePath, startTime, endTime, outputPath, height) {
+    const args = [
+        '-ss', Math.max(0, startTime).toString(), '-i', filePath, '-t', Math.max(0, endTime - startTime).toString(),
+        '-map', '0:v:0', '-map', '0:a:0?',
+        '-vf', `scale=-2:${height}`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '96k', '-ac', '2',
+        '-movflags', '+faststart', '-y', outputPath
+    ];
+    return runFfmpeg(ffmpegPath, args);
+}
+
+module.exports = {
+    getVideoInfo,
+    getFfmpegVersion,
+    createJob,
+    releaseJob,
+    runFfmpeg,
+    killFfmpeg,
+    suspendFfmpeg,
+    resumeFfmpeg,
+    createStillFrame,
+    createThumbnail,
+    createPreviewProxy,
+};
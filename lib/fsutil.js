@@ -0,0 +1,21 @@
+// lib/fsutil.js - File writes shared by the modules that keep state on disk
+const fs = require('fs');
+
+// Writes `content` to a temp file next to `filePath` and renames it into place, so a crash mid-write
+// leaves the previous file intact rather than half of the new one. Throws like fs.writeFileSync.
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.tmp`;
+    try {
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+function writeJsonAtomic(filePath, data) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+module.exports = { writeFileAtomic, writeJsonAtomic };
@@ -0,0 +1,219 @@
+// lib/journal.js - Durable record of processing batches, so a crash or reboot mid-batch can be resumed
+//
+// Each batch is one JSON file in <userData>/journal, rewritten atomically whenever a chapter changes
+// state. A batch still marked 'running' when the app starts was interrupted.
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./fsutil');
+const { readManifest } = require('./manifest');
+const { sidecarPath } = require('./provenance');
+const { qcFailures } = require('./qc');
+const { segmentFilePattern, overlayFilePattern } = require('./tempfiles');
+
+const JOURNAL_DIR = 'journal';
+const KEEP_FINISHED_BATCHES = 50;
+
+// Chapter states: pending -> processing -> done | failed | stopped. A paused chapter goes back to pending.
+// Once a chapter has a version it also carries `output`: { dir, path, finalName, version, action,
+// startedAt }. A chapter skipped as unchanged is 'done' with `skipped` set.
+const FINISHED_CHAPTER_STATES = ['done', 'failed'];
+
+function createJournal(userDataDir) {
+    const dir = path.join(userDataDir, JOURNAL_DIR);
+
+    function batchPath(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    function read(id) {
+        return JSON.parse(fs.readFileSync(batchPath(id), 'utf8'));
+    }
+
+    function list() {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') log(`[WARNING] Could not read the job journal: ${error.message}`);
+            return [];
+        }
+        const batches = [];
+        for (const file of files) {
+            try {
+                batches.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+            } catch (error) {
+                log(`[WARNING] Skipping unreadable journal entry ${file}: ${error.message}`);
+            }
+        }
+        return batches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Batches that were still running when the app went away.
+    function listInterrupted() {
+        return list().filter(batch => batch.status === 'running');
+    }
+
+    function prune() {
+        const finished = list().filter(batch => batch.status !== 'running');
+        for (const batch of finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED_BATCHES))) {
+            try {
+                fs.unlinkSync(batchPath(batch.id));
+            } catch (error) {
+                log(`[WARNING] Could not remove old journal entry ${batch.id}: ${error.message}`);
+            }
+        }
+    }
+
+    // Wraps a batch record with the updates the pipeline makes. Every change is written straight to disk.
+    function handle(batch) {
+        const byJobId = new Map(batch.chapters.map(chapter => [chapter.jobId, chapter]));
+        const save = () => {
+            batch.updatedAt = new Date().toISOString();
+            try {
+                writeJsonAtomic(batchPath(batch.id), batch);
+            } catch (error) {
+                // A full disk should not take the encode down with it; the batch just can't be resumed.
+                log(`[WARNING] Could not update the job journal for batch ${batch.id}: ${error.message}`);
+            }
+        };
+        return {
+            batch,
+            updateChapter(jobId, patch) {
+                const chapter = byJobId.get(jobId);
+                if (!chapter) return;
+                Object.assign(chapter, patch);
+                save();
+            },
+            setStatus(status) {
+                batch.status = status;
+                save();
+            },
+            // Chapters that still need encoding, with their planned version so a resume reuses it.
+            remainingChapters() {
+                return batch.chapters.filter(chapter => !FINISHED_CHAPTER_STATES.includes(chapter.status));
+            },
+        };
+    }
+
+    // `chapters` are the analysed chapters as the renderer sends them, in/out and name edits included
+    // (`marker`, `edits`); each gets a jobId unique in the batch.
+    // `naming` holds the profile's output templates and `versionPolicy` its version policy, so a resumed
+    // batch names and versions its outputs the same way.
+    function createBatch({ profile, baseDir, presetName, naming = {}, versionPolicy, chapters }) {
+        fs.mkdirSync(dir, { recursive: true });
+        const now = new Date();
+        const id = `${now.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${Math.random().toString(36).slice(2, 8)}`;
+        const batch = {
+            id,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            status: 'running',
+            profile,
+            baseDir,
+            presetName,
+            naming,
+            versionPolicy,
+            chapters: chapters.map((chapter, i) => ({
+                ...chapter,
+                jobId: String(i),
+                status: 'pending',
+            })),
+        };
+        writeJsonAtomic(batchPath(id), batch);
+        prune();
+        return handle(batch);
+    }
+
+    function openBatch(id) {
+        return handle(read(id));
+    }
+
+    return { dir, list, listInterrupted, createBatch, openBatch };
+}
+
+// --- Recovery ---
+
+function removeIfExists(filePath) {
+    try {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            log(`Removed leftover file: ${filePath}`);
+        }
+    } catch (error) {
+        log(`[WARNING] Could not remove leftover file ${filePath}: ${error.message}`);
+    }
+}
+
+// Deletes the stills, chapter metadata and slate overlay texts a chapter leaves next to its output
+// while encoding. Segments from a segmented encode are kept unless `includeSegments` is set: a
+// resume picks them up.
+function removeTempFiles(chapter, { includeSegments = false } = {}) {
+    const output = chapter.output;
+    if (!output) return;
+    for (const prefix of ['prefix_', 'suffix_']) {
+        removeIfExists(path.join(output.dir, `${prefix}${output.finalName}.png`));
+    }
+    removeIfExists(path.join(output.dir, `metadata_${output.finalName}.txt`));
+    let files = [];
+    try {
+        files = fs.readdirSync(output.dir);
+    } catch (error) {
+        return;
+    }
+    const overlayPattern = overlayFilePattern(output.finalName);
+    const segmentPattern = segmentFilePattern(output.finalName);
+    const isSegmentFile = file => segmentPattern.test(file) || file === `seg_${output.finalName}.json` || file === `seg_${output.finalName}.txt`;
+    files
+        .filter(file => overlayPattern.test(file) || (includeSegments && isSegmentFile(file)))
+        .forEach(file => removeIfExists(path.join(output.dir, file)));
+}
+
+// Settles chapters an interrupted batch left in 'processing'. An output whose encode got as far as
+// its manifest record (lib/manifest.js), and so its provenance sidecar, is adopted as finished, done
+// or failed by its QC as the record says. Anything else is deleted and the chapter queued again
+// under the same version. Returns the chapters that were adopted; their shot list rows may not
+// have been reported yet.
+function recoverBatch(journalBatch) {
+    const adopted = [];
+    for (const chapter of journalBatch.batch.chapters) {
+        if (chapter.status !== 'processing') continue;
+        removeTempFiles(chapter);
+
+        const output = chapter.output;
+        if (output && fs.existsSync(output.path)) {
+            const record = readManifest(output.dir).outputs[path.basename(output.path)];
+            // An overwrite keeps the record of the guide it replaced until the new one is recorded.
+            if (record && output.startedAt && record.createdAt >= output.startedAt) {
+                const failures = qcFailures(record.qc);
+                log(`Adopting finished output ${output.path}${failures.length > 0 ? ' (failed its QC)' : ''}.`);
+                journalBatch.updateChapter(chapter.jobId, {
+                    status: failures.length > 0 ? 'failed' : 'done',
+                    adopted: true,
+                    durationSeconds: record.durationSeconds,
+                    durationFrames: record.durationFrames,
+                    ...(failures.length > 0 ? { error: `QC failed: ${failures.join('; ')}` } : {}),
+                });
+                adopted.push(chapter);
+                continue;
+            }
+            log(`Removing unfinished output ${output.path}.`);
+            removeIfExists(output.path);
+            removeIfExists(sidecarPath(output.path));
+        }
+        journalBatch.updateChapter(chapter.jobId, { status: 'pending' });
+    }
+    return adopted;
+}
+
+// Gives up on an interrupted batch: removes its half-written outputs and temp files.
+function discardBatch(journalBatch) {
+    for (const chapter of journalBatch.batch.chapters) {
+        if (chapter.status !== 'processing' && chapter.status !== 'pending') continue;
+        removeTempFiles(chapter, { includeSegments: true });
+        if (chapter.status === 'processing' && chapter.output) removeIfExists(chapter.output.path);
+    }
+    journalBatch.setStatus('discarded');
+}
+
+module.exports = { createJournal, recoverBatch, discardBatch, removeTempFiles };
@@ -0,0 +1,14 @@
+// lib/logger.js - Shared log entry point so pipeline modules work under both the GUI and the CLI
+
+let sink = (message) => console.log(message);
+
+// The Electron main process routes messages to the window and app.log; the CLI prints them.
+function setLogSink(fn) {
+    sink = fn;
+}
+
+function log(message) {
+    sink(message);
+}
+
+module.exports = { log, setLogSink };
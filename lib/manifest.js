@@ -0,0 +1,122 @@
+// lib/manifest.js - Per-directory record of how each guide version was produced
+//
+// Every output directory holds a MANIFEST_FILE with one record per guide written there, keyed by file
+// name: the chapter it was cut from, its version, and a fingerprint of what went into it (the source
+// file's hash, the in/out points and the preset). The version policy compares fingerprints to tell a
+// chapter that changed since its last guide from one that did not.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./fsutil');
+
+const MANIFEST_FILE = '.guides-manifest.json';
+const MANIFEST_FORMAT = 1;
+
+// How a run treats a chapter that already has guides in its output directory:
+//   new             always write the next free version (the default)
+//   overwrite       replace the latest version in place
+//   skip-identical  write nothing when the chapter's latest guide has the same fingerprint
+const VERSION_POLICIES = ['new', 'overwrite', 'skip-identical'];
+const DEFAULT_VERSION_POLICY = 'new';
+
+// Reels run to tens of gigabytes, so the source hash covers the size and three samples (head, middle
+// and tail) rather than every byte. A re-export changes at least one of them.
+const HASH_SAMPLE_BYTES = 4 * 1024 * 1024;
+const sourceHashes = new Map(); // "path|size|mtime" -> hash, so a reel is read once per session
+
+function manifestPath(dir) {
+    return path.join(dir, MANIFEST_FILE);
+}
+
+// The manifest of `dir`: { format, outputs: { fileName: record } }. Missing or unreadable manifests
+// read as empty, so a directory written before manifests existed behaves as if nothing was recorded.
+function readManifest(dir) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath(dir), 'utf8'));
+        if (manifest && typeof manifest.outputs === 'object' && manifest.outputs !== null) return manifest;
+        log(`[WARNING] Ignoring the malformed manifest in ${dir}.`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`[WARNING] Could not read the manifest in ${dir}: ${error.message}`);
+    }
+    return { format: MANIFEST_FORMAT, outputs: {} };
+}
+
+// Merges `patch` into the record of `fileName` in the manifest of `dir`. Reading and writing are
+// synchronous, so parallel jobs finishing in the same directory cannot lose each other's records.
+// A failed write is logged rather than thrown: the guide itself is fine.
+function recordOutput(dir, fileName, patch) {
+    const manifest = readManifest(dir);
+    manifest.format = MANIFEST_FORMAT;
+    manifest.outputs[fileName] = { ...(manifest.outputs[fileName] || {}), ...patch, updatedAt: new Date().toISOString() };
+    const filePath = manifestPath(dir);
+    try {
+        writeJsonAtomic(filePath, manifest);
+    } catch (error) {
+        log(`[WARNING] Could not update the manifest in ${dir}: ${error.message}`);
+    }
+}
+
+// The latest guide of chapter `id` in `dir` still on disk, when it was made from `fingerprint` and
+// passed its QC: { fileName, ...record }, or null. An older version with the same fingerprint does not
+// count, since the chapter changed after it.
+function findIdenticalOutput(dir, id, fingerprint) {
+    if (!fingerprint) return null;
+    const { outputs } = readManifest(dir);
+    const latest = Object.entries(outputs)
+        .filter(([fileName, record]) => record.id === id && fs.existsSync(path.join(dir, fileName)))
+        .map(([fileName, record]) => ({ fileName, ...record }))
+        .sort((a, b) => b.version - a.version)[0];
+    if (!latest || latest.fingerprint !== fingerprint || (latest.qc && !latest.qc.passed)) return null;
+    return latest;
+}
+
+function readSample(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Sampled SHA-256 of a source file (see HASH_SAMPLE_BYTES). Throws when the file cannot be read.
+function hashSource(filePath) {
+    const stat = fs.statSync(filePath);
+    const cacheKey = `${filePath}|${stat.size}|${stat.mtimeMs}`;
+    if (sourceHashes.has(cacheKey)) return sourceHashes.get(cacheKey);
+
+    const hash = crypto.createHash('sha256').update(String(stat.size));
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        if (stat.size <= HASH_SAMPLE_BYTES * 3) {
+            hash.update(readSample(fd, 0, stat.size));
+        } else {
+            const middle = Math.floor((stat.size - HASH_SAMPLE_BYTES) / 2);
+            for (const position of [0, middle, stat.size - HASH_SAMPLE_BYTES]) {
+                hash.update(readSample(fd, position, HASH_SAMPLE_BYTES));
+            }
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    const digest = `sha256-sampled:${hash.digest('hex')}`;
+    sourceHashes.set(cacheKey, digest);
+    return digest;
+}
+
+// What a guide is made from, reduced to one string: equal fingerprints mean an identical encode.
+// Times are rounded to the millisecond so float noise from probing does not count as a change.
+function outputFingerprint({ sourceHash, startTime, endTime, preset }) {
+    if (!sourceHash) return null;
+    const inputs = JSON.stringify({ sourceHash, in: startTime.toFixed(3), out: endTime.toFixed(3), preset });
+    return crypto.createHash('sha256').update(inputs).digest('hex').slice(0, 32);
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    VERSION_POLICIES,
+    DEFAULT_VERSION_POLICY,
+    readManifest,
+    recordOutput,
+    findIdenticalOutput,
+    hashSource,
+    outputFingerprint,
+};
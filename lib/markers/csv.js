@@ -0,0 +1,67 @@
+// lib/markers/csv.js - Premiere Pro marker exports (CSV or tab-separated, often UTF-16)
+const fs = require('fs');
+const { parseCsvLine, splitCsvToLines } = require('../sheet');
+const { parseTimeValue } = require('../timecode');
+
+const NAME_HEADERS = ['markername', 'name', 'title', 'chapter', 'id'];
+const IN_HEADERS = ['in', 'start', 'starttime', 'intime', 'timecodein'];
+const OUT_HEADERS = ['out', 'end', 'endtime', 'outtime', 'timecodeout'];
+const DURATION_HEADERS = ['duration'];
+
+function readText(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    // Premiere writes its marker list as UTF-16LE with a BOM.
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return buffer.toString('utf16le').slice(1);
+    }
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function findColumn(headers, candidates) {
+    return headers.findIndex(h => candidates.includes(h));
+}
+
+function load(filePath, { frameRate, timecodeOrigin }) {
+    const lines = splitCsvToLines(readText(filePath)).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('Marker list has no rows.');
+    }
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const headers = parseCsvLine(lines[0], delimiter).map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+
+    const nameIndex = findColumn(headers, NAME_HEADERS);
+    const inIndex = findColumn(headers, IN_HEADERS);
+    const outIndex = findColumn(headers, OUT_HEADERS);
+    const durationIndex = findColumn(headers, DURATION_HEADERS);
+    if (nameIndex === -1 || inIndex === -1) {
+        throw new Error(`Marker list needs a name and an in column. Headers found: [${headers.join(', ')}]`);
+    }
+
+    const markers = lines.slice(1).map(line => {
+        const columns = parseCsvLine(line, delimiter).map(c => c.trim());
+        const start = parseTimeValue(columns[inIndex], frameRate);
+        let end = null;
+        if (outIndex !== -1 && columns[outIndex]) {
+            end = parseTimeValue(columns[outIndex], frameRate);
+        } else if (durationIndex !== -1 && columns[durationIndex]) {
+            end = start + parseTimeValue(columns[durationIndex], frameRate);
+        }
+        return { title: columns[nameIndex], start, end };
+    });
+
+    // Lists exported from a sequence that starts at the source's timecode need that offset removed.
+    if (timecodeOrigin > 0 && markers.every(m => m.start >= timecodeOrigin)) {
+        markers.forEach(m => {
+            m.start -= timecodeOrigin;
+            if (m.end !== null) m.end -= timecodeOrigin;
+        });
+    }
+    return markers;
+}
+
+module.exports = {
+    name: 'csv',
+    label: 'Marker list (CSV/TSV)',
+    extensions: ['.csv', '.tsv', '.txt'],
+    load,
+};
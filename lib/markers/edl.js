@@ -0,0 +1,40 @@
+// lib/markers/edl.js - CMX3600 EDLs with locator comments ("* LOC: 01:00:05:12 RED  SH010")
+const fs = require('fs');
+const { timecodeToSeconds } = require('../timecode');
+
+const EVENT_PATTERN = /^\d+\s+\S+\s+\S+\s+\S+(?:\s+\d+)?\s+(\d+:\d{2}:\d{2}[:;]\d{2})\s+(\d+:\d{2}:\d{2}[:;]\d{2})\s+(\d+:\d{2}:\d{2}[:;]\d{2})\s+(\d+:\d{2}:\d{2}[:;]\d{2})/;
+const LOCATOR_PATTERN = /^\*\s*LOC:\s*(\d+:\d{2}:\d{2}[:;]\d{2})\s+(\S+)\s*(.*)$/i;
+
+function load(filePath, { frameRate, timecodeOrigin }) {
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    let recordStart = null;
+    const locators = [];
+
+    for (const line of lines) {
+        const event = line.trim().match(EVENT_PATTERN);
+        if (event && recordStart === null) {
+            // Locator timecodes are on the record side; the first record-in is the start of the movie.
+            recordStart = timecodeToSeconds(event[3], frameRate);
+            continue;
+        }
+        const locator = line.trim().match(LOCATOR_PATTERN);
+        if (locator) {
+            locators.push({ timecode: locator[1], title: locator[3].trim() || locator[2] });
+        }
+    }
+
+    // The source's own start timecode wins over the EDL's first event when the container has one.
+    const origin = timecodeOrigin > 0 ? timecodeOrigin : (recordStart || 0);
+    return locators.map(({ timecode, title }) => ({
+        title,
+        start: timecodeToSeconds(timecode, frameRate) - origin,
+        end: null,
+    }));
+}
+
+module.exports = {
+    name: 'edl',
+    label: 'EDL locators',
+    extensions: ['.edl'],
+    load,
+};
@@ -0,0 +1,44 @@
+// lib/markers/fcp7.js - Final Cut Pro 7 / Premiere "FCP XML" (xmeml) markers
+const fs = require('fs');
+const { parseXml, findAll, childText } = require('./xml');
+
+// Reads the <rate> block closest to the element, walking up the tree.
+function findRate(element) {
+    for (let node = element; node; node = node.parent) {
+        const rate = node.children.find(c => c.name === 'rate');
+        if (rate) {
+            const timebase = parseFloat(childText(rate, 'timebase'));
+            const ntsc = childText(rate, 'ntsc').toUpperCase() === 'TRUE';
+            if (timebase > 0) return ntsc ? timebase * 1000 / 1001 : timebase;
+        }
+    }
+    return null;
+}
+
+function load(filePath, { frameRate }) {
+    const root = parseXml(fs.readFileSync(filePath, 'utf8'));
+    if (!root || root.name !== 'xmeml') {
+        throw new Error('Not an FCP7 XML (xmeml) file.');
+    }
+
+    return findAll(root, 'marker').map(marker => {
+        const rate = findRate(marker.parent) || frameRate;
+        const inFrame = parseInt(childText(marker, 'in'), 10);
+        const outFrame = parseInt(childText(marker, 'out'), 10);
+        return {
+            title: childText(marker, 'name') || childText(marker, 'comment'),
+            start: inFrame / rate,
+            // FCP7 writes out=-1 for point markers.
+            end: outFrame > inFrame ? outFrame / rate : null,
+        };
+    });
+}
+
+module.exports = {
+    name: 'fcp7',
+    label: 'FCP7 XML',
+    extensions: ['.xml'],
+    // .xml is shared with FCPXML exports; only claim files whose root element is xmeml.
+    accepts: (text) => /<xmeml[\s>]/.test(text),
+    load,
+};
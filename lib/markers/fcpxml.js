@@ -0,0 +1,52 @@
+// lib/markers/fcpxml.js - Final Cut Pro X (FCPXML) markers and chapter markers
+const fs = require('fs');
+const { parseXml, findAll } = require('./xml');
+const { parseRational } = require('../timecode');
+
+const CLIP_ELEMENTS = ['asset-clip', 'clip', 'ref-clip', 'mc-clip', 'sync-clip', 'video', 'audio', 'gap', 'title'];
+
+function time(value) {
+    const seconds = parseRational(value || '0s');
+    return isFinite(seconds) ? seconds : 0;
+}
+
+// A marker's start is in its parent clip's local time. Map it onto the project timeline.
+function toTimelineTime(marker, tcStart) {
+    let seconds = time(marker.attrs.start);
+    for (let node = marker.parent; node; node = node.parent) {
+        if (CLIP_ELEMENTS.includes(node.name)) {
+            seconds = time(node.attrs.offset) + (seconds - time(node.attrs.start));
+        }
+    }
+    return seconds - tcStart;
+}
+
+function load(filePath) {
+    const root = parseXml(fs.readFileSync(filePath, 'utf8'));
+    if (!root || root.name !== 'fcpxml') {
+        throw new Error('Not an FCPXML file.');
+    }
+    const sequence = findAll(root, 'sequence')[0];
+    const tcStart = sequence ? time(sequence.attrs.tcStart) : 0;
+
+    const markers = [...findAll(root, 'chapter-marker'), ...findAll(root, 'marker')];
+    // Prefer chapter markers when the project has them; plain markers are often notes.
+    const chapterMarkers = markers.filter(m => m.name === 'chapter-marker');
+    return (chapterMarkers.length > 0 ? chapterMarkers : markers).map(marker => {
+        const start = toTimelineTime(marker, tcStart);
+        const duration = time(marker.attrs.duration);
+        return {
+            title: marker.attrs.value || '',
+            start,
+            end: duration > 0 && marker.name !== 'chapter-marker' ? start + duration : null,
+        };
+    });
+}
+
+module.exports = {
+    name: 'fcpxml',
+    label: 'Final Cut Pro XML',
+    extensions: ['.fcpxml', '.xml'],
+    accepts: (text) => /<fcpxml[\s>]/.test(text),
+    load,
+};
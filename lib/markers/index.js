@@ -0,0 +1,145 @@
+// lib/markers/index.js - Chapter marker sources: embedded container chapters and NLE sidecar exports
+//
+// Every source yields markers as { title, start, end } in seconds from the start of the movie,
+// `end` being null for point markers. loadChapters() turns them into ffprobe-style chapters.
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+const { getVideoInfo } = require('../ffmpeg');
+const { parseRational, timecodeToSeconds, getStartTimecode, getSourceTimecode } = require('../timecode');
+
+const SIDECAR_SOURCES = [
+    require('./fcpxml'),
+    require('./fcp7'),
+    require('./edl'),
+    require('./csv'),
+    require('./vtt'),
+];
+
+// Extensions probed next to a movie, in order of preference. .txt (tab-separated marker lists) comes
+// last, as the least specific.
+const SIDECAR_EXTENSIONS = ['.fcpxml', '.xml', '.edl', '.csv', '.tsv', '.vtt', '.srt', '.txt'];
+
+const DEFAULT_FRAME_RATE = 25;
+
+function getSidecarSource(markerFile) {
+    const ext = path.extname(markerFile).toLowerCase();
+    const candidates = SIDECAR_SOURCES.filter(source => source.extensions.includes(ext));
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // Several formats share the extension (.xml); let the content decide.
+    const head = fs.readFileSync(markerFile, 'utf8').slice(0, 4096);
+    return candidates.find(source => !source.accepts || source.accepts(head)) || null;
+}
+
+// Looks for a marker export with the same base name as the movie, e.g. reel01.mov -> reel01.edl.
+function findSidecar(moviePath) {
+    const base = path.join(path.dirname(moviePath), path.basename(moviePath, path.extname(moviePath)));
+    for (const ext of SIDECAR_EXTENSIONS) {
+        for (const candidate of [base + ext, base + ext.toUpperCase()]) {
+            if (fs.existsSync(candidate) && getSidecarSource(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+function getFrameRate(videoInfo) {
+    const videoStream = videoInfo.streams.find(s => s.codec_type === 'video');
+    const frameRate = videoStream ? parseRational(videoStream.r_frame_rate) : NaN;
+    return isFinite(frameRate) && frameRate > 0 ? frameRate : DEFAULT_FRAME_RATE;
+}
+
+// Sorts markers, closes point markers at the next marker (or the end of the movie) and drops
+// markers that fall outside the movie.
+function markersToChapters(markers, duration, sourceName) {
+    const sorted = markers
+        .filter(m => isFinite(m.start))
+        .sort((a, b) => a.start - b.start);
+
+    const chapters = [];
+    sorted.forEach((marker, i) => {
+        const title = (marker.title || '').trim() || `MARKER_${String(i + 1).padStart(3, '0')}`;
+        if (marker.start < 0 || (duration && marker.start >= duration)) {
+            log(`[WARNING] ${sourceName} marker "${title}" at ${marker.start.toFixed(3)}s is outside the movie. Skipping.`);
+            return;
+        }
+        const next = sorted[i + 1];
+        // Point markers (and zero-length ranges) run until the next marker.
+        let end = marker.end > marker.start ? marker.end : (next ? next.start : duration);
+        if (duration) end = Math.min(end, duration);
+        if (!(end > marker.start)) {
+            log(`[WARNING] ${sourceName} marker "${title}" has no duration. Skipping.`);
+            return;
+        }
+        chapters.push({ title, start_time: marker.start.toFixed(6), end_time: end.toFixed(6) });
+    });
+    return chapters;
+}
+
+// Embedded chapter times are in the container's own timeline. Containers with a non-zero start
+// time (MXF, MPEG-TS, some MP4s) need them shifted so they line up with ffmpeg's zero-based input.
+function readEmbeddedChapters(videoInfo) {
+    const chapters = videoInfo.chapters || [];
+    const containerStart = parseFloat(videoInfo.format && videoInfo.format.start_time) || 0;
+    const shift = containerStart > 0.001 && chapters.every(c => parseFloat(c.start_time) >= containerStart - 0.001) ? containerStart : 0;
+    if (shift) {
+        log(`Container starts at ${containerStart.toFixed(3)}s. Shifting embedded chapters to match.`);
+    }
+    return chapters.map(c => ({
+        title: c.tags && c.tags.title ? c.tags.title : `CHAPTER_${c.id}`,
+        start_time: shift ? Math.max(0, parseFloat(c.start_time) - shift).toFixed(6) : c.start_time,
+        end_time: shift ? Math.max(0, parseFloat(c.end_time) - shift).toFixed(6) : c.end_time,
+    }));
+}
+
+// Works from an existing ffprobe result. `markerFile` is 'auto' (sidecar if one exists, else
+// embedded chapters), 'embedded', or a path to a marker file. Returns { source, markerFile,
+// chapters, frameRate, duration, timecode }, the last three describing the movie for frame-accurate
+// editing (`timecode` as getSourceTimecode gives it).
+function readChapters(videoInfo, filePath, markerFile = 'auto') {
+    const sidecarPath = markerFile === 'auto' ? findSidecar(filePath) : (markerFile === 'embedded' ? null : markerFile);
+    const frameRate = getFrameRate(videoInfo);
+    const movie = { frameRate, duration: parseFloat(videoInfo.format.duration) || null, timecode: getSourceTimecode(videoInfo, frameRate) };
+
+    if (!sidecarPath) {
+        return { source: 'embedded', markerFile: null, chapters: readEmbeddedChapters(videoInfo), ...movie };
+    }
+
+    const source = getSidecarSource(sidecarPath);
+    if (!source) {
+        throw new Error(`Unsupported marker file: ${path.basename(sidecarPath)}`);
+    }
+    log(`Reading markers from ${sidecarPath} (${source.label})`);
+    const startTimecode = getStartTimecode(videoInfo);
+    const context = {
+        frameRate,
+        duration: parseFloat(videoInfo.format.duration) || null,
+        // Marker lists written in record timecode are offset by the source's start TC (e.g. 10:00:00:00 on MXF).
+        timecodeOrigin: startTimecode ? timecodeToSeconds(startTimecode, frameRate) : 0,
+    };
+    const markers = source.load(sidecarPath, context);
+    return {
+        source: source.name,
+        markerFile: sidecarPath,
+        chapters: markersToChapters(markers, context.duration, source.label),
+        ...movie,
+    };
+}
+
+async function loadChapters(ffprobePath, filePath, markerFile = 'auto') {
+    const videoInfo = await getVideoInfo(ffprobePath, filePath);
+    return readChapters(videoInfo, filePath, markerFile);
+}
+
+module.exports = {
+    SIDECAR_SOURCES,
+    SIDECAR_EXTENSIONS,
+    findSidecar,
+    getSidecarSource,
+    getFrameRate,
+    readChapters,
+    loadChapters,
+    markersToChapters,
+};
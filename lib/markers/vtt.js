@@ -0,0 +1,31 @@
+// lib/markers/vtt.js - WebVTT chapter tracks and SRT-style chapter files
+const fs = require('fs');
+const { parseTimeValue } = require('../timecode');
+
+const CUE_TIMING = /^(\S+)\s+-->\s+(\S+)/;
+
+function load(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const blocks = text.replace(/\r\n/g, '\n').split(/\n{2,}/);
+    const markers = [];
+
+    for (const block of blocks) {
+        const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(l => CUE_TIMING.test(l));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE or STYLE block
+        const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+        markers.push({
+            title: lines.slice(timingIndex + 1).join(' '),
+            start: parseTimeValue(start),
+            end: parseTimeValue(end),
+        });
+    }
+    return markers;
+}
+
+module.exports = {
+    name: 'vtt',
+    label: 'WebVTT/SRT chapters',
+    extensions: ['.vtt', '.srt'],
+    load,
+};
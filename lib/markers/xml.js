@@ -0,0 +1,71 @@
+// lib/markers/xml.js - Minimal XML reader for NLE marker exports
+//
+// Only what the FCP7 / FCPXML exports need: elements, attributes and text. No namespaces or DTDs.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrPattern.exec(source)) !== null) {
+        attrs[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attrs;
+}
+
+// Returns the root element as { name, attrs, children, text, parent }.
+function parseXml(source) {
+    const root = { name: '#document', attrs: {}, children: [], text: '', parent: null };
+    let current = root;
+    const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[^>]*?)?)(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        const [, cdata, closeName, openName, attrSource, selfClosing, text] = match;
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closeName) {
+            if (current.name !== closeName) {
+                throw new Error(`Malformed XML: expected </${current.name}> but found </${closeName}>.`);
+            }
+            current = current.parent;
+        } else if (openName) {
+            const element = { name: openName, attrs: parseAttributes(attrSource || ''), children: [], text: '', parent: current };
+            current.children.push(element);
+            if (!selfClosing) current = element;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        }
+    }
+    if (current !== root) {
+        throw new Error(`Malformed XML: <${current.name}> is never closed.`);
+    }
+    return root.children[0] || null;
+}
+
+// Depth-first list of every descendant element with the given name.
+function findAll(element, name) {
+    const found = [];
+    for (const child of element.children) {
+        if (child.name === name) found.push(child);
+        found.push(...findAll(child, name));
+    }
+    return found;
+}
+
+function childText(element, name) {
+    const child = element.children.find(c => c.name === name);
+    return child ? child.text.trim() : '';
+}
+
+module.exports = { parseXml, findAll, childText };
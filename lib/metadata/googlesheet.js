@@ -0,0 +1,40 @@
+// lib/metadata/googlesheet.js - The original backend: gviz CSV export for reads, Apps Script for writes
+const { fetchShotData, postSheetUpdate, postSheetUpdates } = require('../sheet');
+const { getSheetCsvUrl } = require('../settings');
+const { pickShots } = require('./records');
+
+function create(config) {
+    const sheetUrl = getSheetCsvUrl(config);
+    const toUpdate = ({ id, durations, version }) => ({
+        originalTitle: id,
+        dur_f: durations.durationFrames,
+        dur_s: durations.durationSeconds,
+        guide_version: version,
+    });
+
+    return {
+        key: sheetUrl || `google-sheet:${config.appsScriptUrl}`,
+        label: config.sheetName ? `Google Sheet "${config.sheetName}"` : 'Google Sheet',
+        canReport: !!config.appsScriptUrl,
+
+        async lookup(ids) {
+            if (!sheetUrl) throw new Error('No sheet ID configured.');
+            return pickShots(await fetchShotData(sheetUrl, config.columnMap), ids);
+        },
+
+        reportResult(id, durations, version) {
+            return postSheetUpdate(config.appsScriptUrl, toUpdate({ id, durations, version }));
+        },
+
+        // Several rows in one request, for scripts that support it. See postSheetUpdates.
+        reportResults(results) {
+            return postSheetUpdates(config.appsScriptUrl, results.map(toUpdate));
+        },
+    };
+}
+
+module.exports = {
+    type: 'google-sheet',
+    label: 'Google Sheet + Apps Script',
+    create,
+};
@@ -0,0 +1,43 @@
+// lib/metadata/index.js - Shot metadata providers: where chapter IDs get their names and where results go
+//
+// A provider is created from a profile's settings and offers
+//   lookup(ids)                          -> Promise of { id: shot row }; `ids` null means every shot. A row
+//                                           is { guideName, path } plus optional fields (see records.js)
+//   reportResult(id, durations, version) -> Promise of { success, message }; `durations` is
+//                                           { durationFrames, durationSeconds }
+// plus `key` (identifies the shot list, for the snapshot cache and the outbox), `label`, `canReport`,
+// and optionally reportResults([{ id, durations, version }]) for backends that take several rows at once.
+const { parseColumnMap } = require('./records');
+
+const PROVIDERS = [
+    require('./googlesheet'),
+    require('./spreadsheet'),
+    require('./jsonfile'),
+    require('./rest'),
+];
+
+const DEFAULT_PROVIDER = 'google-sheet';
+
+// The settings a provider is built from. Stored with queued write-backs, so a result still goes to
+// the shot list it was meant for after the profile changes.
+function providerConfig(profile) {
+    return {
+        type: profile.metadataProvider || DEFAULT_PROVIDER,
+        sheetId: profile.sheetId,
+        sheetName: profile.sheetName,
+        appsScriptUrl: profile.appsScriptUrl,
+        source: profile.metadataSource,
+        metadataToken: profile.metadataToken,
+        columnMap: parseColumnMap(profile.columnMap),
+    };
+}
+
+function createProvider(config) {
+    const provider = PROVIDERS.find(p => p.type === config.type);
+    if (!provider) {
+        throw new Error(`Unknown metadata provider "${config.type}". Available: ${PROVIDERS.map(p => p.type).join(', ')}`);
+    }
+    return { type: provider.type, ...provider.create(config) };
+}
+
+module.exports = { PROVIDERS, DEFAULT_PROVIDER, providerConfig, createProvider };
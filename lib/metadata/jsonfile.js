@@ -0,0 +1,52 @@
+// lib/metadata/jsonfile.js - A shot list kept in a local JSON file
+//
+// The file holds a list of shots, { "shots": [...] }, or a map of ID -> shot. Results are stored on
+// the shot as dur_f, dur_s and guide_v, keeping the file's layout.
+const fs = require('fs');
+const path = require('path');
+const { fieldKeys, normalizeShotRecords, pickShots, resultFields } = require('./records');
+const { writeJsonAtomic } = require('../fsutil');
+
+function findRecord(data, id, columnMap) {
+    const idKeys = fieldKeys('id', columnMap);
+    const records = Array.isArray(data) ? data : (data && Array.isArray(data.shots) ? data.shots : null);
+    if (records) {
+        return records.find(record => record && idKeys.some(key => record[key] !== undefined && String(record[key]).trim() === id)) || null;
+    }
+    return data && typeof data[id] === 'object' ? data[id] : null;
+}
+
+function create(config) {
+    const filePath = config.source;
+    const read = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    return {
+        key: `file:${filePath}`,
+        label: `Shot list ${path.basename(filePath || '')}`,
+        canReport: !!filePath,
+
+        async lookup(ids) {
+            if (!filePath) throw new Error('No shot list file configured.');
+            return pickShots(normalizeShotRecords(read(), config.columnMap), ids);
+        },
+
+        async reportResult(id, durations, version) {
+            try {
+                const data = read();
+                const record = findRecord(data, id, config.columnMap);
+                if (!record) throw new Error(`No shot with ID "${id}" in ${path.basename(filePath)}.`);
+                Object.assign(record, resultFields(durations, version));
+                writeJsonAtomic(filePath, data);
+                return { success: true, message: `Written to ${path.basename(filePath)}` };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        },
+    };
+}
+
+module.exports = {
+    type: 'json',
+    label: 'Local JSON file',
+    create,
+};
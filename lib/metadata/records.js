@@ -0,0 +1,198 @@
+// lib/metadata/records.js - Helpers shared by the shot metadata providers
+const { log } = require('../logger');
+
+// Shot fields a column can be mapped to, and the header each is read from when the profile's column
+// mapping does not name one. ID, GUIDE_NAME and PATH must exist; the others are read when present.
+const SHOT_COLUMNS = {
+    id: 'ID',
+    guideName: 'GUIDE_NAME',
+    path: 'PATH',
+    sequence: 'SEQUENCE',
+    episode: 'EPISODE',
+    assignee: 'ASSIGNEE',
+    status: 'STATUS',
+    notes: 'NOTES',
+    frameIn: 'FRAME_IN', // Source frame the guide starts at, replacing the marker's in point
+    frameOut: 'FRAME_OUT', // Last source frame of the guide, replacing the marker's out point
+    preset: 'PRESET', // Encoding preset for this shot
+    skip: 'SKIP', // Any of yes / y / true / 1 / x / skip leaves the shot out of the run
+};
+const REQUIRED_COLUMNS = ['id', 'guideName', 'path'];
+
+// Descriptive fields, shown in the chapter list and usable in naming templates along with every
+// column that is not mapped to a shot field.
+const INFO_FIELDS = ['sequence', 'episode', 'assignee', 'status', 'notes'];
+
+// Columns the providers write results to. They are not read back as shot fields.
+const RESULT_COLUMNS = ['DUR_F', 'DUR_S', 'GUIDE_V'];
+
+// Field names accepted for each shot property in JSON files and REST replies, in order of preference.
+const ID_KEYS = ['id', 'ID', 'shot', 'code'];
+const GUIDE_NAME_KEYS = ['guideName', 'guide_name', 'GUIDE_NAME', 'name'];
+const PATH_KEYS = ['path', 'PATH'];
+
+const SKIP_VALUES = ['yes', 'y', 'true', '1', 'x', 'skip'];
+
+// Parses a profile's column mapping, "field=Header" entries separated by commas, semicolons or new
+// lines (e.g. "guideName=SHOT NAME, path=FOLDER"). Throws on entries it cannot use.
+function parseColumnMap(text) {
+    const columnMap = {};
+    String(text || '').split(/[,;\n]/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(/^(\w+)\s*=\s*(.+)$/);
+        if (!match) {
+            throw new Error(`Column mapping "${entry}" should look like field=Column Header.`);
+        }
+        const field = Object.keys(SHOT_COLUMNS).find(f => f.toLowerCase() === match[1].toLowerCase());
+        if (!field) {
+            throw new Error(`Unknown shot field "${match[1]}" in the column mapping. Fields: ${Object.keys(SHOT_COLUMNS).join(', ')}`);
+        }
+        columnMap[field] = match[2].trim();
+    });
+    return columnMap;
+}
+
+// The name an unmapped column is carried under: "Shot Lead" becomes shot_lead.
+function fieldKey(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Finds the column of every shot field in a header row. Resolves to { indexes: { field: column },
+// extras: [{ index, key }] }, `extras` being the columns no field uses. Throws if a required one is missing.
+function resolveColumns(headerNames, columnMap = {}) {
+    const upper = headerNames.map(h => h.toUpperCase());
+    const indexes = {};
+    for (const field of Object.keys(SHOT_COLUMNS)) {
+        const index = upper.indexOf((columnMap[field] || SHOT_COLUMNS[field]).toUpperCase());
+        if (index !== -1) indexes[field] = index;
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(field => indexes[field] === undefined);
+    if (missing.length > 0) {
+        const names = missing.map(field => `"${columnMap[field] || SHOT_COLUMNS[field]}"`);
+        throw new Error(`Could not find required columns ${names.join(', ')} in the sheet. Headers found: [${headerNames.join(', ')}]`);
+    }
+
+    const used = new Set(Object.values(indexes));
+    const extras = headerNames
+        .map((header, index) => ({ index, key: fieldKey(header) }))
+        .filter(({ index, key }) => key && !used.has(index) && !RESULT_COLUMNS.includes(upper[index]));
+    return { indexes, extras };
+}
+
+function parseFrame(value, id, field) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const frame = Number(value);
+    if (!Number.isInteger(frame) || frame < 0) {
+        log(`[WARNING] Ignoring ${field} "${value}" for ID "${id}": not a frame number.`);
+        return null;
+    }
+    return frame;
+}
+
+// Builds the shot row every provider returns:
+//   { guideName, path, fields?, preset?, skip?, frameIn?, frameOut? }
+// `values` holds the raw value of each shot field, `extras` the unmapped columns by key.
+function shotRecord(id, values, extras = {}) {
+    const record = {
+        guideName: values.guideName || 'UNKNOWN_GUIDE_NAME',
+        path: values.path || 'UNKNOWN_PATH',
+    };
+
+    const fields = {};
+    INFO_FIELDS.forEach(field => {
+        if (values[field]) fields[field] = values[field];
+    });
+    Object.entries(extras).forEach(([key, value]) => {
+        if (value && !(key in fields) && !(key in SHOT_COLUMNS)) fields[key] = value;
+    });
+    if (Object.keys(fields).length > 0) record.fields = fields;
+
+    if (values.preset) record.preset = values.preset;
+    if (SKIP_VALUES.includes(String(values.skip || '').trim().toLowerCase())) record.skip = true;
+
+    const frameIn = parseFrame(values.frameIn, id, 'FRAME_IN');
+    const frameOut = parseFrame(values.frameOut, id, 'FRAME_OUT');
+    if (frameIn !== null && frameOut !== null && frameOut < frameIn) {
+        log(`[WARNING] Ignoring the frame range ${frameIn}-${frameOut} for ID "${id}": it ends before it starts.`);
+    } else {
+        if (frameIn !== null) record.frameIn = frameIn;
+        if (frameOut !== null) record.frameOut = frameOut;
+    }
+    return record;
+}
+
+// Keys a JSON shot record may carry `field` under, the profile's mapping first.
+function fieldKeys(field, columnMap = {}) {
+    const defaults = {
+        id: ID_KEYS,
+        guideName: GUIDE_NAME_KEYS,
+        path: PATH_KEYS,
+    }[field] || [field, SHOT_COLUMNS[field], fieldKey(SHOT_COLUMNS[field])];
+    return columnMap[field] ? [columnMap[field], ...defaults] : defaults;
+}
+
+function firstValue(record, keys) {
+    const key = keys.find(k => record[k] !== undefined && record[k] !== null && record[k] !== '');
+    return key ? String(record[key]).trim() : '';
+}
+
+// Accepts a list of shot records, { shots: [...] }, or a map of ID -> record, and returns the
+// map of chapter ID -> shot row the sheet lookup produces. `columnMap` renames fields as for sheets.
+function normalizeShotRecords(data, columnMap = {}) {
+    let records = data;
+    if (data && Array.isArray(data.shots)) records = data.shots;
+    if (records && !Array.isArray(records) && typeof records === 'object') {
+        records = Object.entries(records).map(([id, record]) => ({ id, ...record }));
+    }
+    if (!Array.isArray(records)) {
+        throw new Error('Expected a list of shots or a map of shot ID to shot.');
+    }
+
+    const shotDataMap = {};
+    records.forEach(record => {
+        if (!record || typeof record !== 'object') return;
+        const values = {};
+        const used = new Set();
+        for (const field of Object.keys(SHOT_COLUMNS)) {
+            const keys = fieldKeys(field, columnMap);
+            values[field] = firstValue(record, keys);
+            keys.forEach(key => used.add(key));
+        }
+        if (!values.id) return;
+
+        const extras = {};
+        Object.entries(record).forEach(([key, value]) => {
+            if (used.has(key) || value === null || typeof value === 'object') return;
+            if (RESULT_COLUMNS.includes(key.toUpperCase())) return;
+            extras[fieldKey(key)] = String(value).trim();
+        });
+        shotDataMap[values.id] = shotRecord(values.id, values, extras);
+    });
+    return shotDataMap;
+}
+
+// The rows for `ids` only, or all of them when `ids` is null.
+function pickShots(shotDataMap, ids) {
+    if (!ids) return shotDataMap;
+    const picked = {};
+    ids.forEach(id => {
+        if (shotDataMap[id]) picked[id] = shotDataMap[id];
+    });
+    return picked;
+}
+
+// The duration columns every provider writes, named as the Apps Script expects them.
+function resultFields(durations, version) {
+    return { dur_f: durations.durationFrames, dur_s: durations.durationSeconds, guide_v: version };
+}
+
+module.exports = {
+    SHOT_COLUMNS,
+    parseColumnMap,
+    resolveColumns,
+    shotRecord,
+    fieldKeys,
+    normalizeShotRecords,
+    pickShots,
+    resultFields,
+};
@@ -0,0 +1,89 @@
+// lib/metadata/rest.js - A shot database behind a JSON REST API (ShotGrid-style)
+//
+//   GET  <base>/shots?ids=ID1,ID2      -> a list of shots, { "shots": [...] } or a map of ID -> shot
+//   POST <base>/shots/<id>/result      <- { id, dur_f, dur_s, guide_v }; any 2xx reply counts as done
+//
+// Shots carry id, guideName (or guide_name / GUIDE_NAME) and path, plus any of the optional shot fields
+// (see SHOT_COLUMNS in ./records), renamed by the profile's column mapping. With a token every request sends
+// "Authorization: Bearer <token>". http:// base URLs are accepted so a local stand-in can be used.
+const { clientFor } = require('../sheet');
+const { log } = require('../logger');
+const { normalizeShotRecords, pickShots, resultFields } = require('./records');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Resolves with { statusCode, body } (`body` parsed as JSON when possible); rejects on network errors.
+function requestJson(url, { method = 'GET', body = null, token = '' } = {}) {
+    return new Promise((resolve, reject) => {
+        const postData = body === null ? null : JSON.stringify(body);
+        const headers = { Accept: 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (postData !== null) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(postData);
+        }
+
+        const req = clientFor(url).request(new URL(url), { method, headers }, (res) => {
+            let responseBody = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { responseBody += chunk; });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = responseBody ? JSON.parse(responseBody) : null;
+                } catch (e) {
+                    parsed = null;
+                }
+                resolve({ statusCode: res.statusCode, body: parsed, text: responseBody });
+            });
+        });
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`No reply within ${REQUEST_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        if (postData !== null) req.write(postData);
+        req.end();
+    });
+}
+
+function create(config) {
+    const baseUrl = (config.source || '').replace(/\/+$/, '');
+
+    return {
+        key: `rest:${baseUrl}`,
+        label: `Shot API ${baseUrl}`,
+        canReport: !!baseUrl,
+
+        async lookup(ids) {
+            if (!baseUrl) throw new Error('No shot API URL configured.');
+            const query = ids ? `?ids=${ids.map(encodeURIComponent).join(',')}` : '';
+            log(`Fetching shot data from: ${baseUrl}/shots${query}`);
+            const { statusCode, body } = await requestJson(`${baseUrl}/shots${query}`, { token: config.metadataToken });
+            if (statusCode !== 200) throw new Error(`Shot API request failed with status code: ${statusCode}`);
+            if (body === null) throw new Error('Shot API did not reply with JSON.');
+            return pickShots(normalizeShotRecords(body, config.columnMap), ids);
+        },
+
+        async reportResult(id, durations, version) {
+            const url = `${baseUrl}/shots/${encodeURIComponent(id)}/result`;
+            log(`Posting result for ID ${id} to ${url}`);
+            try {
+                const { statusCode, body, text } = await requestJson(url, {
+                    method: 'POST',
+                    body: { id, ...resultFields(durations, version) },
+                    token: config.metadataToken,
+                });
+                const success = statusCode >= 200 && statusCode < 300;
+                const detail = (body && body.message) || text.substring(0, 80);
+                const message = success ? (detail || `HTTP ${statusCode}`) : `HTTP ${statusCode}${detail ? `: ${detail}` : ''}`;
+                return { success, message };
+            } catch (error) {
+                return { success: false, message: `Network Error: ${error.message}` };
+            }
+        },
+    };
+}
+
+module.exports = {
+    type: 'rest',
+    label: 'REST API',
+    create,
+};
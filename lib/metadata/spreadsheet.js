@@ -0,0 +1,111 @@
+// lib/metadata/spreadsheet.js - A shot list kept in a local CSV, TSV or XLSX file
+//
+// Same columns as the Google Sheet (ID, GUIDE_NAME, PATH and the optional ones, or whatever the
+// profile's column mapping names). Results are written into the CSV's
+// DUR_F, DUR_S and GUIDE_V columns, which are added when missing. XLSX files are only read; their
+// results go to a "<name>.results.csv" next to them. A workbook is read from the sheet named like
+// the profile's Google Sheet tab, or from its first sheet when it has none of that name.
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine, splitCsvToLines, parseShotRows } = require('../sheet');
+const { readXlsxRows } = require('./xlsx');
+const { SHOT_COLUMNS, pickShots, resultFields } = require('./records');
+const { writeFileAtomic } = require('../fsutil');
+
+const RESULT_HEADERS = { dur_f: 'DUR_F', dur_s: 'DUR_S', guide_v: 'GUIDE_V' };
+
+function readText(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    // Excel saves "Unicode Text" as UTF-16LE with a BOM.
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return buffer.toString('utf16le').slice(1);
+    }
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function isXlsx(filePath) {
+    return path.extname(filePath).toLowerCase() === '.xlsx';
+}
+
+// Rows of cells from a CSV or TSV file, and the delimiter it uses.
+function readCsvRows(filePath) {
+    const lines = splitCsvToLines(readText(filePath));
+    const delimiter = lines.length > 0 && lines[0].includes('\t') ? '\t' : ',';
+    return { delimiter, rows: lines.map(line => parseCsvLine(line, delimiter)) };
+}
+
+function formatCsvCell(value, delimiter) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Sets the result columns of the row with `id`, creating the file (for XLSX results) or the columns
+// as needed. The file is replaced in one rename so a crash cannot leave it half-written.
+function writeResultRow(filePath, id, fields, { createRow = false, idHeader = SHOT_COLUMNS.id } = {}) {
+    let delimiter = ',';
+    let rows = [[idHeader]];
+    if (fs.existsSync(filePath)) {
+        ({ delimiter, rows } = readCsvRows(filePath));
+    }
+    if (rows.length === 0) rows = [[idHeader]];
+
+    const header = rows[0];
+    const idIndex = header.findIndex(h => h.trim().toUpperCase() === idHeader.toUpperCase());
+    if (idIndex === -1) throw new Error(`${path.basename(filePath)} has no ${idHeader} column.`);
+
+    let row = rows.slice(1).find(r => (r[idIndex] || '').trim() === id);
+    if (!row) {
+        if (!createRow) throw new Error(`No row with ID "${id}" in ${path.basename(filePath)}.`);
+        row = [];
+        row[idIndex] = id;
+        rows.push(row);
+    }
+    for (const [field, headerName] of Object.entries(RESULT_HEADERS)) {
+        let column = header.findIndex(h => h.trim().toUpperCase() === headerName);
+        if (column === -1) {
+            header.push(headerName);
+            column = header.length - 1;
+        }
+        row[column] = fields[field];
+    }
+
+    const text = rows.map(r => Array.from({ length: Math.max(r.length, header.length) }, (_, i) => formatCsvCell(r[i], delimiter)).join(delimiter)).join('\r\n');
+    writeFileAtomic(filePath, `${text}\r\n`);
+}
+
+function create(config) {
+    const filePath = config.source;
+    const resultsPath = filePath && isXlsx(filePath)
+        ? path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.results.csv`)
+        : filePath;
+
+    return {
+        key: `file:${filePath}`,
+        label: `Shot list ${path.basename(filePath || '')}`,
+        canReport: !!filePath,
+
+        async lookup(ids) {
+            if (!filePath) throw new Error('No shot list file configured.');
+            const rows = isXlsx(filePath) ? readXlsxRows(filePath, config.sheetName, { orFirstSheet: true }) : readCsvRows(filePath).rows;
+            return pickShots(parseShotRows(rows, config.columnMap), ids);
+        },
+
+        async reportResult(id, durations, version) {
+            try {
+                writeResultRow(resultsPath, id, resultFields(durations, version), {
+                    createRow: resultsPath !== filePath,
+                    idHeader: (config.columnMap && config.columnMap.id) || SHOT_COLUMNS.id,
+                });
+                return { success: true, message: `Written to ${path.basename(resultsPath)}` };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        },
+    };
+}
+
+module.exports = {
+    type: 'spreadsheet',
+    label: 'Local CSV / XLSX file',
+    create,
+};
@@ -0,0 +1,111 @@
+// lib/metadata/xlsx.js - Minimal XLSX reader for local shot lists
+//
+// Only what a shot list needs: the cell text of one worksheet. No formulas, styles or dates, and no
+// Zip64 archives (workbooks over 4 GB).
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseXml, findAll } = require('../markers/xml');
+
+// Reads every file of a zip archive into a map of entry name -> Buffer.
+function readZip(buffer) {
+    const eocdSignature = 0x06054b50;
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === eocdSignature) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive (no end of central directory).');
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = {};
+    for (let n = 0; n < entryCount; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries[name] = data;
+        } else if (method === 8) {
+            entries[name] = zlib.inflateRawSync(data);
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function readXmlEntry(entries, name) {
+    const data = entries[name];
+    return data ? parseXml(data.toString('utf8')) : null;
+}
+
+// All text of an element, rich text runs included.
+function textOf(element) {
+    return findAll(element, 't').map(t => t.text).join('');
+}
+
+// "AB12" -> 27 (zero-based column index).
+function columnIndex(cellRef) {
+    const letters = (cellRef.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+// Path of the worksheet called `sheetName`, or of the first sheet when no name is given (or, with
+// `orFirstSheet`, when the workbook has no sheet of that name).
+function findWorksheet(entries, sheetName, orFirstSheet) {
+    const workbook = readXmlEntry(entries, 'xl/workbook.xml');
+    const rels = readXmlEntry(entries, 'xl/_rels/workbook.xml.rels');
+    if (!workbook || !rels) throw new Error('Not an XLSX workbook.');
+
+    const sheets = findAll(workbook, 'sheet');
+    const named = sheetName ? sheets.find(s => s.attrs.name.toLowerCase() === sheetName.toLowerCase()) : null;
+    const sheet = named || (!sheetName || orFirstSheet ? sheets[0] : null);
+    if (!sheet) {
+        throw new Error(`Workbook has no sheet "${sheetName}". Sheets: ${sheets.map(s => s.attrs.name).join(', ')}`);
+    }
+    const relation = findAll(rels, 'Relationship').find(r => r.attrs.Id === sheet.attrs['r:id']);
+    if (!relation) throw new Error(`Workbook does not say where sheet "${sheet.attrs.name}" is stored.`);
+    const target = relation.attrs.Target;
+    return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+}
+
+// Returns the sheet as rows of cell text, like a parsed CSV.
+function readXlsxRows(filePath, sheetName = '', { orFirstSheet = false } = {}) {
+    const entries = readZip(fs.readFileSync(filePath));
+    const sharedStringsXml = readXmlEntry(entries, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml ? findAll(sharedStringsXml, 'si').map(textOf) : [];
+
+    const worksheet = readXmlEntry(entries, findWorksheet(entries, sheetName, orFirstSheet));
+    return findAll(worksheet, 'row').map(row => {
+        const cells = [];
+        findAll(row, 'c').forEach((cell, i) => {
+            const value = cell.children.find(c => c.name === 'v');
+            let text = '';
+            if (cell.attrs.t === 's') {
+                text = value ? sharedStrings[parseInt(value.text, 10)] || '' : '';
+            } else if (cell.attrs.t === 'inlineStr') {
+                text = textOf(cell);
+            } else if (value) {
+                text = value.text;
+            }
+            const index = cell.attrs.r ? columnIndex(cell.attrs.r) : i;
+            while (cells.length < index) cells.push('');
+            cells[index] = text;
+        });
+        return cells;
+    });
+}
+
+module.exports = { readXlsxRows };
@@ -0,0 +1,176 @@
+// lib/naming.js - Output folder and file name templates
+//
+// A template is text with {token} placeholders. A token may take a format after a colon and filters
+// after bars: {version:03} pads the version to three digits, {date:YYYY-MM-DD} formats the run date,
+// {guideName|filename|lower} replaces characters not allowed in file names, then lowercases.
+//
+// Tokens: project (profile name), path (the shot list PATH), guideName, id (the chapter's shot ID),
+// version, source (source file name without extension), date, preset, and every shot list field
+// (sequence, episode, assignee, status, notes, and other columns by key, e.g. {shot_lead}).
+const path = require('path');
+
+// The rules the app always used: PATH uppercased under the output root, name-vNNN in lowercase.
+const DEFAULT_DIR_TEMPLATE = '{path|upper}';
+const DEFAULT_FILE_TEMPLATE = '{guideName|filename|lower}-v{version:03}';
+// Where chapters go when the directory template uses {path} and the shot list gave them none.
+const UNMATCHED_DIR_TEMPLATE = '_UNMATCHED/{source|upper}';
+
+const DEFAULT_DATE_FORMAT = 'YYYYMMDD';
+
+const FILTERS = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    title: value => value.toLowerCase().replace(/(^|[\s_-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase()),
+    trim: value => value.trim(),
+    snake: value => value.trim().replace(/\s+/g, '_'),
+    kebab: value => value.trim().replace(/\s+/g, '-'),
+    // Drops characters Windows does not allow in a path, keeping separators.
+    sanitize: value => value.replace(/[:*?"<>|]/g, ''),
+    // Spaces, separators and characters not allowed in a file name become underscores.
+    filename: value => value.replace(/[ /\\?%*:|"<>]/g, '_'),
+    slug: value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+};
+
+function formatDate(date, format) {
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const parts = {
+        YYYY: date.getFullYear(),
+        YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+// Splits a template into literal text and { token, format, filters } parts. Throws on bad syntax.
+function parseTemplate(template) {
+    const parts = [];
+    let last = 0;
+    const pattern = /\{([^{}]*)\}/g;
+    let match;
+    while ((match = pattern.exec(template)) !== null) {
+        parts.push(template.slice(last, match.index));
+        const tokenMatch = match[1].trim().match(/^(\w+)(?::([^|]*))?((?:\|\s*\w+\s*)*)$/);
+        if (!tokenMatch) throw new Error(`Cannot read "{${match[1]}}" in the template "${template}".`);
+        const [, token, format = '', filterText] = tokenMatch;
+        const filters = filterText.split('|').map(f => f.trim()).filter(Boolean);
+        const unknown = filters.find(filter => !FILTERS[filter]);
+        if (unknown) {
+            throw new Error(`Unknown filter "${unknown}" in "{${match[1]}}". Filters: ${Object.keys(FILTERS).join(', ')}`);
+        }
+        if (format && token !== 'date' && !/^\d+$/.test(format)) {
+            throw new Error(`"{${match[1]}}": only {date} takes a pattern; other tokens take a width such as :03.`);
+        }
+        parts.push({ token, format, filters });
+        last = pattern.lastIndex;
+    }
+    parts.push(template.slice(last));
+    if (parts.some(part => typeof part === 'string' && /[{}]/.test(part))) {
+        throw new Error(`Unbalanced braces in the template "${template}".`);
+    }
+    return parts;
+}
+
+function tokensOf(parts) {
+    return parts.filter(part => typeof part !== 'string').map(part => part.token);
+}
+
+// Fills in a parsed template. Returns { text, missing }, `missing` naming the tokens that had no value.
+function renderTemplate(parts, values) {
+    const missing = [];
+    const text = parts.map(part => {
+        if (typeof part === 'string') return part;
+        const raw = values[part.token];
+        if (raw === undefined || raw === null || raw === '') {
+            missing.push(part.token);
+            return '';
+        }
+        let value;
+        if (raw instanceof Date) {
+            value = formatDate(raw, part.format || DEFAULT_DATE_FORMAT);
+        } else {
+            value = String(raw);
+            if (part.format) value = value.padStart(parseInt(part.format, 10), '0');
+        }
+        return part.filters.reduce((result, filter) => FILTERS[filter](result), value);
+    }).join('');
+    return { text, missing };
+}
+
+// Checks a profile's templates without rendering them. Throws with a readable message.
+function validateTemplates({ dirTemplate = '', fileTemplate = '' } = {}) {
+    const dirParts = parseTemplate(dirTemplate || DEFAULT_DIR_TEMPLATE);
+    if (tokensOf(dirParts).includes('version')) {
+        throw new Error('The folder template cannot use {version}; versions are counted per folder.');
+    }
+    const fileParts = parseTemplate(fileTemplate || DEFAULT_FILE_TEMPLATE);
+    if (!tokensOf(fileParts).includes('version')) {
+        throw new Error('The file name template needs a {version} token so new versions do not overwrite old ones.');
+    }
+    return { dirParts, fileParts };
+}
+
+function hasPath(chapter) {
+    return !!chapter.path && chapter.path !== 'UNKNOWN_PATH' && chapter.path.trim() !== '';
+}
+
+// The naming settings of a profile, as createNaming takes them.
+function profileNaming(profile) {
+    return { dirTemplate: profile.dirTemplate, fileTemplate: profile.fileTemplate, project: profile.name };
+}
+
+// Compiles the templates for a run. `project` is the profile name and `date` the run date, so every
+// chapter of a batch (and a resumed batch) gets the same {date}. Throws on a bad template.
+function createNaming({ dirTemplate = '', fileTemplate = '', project = '', date = new Date() } = {}) {
+    const { dirParts, fileParts } = validateTemplates({ dirTemplate, fileTemplate });
+    const unmatchedParts = parseTemplate(UNMATCHED_DIR_TEMPLATE);
+    const runDate = date instanceof Date ? date : new Date(date);
+
+    function values(chapter, presetName, version) {
+        return {
+            ...(chapter.fields || {}),
+            project,
+            path: hasPath(chapter) ? chapter.path : '',
+            guideName: chapter.title,
+            id: chapter.originalTitle || chapter.title,
+            version,
+            source: path.basename(chapter.sourceFile, path.extname(chapter.sourceFile)),
+            date: runDate,
+            preset: presetName,
+        };
+    }
+
+    // The chapter's output directory under `baseDir`: { dir, missing, unmatched }. Empty and
+    // "." / ".." segments are dropped, so no template can point outside the output root.
+    function outputDir(chapter, baseDir, presetName) {
+        const unmatched = tokensOf(dirParts).includes('path') && !hasPath(chapter);
+        const { text, missing } = renderTemplate(unmatched ? unmatchedParts : dirParts, values(chapter, presetName));
+        const segments = text.split(/[\\/]+/)
+            .map(segment => FILTERS.sanitize(segment).trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+        return { dir: path.join(baseDir, ...segments), missing, unmatched };
+    }
+
+    // The file name (without extension) for one version of the chapter's guide.
+    function fileName(chapter, presetName, version) {
+        const { text, missing } = renderTemplate(fileParts, values(chapter, presetName, version));
+        const name = text.replace(/[\\/:*?"<>|]/g, '_').replace(/[. ]+$/, '');
+        return { name: name || `untitled-v${String(version).padStart(3, '0')}`, missing };
+    }
+
+    return { outputDir, fileName };
+}
+
+module.exports = {
+    DEFAULT_DIR_TEMPLATE,
+    DEFAULT_FILE_TEMPLATE,
+    FILTERS,
+    parseTemplate,
+    renderTemplate,
+    validateTemplates,
+    profileNaming,
+    createNaming,
+};
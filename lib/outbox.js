@@ -0,0 +1,227 @@
+// lib/outbox.js - Persistent queue of duration write-backs to the shot metadata provider
+//
+// Updates are written to <userData>/outbox.json before anything is sent, so a failed request or a quit
+// loses nothing. Due rows for the same shot list go out as one request when the provider accepts
+// batches; failures back off exponentially until MAX_ATTEMPTS, after which they wait for a manual retry.
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./fsutil');
+const { createProvider } = require('./metadata');
+
+const OUTBOX_FILE = 'outbox.json';
+const BATCH_SIZE = 25;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const KEEP_SYNCED = 200;
+
+// Item states: pending (waiting for its next attempt) -> sending -> synced | pending again | failed.
+
+function createOutbox(userDataDir, { onChange = () => {} } = {}) {
+    const filePath = path.join(userDataDir, OUTBOX_FILE);
+    // `endpoints` remembers, per provider config, whether it answered a batch request with per-row results.
+    let state = { items: [], endpoints: {} };
+    let timer = null;
+    let flushing = false;
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        state = { items: Array.isArray(raw.items) ? raw.items : [], endpoints: raw.endpoints || {} };
+        // A request cut short by a quit is sent again.
+        state.items.filter(item => item.state === 'sending').forEach(item => { item.state = 'pending'; });
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`[WARNING] Could not read the sheet outbox: ${error.message}`);
+    }
+
+    function save() {
+        const synced = state.items.filter(item => item.state === 'synced');
+        if (synced.length > KEEP_SYNCED) {
+            const drop = new Set(synced.slice(0, synced.length - KEEP_SYNCED));
+            state.items = state.items.filter(item => !drop.has(item));
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            writeJsonAtomic(filePath, state);
+        } catch (error) {
+            log(`[WARNING] Could not save the sheet outbox: ${error.message}`);
+        }
+    }
+
+    function describe(item) {
+        return {
+            id: item.update.id,
+            state: item.state === 'sending' ? 'pending' : item.state,
+            attempts: item.attempts,
+            lastError: item.lastError,
+            nextAttemptAt: item.state === 'pending' ? item.nextAttemptAt : null,
+        };
+    }
+
+    function changed(items) {
+        save();
+        items.forEach(item => onChange(describe(item)));
+    }
+
+    function schedule() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        const waiting = state.items.filter(item => item.state === 'pending');
+        if (waiting.length === 0 || flushing) return;
+        const nextAt = Math.min(...waiting.map(item => item.nextAttemptAt));
+        timer = setTimeout(flush, Math.max(0, nextAt - Date.now()));
+        if (timer.unref) timer.unref();
+    }
+
+    function settle(item, success, message) {
+        item.attempts++;
+        item.updatedAt = new Date().toISOString();
+        if (success) {
+            item.state = 'synced';
+            item.lastError = null;
+            log(`Sheet updated for ID ${item.update.id}.`);
+            return;
+        }
+        item.lastError = message;
+        if (item.attempts >= MAX_ATTEMPTS) {
+            item.state = 'failed';
+            log(`[ERROR] Sheet update for ID ${item.update.id} failed after ${item.attempts} attempts: ${message}`);
+            return;
+        }
+        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (item.attempts - 1));
+        item.state = 'pending';
+        item.nextAttemptAt = Date.now() + delay;
+        log(`[WARNING] Sheet update for ID ${item.update.id} failed (${message}). Retrying in ${Math.round(delay / 1000)}s.`);
+    }
+
+    async function sendGroup(endpointKey, group) {
+        let provider;
+        try {
+            provider = createProvider(group[0].target);
+        } catch (error) {
+            group.forEach(item => settle(item, false, error.message));
+            return;
+        }
+        const endpoint = state.endpoints[endpointKey] || {};
+        if (group.length > 1 && provider.reportResults && endpoint.batch !== false) {
+            let reply;
+            try {
+                reply = await provider.reportResults(group.map(item => item.update));
+            } catch (error) {
+                // A provider that throws is retried like one that reports a failure.
+                group.forEach(item => settle(item, false, error.message));
+                return;
+            }
+            const { supported, results, message } = reply;
+            if (supported) {
+                state.endpoints[endpointKey] = { ...endpoint, batch: true };
+                const byId = new Map(results.map(result => [String(result.id), result]));
+                group.forEach(item => {
+                    const result = byId.get(String(item.update.id));
+                    settle(item, !!result && result.success, result ? result.message : 'No result for this row');
+                });
+                return;
+            }
+            if (supported === null) {
+                group.forEach(item => settle(item, false, message));
+                return;
+            }
+            log(`${provider.label} does not accept batched rows. Sending them one at a time.`);
+            state.endpoints[endpointKey] = { ...endpoint, batch: false };
+        }
+        for (const item of group) {
+            const { id, durations, version } = item.update;
+            try {
+                const { success, message } = await provider.reportResult(id, durations, version);
+                settle(item, success, message);
+            } catch (error) {
+                settle(item, false, error.message);
+            }
+        }
+    }
+
+    async function flush() {
+        if (flushing) return;
+        flushing = true;
+        try {
+            const now = Date.now();
+            const due = state.items.filter(item => item.state === 'pending' && item.nextAttemptAt <= now);
+            const byTarget = new Map();
+            due.forEach(item => {
+                const endpointKey = JSON.stringify(item.target);
+                if (!byTarget.has(endpointKey)) byTarget.set(endpointKey, []);
+                byTarget.get(endpointKey).push(item);
+            });
+            for (const [endpointKey, items] of byTarget) {
+                for (let i = 0; i < items.length; i += BATCH_SIZE) {
+                    const group = items.slice(i, i + BATCH_SIZE);
+                    group.forEach(item => { item.state = 'sending'; });
+                    save();
+                    await sendGroup(endpointKey, group);
+                    changed(group);
+                }
+            }
+        } finally {
+            flushing = false;
+            schedule();
+        }
+    }
+
+    // Queues a result for the provider described by `target` (see providerConfig in lib/metadata).
+    // `update` is { id, durations, version }. A newer update for the same row replaces one that has not
+    // gone out yet.
+    function enqueue(target, update) {
+        const key = `${createProvider(target).key}|${update.id}`;
+        state.items = state.items.filter(item => item.key !== key || item.state === 'sending');
+        const now = new Date();
+        const item = {
+            key,
+            target,
+            update,
+            state: 'pending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: now.getTime(),
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+        };
+        state.items.push(item);
+        changed([item]);
+        schedule();
+    }
+
+    // Sends failed rows again, all of them or only those for one sheet ID. Returns how many were requeued.
+    function retry(id = null) {
+        const items = state.items.filter(item => item.state === 'failed' && (id === null || item.update.id === id));
+        items.forEach(item => {
+            item.state = 'pending';
+            item.attempts = 0;
+            item.nextAttemptAt = Date.now();
+        });
+        if (items.length > 0) {
+            log(`Retrying ${items.length} failed sheet update(s).`);
+            changed(items);
+            schedule();
+        }
+        return items.length;
+    }
+
+    // Latest state of every row, newest last.
+    function list() {
+        return state.items.map(describe);
+    }
+
+    // Picks up rows left over from an earlier session.
+    function start() {
+        const waiting = state.items.filter(item => item.state === 'pending').length;
+        const failed = state.items.filter(item => item.state === 'failed').length;
+        if (waiting + failed > 0) {
+            log(`Sheet outbox: ${waiting} update(s) waiting, ${failed} failed from an earlier session.`);
+        }
+        schedule();
+    }
+
+    return { enqueue, retry, list, start, flush };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,26 @@
+// lib/paths.js - Filesystem locations used when running outside of Electron (CLI)
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { name: packageName, productName } = require('../package.json');
+
+// Mirrors Electron's app.getPath('userData') so the CLI shares settings with the GUI.
+function getDefaultUserDataPath() {
+    const appName = productName || packageName;
+    if (process.platform === 'win32') {
+        return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Application Support', appName);
+    }
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+// Looks for a binary in `binDir` first, then falls back to the bare name so it is resolved from PATH.
+function resolveBinary(binaryName, binDir) {
+    const fileName = process.platform === 'win32' ? `${binaryName}.exe` : binaryName;
+    const candidate = path.join(binDir, fileName);
+    return fs.existsSync(candidate) ? candidate : fileName;
+}
+
+module.exports = { getDefaultUserDataPath, resolveBinary };
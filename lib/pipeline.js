@@ -0,0 +1,773 @@
+// lib/pipeline.js - Chapter analysis and guide encoding, shared by the GUI and the CLI
+//
+// Progress is reported through an `emit(channel, payload)` callback whose channels match the
+// IPC events the renderer listens to ('update-status', 'chapter-update', 'processing-complete', ...).
+const path = require('path');
+const fs = require('fs');
+const { log } = require('./logger');
+const { getVideoInfo, getFfmpegVersion, runFfmpeg, killFfmpeg, suspendFfmpeg, resumeFfmpeg, createStillFrame, createJob, releaseJob } = require('./ffmpeg');
+const { loadChapters } = require('./markers');
+const { parseRational, supportsDropFrame, timecodeToFrames, framesToTimecode, getSourceTimecode } = require('./timecode');
+const { planChapters, fingerprintEntry, checkPlanOutputs, sourceFrameRate } = require('./plan');
+const { recordOutput } = require('./manifest');
+const { sidecarPath, buildProvenance, writeProvenance } = require('./provenance');
+const { resolvePreset, supportsChapters, supportsTimecode, scaleFilter, buildEncodeArgs, buildMuxArgs } = require('./presets');
+const { resolveSlate, overlayFilters } = require('./slate');
+const { loudnessTarget, createAudioGraph, parseLoudnessMeasurement } = require('./audio');
+const { createQc, qcFailures, qcWarnings } = require('./qc');
+const { segmentFilePattern, overlayFileName } = require('./tempfiles');
+
+// --- State Management ---
+const processingState = {
+    isProcessing: false,
+    isPaused: false,
+    shouldStop: false,
+    jobs: new Map(), // ffmpeg job handle -> id of the chapter it is encoding
+    pausedAt: null, // Time spent paused does not count towards the ETA
+    pausedMs: 0,
+};
+
+// Pause suspends the running ffmpeg processes in place. A job that cannot be suspended is killed
+// instead and its chapter retried on resume (from its last finished segment when segmenting).
+async function controlProcessing(action, emit) {
+    log(`[CONTROL] Received: ${action}`);
+    if (action === 'pause') {
+        processingState.isPaused = true;
+        processingState.pausedAt = processingState.pausedAt || Date.now();
+        log('--- Processing Paused ---');
+        emit('update-status', 'Paused...');
+        for (const [job, chapterId] of processingState.jobs) {
+            if (await suspendFfmpeg(job)) {
+                emit('chapter-update', { chapterId, status: 'Suspended' });
+            } else {
+                killFfmpeg('pause', job);
+            }
+        }
+    } else if (action === 'resume') {
+        processingState.isPaused = false;
+        if (processingState.pausedAt) {
+            processingState.pausedMs += Date.now() - processingState.pausedAt;
+            processingState.pausedAt = null;
+        }
+        log('--- Processing Resumed ---');
+        emit('update-status', 'Processing...');
+        for (const [job, chapterId] of processingState.jobs) {
+            if (!job.suspended) continue;
+            await resumeFfmpeg(job);
+            emit('chapter-update', { chapterId, status: 'Processing' });
+        }
+    } else if (action === 'stop') {
+        processingState.shouldStop = true;
+        processingState.isPaused = false;
+        log('--- User requested stop. Killing running FFmpeg jobs... ---');
+        killFfmpeg('stop');
+    }
+}
+
+// Reads the chapters of every file, from a marker sidecar or the container itself.
+// `markerFiles` maps a file path to 'auto', 'embedded' or a marker file path; missing entries mean 'auto'.
+// Throws on the first file that cannot be read.
+async function analyzeFiles(filePaths, { ffprobePath, markerFiles = {} }, emit) {
+    log('--- Starting video analysis ---');
+    const allChapters = [];
+    for (const filePath of filePaths) {
+        emit('update-status', `Analyzing: ${path.basename(filePath)}`);
+        let result;
+        try {
+            result = await loadChapters(ffprobePath, filePath, markerFiles[filePath] || 'auto');
+        } catch (error) {
+            log(`Error analyzing ${filePath}: ${error}`);
+            throw new Error(`Error analyzing ${filePath}: ${error.message}`);
+        }
+        const chaptersWithContext = result.chapters.map((c, i) => ({
+            id: `ch-${path.basename(filePath)}-${i}`,
+            title: c.title,
+            start_time: c.start_time,
+            end_time: c.end_time, // Added end_time for robust processing
+            sourceFile: filePath,
+            fileName: path.basename(filePath),
+            markerSource: result.source,
+            frameRate: result.frameRate, // For editing in/out points in frames
+            sourceDuration: result.duration,
+            timecode: result.timecode // Source start timecode, for showing in/out as SMPTE timecode
+        }));
+        allChapters.push(...chaptersWithContext);
+        const origin = result.markerFile ? `from ${path.basename(result.markerFile)}` : 'embedded';
+        log(`Found ${result.chapters.length} chapters (${origin}) in ${path.basename(filePath)}.`);
+    }
+    log(`--- Analysis complete. Found ${allChapters.length} total chapters. ---`);
+    return allChapters;
+}
+
+// Encodes the given chapters into `baseDir`, up to `parallelJobs` at a time. Resolves with a summary of the run.
+// `presetName` is the run's preset; a chapter's own `preset` field overrides it. The run executes a
+// plan (lib/plan.js): the one passed in, whose entries must match `chapters` in order, or one made
+// here first. Outputs a passed-in plan expected to write but that exist by now are skipped.
+// `versionPolicy` (lib/manifest.js) applies to a plan made here; chapters the plan skips as unchanged
+// are reported as 'Skipped'. Every guide written is recorded in its directory's manifest and gets a
+// provenance sidecar (lib/provenance.js). Guides failing their QC (lib/qc.js) are reported as
+// 'QC Failed' with the reasons in `qcFailures`, and count as failed; QC warnings come in `qcWarnings`.
+// With a `journal` batch (lib/journal.js) every chapter's planned output and state is recorded as it
+// changes; chapters must then carry the batch's `jobId`, and an `output` from an earlier run is reused.
+async function processChapters(chapters, { ffmpegPath, ffprobePath, baseDir, presets, presetName, parallelJobs = 1, segmentSeconds = 0, journal = null, naming = {}, versionPolicy, plan = null }, emit) {
+    // Reset state for this run
+    processingState.isProcessing = true;
+    processingState.isPaused = false;
+    processingState.shouldStop = false;
+
+    const summary = { done: 0, failed: 0, skipped: 0, stopped: false };
+
+    try {
+        if (!plan) {
+            // Every chapter of a batch, resumed or not, is named with the date the batch started.
+            try {
+                plan = await planChapters(chapters, { ffprobePath, baseDir, presets, presetName, naming, versionPolicy, date: journal ? journal.batch.createdAt : new Date() });
+            } catch (error) {
+                log(`[ERROR] ${error.message}`);
+                emit('processing-error', `Output naming: ${error.message}`);
+                if (journal) journal.setStatus('failed');
+                summary.failed = chapters.length;
+                return summary;
+            }
+        } else {
+            const stale = checkPlanOutputs(plan);
+            if (stale > 0) log(`[WARNING] ${stale} planned output(s) changed on disk since the plan was made and will not be written.`);
+        }
+        const { entries, videoInfos } = plan;
+
+        let ffmpegVersion = null;
+        try {
+            ffmpegVersion = await getFfmpegVersion(ffmpegPath);
+        } catch (error) {
+            log(`[WARNING] Could not read the FFmpeg version: ${error.message}`);
+        }
+
+        // Workers take chapters off the front of the queue; paused chapters go back to the front.
+        const queue = chapters.map((chapter, index) => index);
+
+        // Batch progress weighs each chapter by its source duration. `progress[i]` runs from 0 to 1.
+        const spans = entries.map(entry => (entry.error || entry.action === 'skip' ? 0 : entry.duration));
+        const totalSeconds = spans.reduce((sum, span) => sum + span, 0);
+        const progress = chapters.map(() => 0);
+        const startedAt = Date.now();
+        processingState.pausedAt = null;
+        processingState.pausedMs = 0;
+
+        const reportBatchProgress = () => {
+            const doneSeconds = progress.reduce((sum, fraction, i) => sum + fraction * spans[i], 0);
+            const fraction = totalSeconds > 0 ? doneSeconds / totalSeconds : 0;
+            const pausedMs = processingState.pausedMs + (processingState.pausedAt ? Date.now() - processingState.pausedAt : 0);
+            const activeSeconds = (Date.now() - startedAt - pausedMs) / 1000;
+            emit('batch-progress', {
+                percent: Math.min(100, fraction * 100),
+                etaSeconds: fraction > 0 ? Math.max(0, activeSeconds * (1 - fraction) / fraction) : null,
+                completed: summary.done + summary.failed + summary.skipped,
+                total: chapters.length,
+            });
+        };
+
+        const record = (chapter, patch) => {
+            if (journal) journal.updateChapter(chapter.jobId, patch);
+        };
+
+        const processOne = async (i) => {
+            const chapter = chapters[i];
+            const entry = entries[i];
+
+            let preset;
+            try {
+                if (entry.error) throw new Error(entry.error);
+                preset = resolvePreset(presets, entry.preset);
+            } catch (error) {
+                log(`[ERROR] ${error.message} Skipping chapter "${chapter.title}".`);
+                emit('chapter-update', { chapterId: chapter.id, status: 'Error' });
+                record(chapter, { status: 'failed', error: error.message });
+                summary.failed++;
+                progress[i] = 1;
+                reportBatchProgress();
+                return;
+            }
+            const { dir: chapterOutputDir, version, finalName: finalClipName } = entry;
+            if (entry.action === 'skip') {
+                log(`"${chapter.title}" is unchanged since ${path.basename(entry.path)}. Skipping.`);
+                emit('chapter-update', {
+                    chapterId: chapter.id,
+                    status: 'Skipped',
+                    message: `Unchanged: ${finalClipName}`,
+                    finalName: finalClipName,
+                    guide_version: version
+                });
+                record(chapter, { status: 'done', skipped: true });
+                summary.skipped++;
+                progress[i] = 1;
+                reportBatchProgress();
+                return;
+            }
+            log(`Target directory for "${chapter.title}" is: "${chapterOutputDir}"`);
+
+            try {
+                fs.mkdirSync(chapterOutputDir, { recursive: true });
+                log(`Ensured directory exists: "${chapterOutputDir}"`);
+            } catch (error) {
+                log(`[FATAL ERROR] Could not create directory "${chapterOutputDir}". Error: ${error.message}. Skipping this chapter.`);
+                emit('chapter-update', { chapterId: chapter.id, status: 'Error' });
+                record(chapter, { status: 'failed', error: error.message });
+                summary.failed++;
+                progress[i] = 1;
+                reportBatchProgress();
+                return;
+            }
+
+            log(`Assigning final name: ${finalClipName}${preset.extension} (preset: ${preset.name})`);
+
+            if (journal) {
+                record(chapter, {
+                    status: 'processing',
+                    error: null,
+                    output: {
+                        dir: chapterOutputDir,
+                        path: entry.path,
+                        finalName: finalClipName,
+                        version,
+                        action: entry.action,
+                        startedAt: new Date().toISOString(),
+                    },
+                });
+            }
+
+            emit('chapter-update', {
+                chapterId: chapter.id,
+                status: 'Processing',
+                message: `Processing: ${finalClipName}`,
+                finalName: finalClipName
+            });
+
+            if (entry.action === 'overwrite') {
+                // Removed up front, so a crash mid-encode cannot leave the old guide to be adopted as the new one.
+                for (const oldFile of [entry.path, sidecarPath(entry.path)].filter(file => fs.existsSync(file))) {
+                    try {
+                        fs.unlinkSync(oldFile);
+                        log(`Removed ${oldFile} to overwrite it.`);
+                    } catch (error) {
+                        log(`[WARNING] Could not remove ${oldFile} before overwriting it: ${error.message}`);
+                    }
+                }
+            }
+
+            const job = createJob(finalClipName);
+            processingState.jobs.set(job, chapter.id);
+            progress[i] = 0;
+            try {
+                const videoInfo = videoInfos[chapter.sourceFile];
+                const { startTime, endTime } = entry;
+
+                const onProgress = ({ percent, speed, etaSeconds }) => {
+                    progress[i] = percent / 100;
+                    emit('chapter-progress', { chapterId: chapter.id, percent, speed, etaSeconds });
+                    reportBatchProgress();
+                };
+
+                const finalChapter = { ...chapter, title: finalClipName };
+                // The naming tokens, for the slate's text overlays.
+                const overlayValues = {
+                    ...(chapter.fields || {}),
+                    project: (plan.naming && plan.naming.project) || '',
+                    path: chapter.path && chapter.path !== 'UNKNOWN_PATH' ? chapter.path : '',
+                    guideName: chapter.title,
+                    name: finalClipName,
+                    id: entry.id,
+                    version,
+                    source: path.basename(chapter.sourceFile, path.extname(chapter.sourceFile)),
+                    date: new Date(plan.createdAt),
+                    preset: preset.name,
+                };
+                const result = await processSingleChapter(ffmpegPath, ffprobePath, videoInfo, { ...finalChapter, startTime, endTime }, chapterOutputDir, preset, { job, segmentSeconds, onProgress, overlayValues });
+
+                log(`Chapter ${finalClipName} processed. DUR_S: ${result.durationSeconds}, DUR_F: ${result.durationFrames}, GUIDE_V: ${version}`);
+                const failures = qcFailures(result.qc);
+                fingerprintEntry(entry, preset);
+                const sidecar = writeProvenance(entry.path, buildProvenance({
+                    chapter, entry, preset, result, ffmpegVersion,
+                    frameRate: sourceFrameRate(videoInfo),
+                    commands: job.commands,
+                }));
+                recordOutput(chapterOutputDir, path.basename(entry.path), {
+                    id: entry.id,
+                    title: chapter.title,
+                    version,
+                    fingerprint: entry.fingerprint,
+                    source: chapter.sourceFile,
+                    sourceHash: entry.sourceHash,
+                    startTime,
+                    endTime,
+                    // Source timecodes of the chapter's first and last frame, and the guide's own start
+                    timecodeIn: entry.timecodeIn,
+                    timecodeOut: entry.timecodeOut,
+                    startTimecode: result.startTimecode,
+                    preset: preset.name,
+                    durationSeconds: result.durationSeconds,
+                    durationFrames: result.durationFrames,
+                    loudness: result.loudness,
+                    qc: result.qc,
+                    marker: chapter.marker || null,
+                    edits: chapter.edits || [],
+                    sidecar,
+                    createdAt: new Date().toISOString(),
+                });
+
+                // Counted only now, so a throw above cannot count the chapter twice. A guide failing
+                // QC stays on disk for inspection but counts as failed.
+                const durations = { durationSeconds: result.durationSeconds, durationFrames: result.durationFrames };
+                if (failures.length > 0) {
+                    summary.failed++;
+                    record(chapter, { status: 'failed', error: `QC failed: ${failures.join('; ')}`, ...durations });
+                } else {
+                    summary.done++;
+                    record(chapter, { status: 'done', ...durations });
+                }
+                progress[i] = 1;
+                emit('chapter-update', {
+                    chapterId: chapter.id,
+                    status: failures.length > 0 ? 'QC Failed' : 'Done',
+                    message: failures.length > 0 ? `QC failed: ${finalClipName}` : undefined,
+                    durationSeconds: result.durationSeconds,
+                    durationFrames: result.durationFrames,
+                    guide_version: version,
+                    qcFailures: failures,
+                    qcWarnings: qcWarnings(result.qc),
+                });
+
+            } catch (error) {
+                if (error.message === 'paused') {
+                    log(`Processing paused at chapter ${finalClipName}. Will re-attempt on resume.`);
+                    emit('chapter-update', { chapterId: chapter.id, status: 'Paused' });
+                    record(chapter, { status: 'pending' });
+                    queue.unshift(i);
+                    queue.sort((a, b) => a - b); // Keep the original order when several jobs were paused
+                    return;
+                }
+
+                if (processingState.shouldStop || error.message === 'stopped') {
+                    log(`Processing of chapter ${finalClipName} was intentionally stopped.`);
+                    emit('chapter-update', { chapterId: chapter.id, status: 'Stopped' });
+                    record(chapter, { status: 'stopped' });
+                    return;
+                }
+
+                log(`[ERROR] Failed to process chapter ${finalClipName}. Error: ${error.message}`);
+                emit('chapter-update', { chapterId: chapter.id, status: 'Error' });
+                record(chapter, { status: 'failed', error: error.message });
+                summary.failed++;
+                progress[i] = 1; // Nothing left to do for it
+            } finally {
+                processingState.jobs.delete(job);
+                releaseJob(job);
+                reportBatchProgress();
+            }
+        };
+
+        const worker = async () => {
+            while (true) {
+                while (processingState.isPaused && !processingState.shouldStop) {
+                    await new Promise(resolve => setTimeout(resolve, 500));
+                }
+                if (processingState.shouldStop) {
+                    log('Processing worker stopped by user request.');
+                    return;
+                }
+                if (queue.length === 0) return;
+                await processOne(queue.shift());
+            }
+        };
+
+        const workerCount = Math.max(1, Math.min(parallelJobs, chapters.length));
+        log(`Encoding ${chapters.length} chapter(s) with ${workerCount} parallel job(s).`);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        summary.stopped = processingState.shouldStop;
+        if (journal) journal.setStatus(summary.stopped ? 'stopped' : 'complete');
+        if (processingState.shouldStop) {
+            log('--- Processing was stopped by the user. ---');
+            emit('processing-stopped');
+        } else {
+            log('--- All chapters have been processed. ---');
+            emit('processing-complete');
+        }
+        return summary;
+    } finally {
+        processingState.isProcessing = false;
+        processingState.isPaused = false;
+        processingState.shouldStop = false;
+    }
+}
+
+// With `segmentSeconds` > 0 the encode is written in segments that survive a pause which had to kill
+// ffmpeg, so the retry picks up after the last finished segment instead of starting over.
+// `onProgress` receives { percent, speed, etaSeconds } for the main encode. The preset's slate
+// (lib/slate.js) sets the holds, the marker box on them and the text overlays, whose tokens are
+// filled in from `overlayValues`. Resolves with { durationFrames, durationSeconds, loudness,
+// startTimecode, qc }, `loudness` being the preset's loudness target and the measurement applied, or
+// null, `startTimecode` the timecode of the guide's first frame and `qc` the result of the guide's QC
+// (lib/qc.js), or null when the preset has none.
+async function processSingleChapter(ffmpegPath, ffprobePath, videoInfo, chapter, chapterOutputDir, preset, { job = null, segmentSeconds = 0, onProgress = null, overlayValues = {} } = {}) {
+    const { sourceFile, title, startTime, endTime } = chapter;
+    const clipName = title; // Already lowercased
+    log(`\n--- Processing Chapter: ${clipName} from ${path.basename(sourceFile)} ---`);
+    log(`Output directory: ${chapterOutputDir}`);
+
+    // Skip cover art, which MP4 and MKV files expose as an extra video stream.
+    const videoStream = videoInfo.streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    if (!videoStream || !videoStream.r_frame_rate) {
+        throw new Error('Could not determine frame rate for the video.');
+    }
+
+    const outputFilePath = path.join(chapterOutputDir, `${clipName}${preset.extension}`);
+    const prefixStillPath = path.join(chapterOutputDir, `prefix_${clipName}.png`);
+    const suffixStillPath = path.join(chapterOutputDir, `suffix_${clipName}.png`);
+    const metadataFilePath = path.join(chapterOutputDir, `metadata_${clipName}.txt`);
+    const overlayFiles = [];
+
+    try {
+        const originalFrameRateString = videoStream.r_frame_rate;
+        let frameRate = parseRational(originalFrameRateString);
+
+        // Sanity check for frame rate. If it's unreadable or something wild (like 0 or > 240), default
+        // to 30. This prevents the "0.00000033" frame duration bug.
+        if (!frameRate || !isFinite(frameRate) || frameRate <= 0 || frameRate > 240) {
+             log(`[WARNING] Detected potentially unsafe frame rate: ${frameRate}. Defaulting to 30.`);
+             frameRate = 30;
+        }
+
+        // The preset may conform the guide to a different frame rate; holds are counted in output frames.
+        const outputFrameRateString = (preset.video && preset.video.frameRate) ? String(preset.video.frameRate) : originalFrameRateString;
+        const outputFrameRate = (preset.video && preset.video.frameRate) ? parseRational(String(preset.video.frameRate)) : frameRate;
+
+        const frameDuration = 1 / frameRate;
+        const slate = resolveSlate(preset);
+        const holdFrames = slate.holdFrames;
+        const holdDuration = holdFrames / outputFrameRate;
+
+        // The guide's timecode, counted at its own frame rate: the chapter's first frame keeps its source
+        // timecode and the prefix hold counts back from it.
+        const sourceTimecode = getSourceTimecode(videoInfo, frameRate);
+        const dropFrame = sourceTimecode.dropFrame && supportsDropFrame(outputFrameRate);
+        const guideStartTimecode = framesToTimecode(
+            Math.round((sourceTimecode.startFrame / frameRate + startTime) * outputFrameRate) - holdFrames, outputFrameRate, dropFrame);
+        const audioStream = videoInfo.streams.find(s => s.codec_type === 'audio');
+        const hasAudio = !!audioStream && !!preset.audio;
+        const hasVideo = !!preset.video;
+        const withChapters = supportsChapters(preset);
+
+        if (!hasVideo && !hasAudio) {
+            throw new Error(`Preset "${preset.name}" is audio-only but the source has no audio.`);
+        }
+
+        const withHolds = holdFrames > 0;
+        if (hasVideo && withHolds) {
+            // Create still frames at the preset's resolution.
+            await createStillFrame(ffmpegPath, sourceFile, startTime, prefixStillPath, preset, job);
+
+            // Suffix generation with retry logic
+            // Use explicit end time from analysis if available, otherwise fallback logic handles it.
+            const suffixTime = Math.max(startTime, endTime - frameDuration);
+
+            // Log info for debugging
+            log(`Generating suffix at ${suffixTime} (EndTime: ${endTime}, FrameDur: ${frameDuration})`);
+
+            try {
+                await createStillFrame(ffmpegPath, sourceFile, suffixTime, suffixStillPath, preset, job);
+                // Verify output - FFmpeg often returns 0 even if it failed to seek to a valid frame
+                if (!fs.existsSync(suffixStillPath) || fs.statSync(suffixStillPath).size === 0) {
+                    throw new Error("Generated suffix file is empty");
+                }
+            } catch (e) {
+                if (e.message === 'paused' || e.message === 'stopped') throw e;
+                log(`[WARNING] Suffix generation failed at ${suffixTime}. Retrying with slight offset... Error: ${e.message}`);
+                // Backup by 3 frames worth to be safe
+                const safeSuffixTime = Math.max(startTime, suffixTime - (frameDuration * 3));
+                await createStillFrame(ffmpegPath, sourceFile, safeSuffixTime, suffixStillPath, preset, job);
+
+                // Validate again
+                if (!fs.existsSync(suffixStillPath) || fs.statSync(suffixStillPath).size === 0) {
+                    throw new Error("Retry failed: Generated suffix file is still empty.");
+                }
+            }
+        }
+
+        const chapterDuration = endTime - startTime;
+        const chapterFrames = Math.round(chapterDuration * outputFrameRate);
+        // The picture is trimmed one source frame short; the chapter's last frame opens the tail hold.
+        const videoTrimEndTime = Math.max(startTime, endTime - frameDuration);
+        const pictureFrames = Math.round((videoTrimEndTime - startTime) * outputFrameRate);
+        const newChapterStartTime = holdDuration;
+        const newChapterEndTime = newChapterStartTime + chapterDuration;
+        const outputDuration = chapterDuration + 2 * holdDuration;
+
+        // Progress is measured against the whole output, holds included. `offset` is where a resumed
+        // segmented encode starts.
+        const reportProgress = onProgress ? (offset) => ({ outTimeSeconds, speed, finished }) => {
+            const done = finished ? outputDuration : Math.min(outputDuration, offset + outTimeSeconds);
+            onProgress({
+                percent: outputDuration > 0 ? (done / outputDuration) * 100 : 0,
+                speed,
+                etaSeconds: speed ? (outputDuration - done) / speed : null,
+            });
+        } : null;
+        const timebase = 1000000;
+        if (withChapters) {
+            const metadataContent = `;FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/${timebase}\nSTART=${Math.round(newChapterStartTime * timebase)}\nEND=${Math.round(newChapterEndTime * timebase)}\ntitle=${title}\n`;
+            fs.writeFileSync(metadataFilePath, metadataContent);
+        }
+
+        // Inputs: 0 = source, then the two stills (video presets with holds), then the chapter metadata.
+        const ffmpegArgs = ['-i', sourceFile];
+        if (hasVideo && withHolds) {
+            ffmpegArgs.push('-framerate', outputFrameRateString, '-i', prefixStillPath, '-framerate', outputFrameRateString, '-i', suffixStillPath);
+        }
+        const metadataInputIndex = hasVideo && withHolds ? 3 : 1;
+        if (withChapters) ffmpegArgs.push('-i', metadataFilePath);
+
+        const complexFilterParts = [];
+        if (hasVideo) {
+            const scale = scaleFilter(preset);
+
+            // The still images (inputs 1 and 2) are already scaled by createStillFrame; each is
+            // looped to `holdFrames` frames.
+            if (withHolds) complexFilterParts.push(`[1:v]loop=loop=${holdFrames - 1}:size=1:start=0,setpts=PTS-STARTPTS[pre_v]`);
+            // Trim the main video (input 0), then scale it to the preset's resolution.
+            complexFilterParts.push(`[0:${videoStream.index}]trim=start=${startTime}:end=${videoTrimEndTime},setpts=PTS-STARTPTS${scale ? `,${scale}` : ''}[main_v]`);
+            if (withHolds) complexFilterParts.push(`[2:v]loop=loop=${holdFrames - 1}:size=1:start=0,setpts=PTS-STARTPTS[suf_v]`);
+        }
+
+        // Audio (lib/audio.js) is cut with its handles in one go. With a loudness target a first pass
+        // measures the guide's audio as it will be encoded, and the encode applies the measurement.
+        let loudness = null;
+        if (hasAudio) {
+            const audioGraph = createAudioGraph(preset.audio, { videoInfo, startTime, endTime, holdDuration, frameDuration });
+            const target = loudnessTarget(preset.audio);
+            let measured;
+            if (target) {
+                log(`Measuring the loudness of ${clipName} (${target.standard})...`);
+                try {
+                    const stderr = await runFfmpeg(ffmpegPath, ['-i', sourceFile, '-filter_complex', audioGraph('measure_a'), '-map', '[measure_a]', '-f', 'null', '-'], job);
+                    measured = parseLoudnessMeasurement(stderr);
+                } catch (error) {
+                    if (error.message === 'paused' || error.message === 'stopped') throw error;
+                    log(`[WARNING] Loudness measurement failed: ${error.message}`);
+                }
+                if (!measured) {
+                    log(`[WARNING] No loudness measurement for ${clipName}. Normalising in a single pass.`);
+                    measured = null;
+                }
+                loudness = { ...target, measured };
+            }
+            complexFilterParts.push(audioGraph('out_a', measured));
+        }
+
+        if (hasVideo) {
+            // Text overlays go on the conformed stream, where drawtext's frame number n is the guide's frame.
+            let overlayChain = '';
+            if (slate.text.length > 0) {
+                const overlays = overlayFilters(slate, {
+                    values: overlayValues,
+                    holdFrames,
+                    chapterFrames: pictureFrames,
+                    timecode: { startFrame: timecodeToFrames(guideStartTimecode, outputFrameRate), frameRate: outputFrameRate, dropFrame },
+                    textFile: i => path.join(chapterOutputDir, overlayFileName(clipName, i)),
+                });
+                for (const textFile of overlays.textFiles) {
+                    fs.writeFileSync(textFile.path, textFile.content);
+                    overlayFiles.push(textFile.path);
+                }
+                overlayChain = overlays.filters.map(filter => `,${filter}`).join('');
+            }
+            // Concatenate the prefix, main, and suffix video streams, all at the preset's resolution.
+            const videoParts = withHolds ? ['[pre_v]', '[main_v]', '[suf_v]'] : ['[main_v]'];
+            complexFilterParts.push(`${videoParts.join('')}concat=n=${videoParts.length}:v=1,fps=${outputFrameRateString}${overlayChain}[out_v]`);
+        }
+        // Containers with a timecode track (tmcd in QuickTime/MP4) carry the guide's start timecode.
+        const timecodeArgs = hasVideo && supportsTimecode(preset) ? ['-timecode', guideStartTimecode] : [];
+        if (segmentSeconds > 0) {
+            const segmentInfo = { sourceFile, startTime, endTime, preset: preset.name, segmentSeconds };
+            await encodeInSegments(ffmpegPath, ffmpegArgs, complexFilterParts, {
+                chapterOutputDir, clipName, preset, hasVideo, hasAudio, segmentSeconds, segmentInfo, timecodeArgs,
+                metadataFilePath: withChapters ? metadataFilePath : null, outputFilePath, reportProgress
+            }, job);
+        } else {
+            ffmpegArgs.push('-filter_complex', complexFilterParts.join(';'));
+            if (hasVideo) ffmpegArgs.push('-map', '[out_v]');
+            if (hasAudio) ffmpegArgs.push('-map', '[out_a]');
+            if (withChapters) ffmpegArgs.push('-map_chapters', String(metadataInputIndex));
+
+            ffmpegArgs.push(...buildEncodeArgs(preset, { hasAudio }), ...timecodeArgs);
+            ffmpegArgs.push('-y', outputFilePath);
+
+            await runFfmpeg(ffmpegPath, ffmpegArgs, job, { onProgress: reportProgress && reportProgress(0) });
+        }
+        log(`--- Successfully created: ${outputFilePath} ---`);
+
+        const newClipInfo = await getVideoInfo(ffprobePath, outputFilePath);
+        const newClipVideoStream = newClipInfo.streams.find(s => s.codec_type === 'video');
+
+        // QC (lib/qc.js) checks the probe against the encode and analyses the chapter part of the guide.
+        const outputQc = createQc(preset, { hasVideo, hasAudio, withChapters, title, frameRate: outputFrameRate, holdFrames, chapterFrames, pictureFrames });
+        let qc = null;
+        if (outputQc) {
+            const analysisArgs = outputQc.analysisArgs(outputFilePath);
+            let stderr;
+            if (analysisArgs) {
+                log(`Checking ${clipName}...`);
+                try {
+                    stderr = await runFfmpeg(ffmpegPath, analysisArgs, job);
+                } catch (error) {
+                    if (error.message === 'paused' || error.message === 'stopped') throw error;
+                    log(`[WARNING] QC analysis of ${clipName} failed: ${error.message}`);
+                    stderr = null;
+                }
+            }
+            qc = outputQc.evaluate(newClipInfo, stderr);
+            log(qc.passed ? `QC passed for ${clipName}.` : `[WARNING] QC failed for ${clipName}: ${qcFailures(qc).join('; ')}`);
+            if (qcWarnings(qc).length > 0) log(`[WARNING] QC warnings for ${clipName}: ${qcWarnings(qc).join('; ')}`);
+        }
+
+        if (!newClipInfo.format || !newClipInfo.format.duration || (hasVideo && (!newClipVideoStream || !newClipVideoStream.r_frame_rate))) {
+            log('[WARNING] Could not get precise duration from the exported clip. Reporting as 0.');
+            return { durationFrames: 0, durationSeconds: 0, loudness, startTimecode: guideStartTimecode, qc };
+        }
+
+        const durationSecondsFloat = parseFloat(newClipInfo.format.duration);
+        // Audio-only guides still report frames, counted at the output frame rate.
+        const newFrameRate = hasVideo ? parseRational(newClipVideoStream.r_frame_rate) : outputFrameRate;
+        const durationFrames = Math.round(durationSecondsFloat * newFrameRate);
+        const durationSeconds = Math.round(durationSecondsFloat);
+
+        return { durationFrames, durationSeconds, loudness, startTimecode: guideStartTimecode, qc };
+
+    } finally {
+        // Safely clean up temporary files
+        log(`Cleaning up temporary files for ${clipName}...`);
+        for (const file of [prefixStillPath, suffixStillPath, metadataFilePath, ...overlayFiles]) {
+            try {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                    log(`Deleted temp file: ${file}`);
+                }
+            } catch (error) {
+                log(`[WARNING] Could not delete temporary file: ${file}. Error: ${error.message}`);
+            }
+        }
+    }
+}
+
+// --- Segmented Encoding ---
+
+function removeFiles(files) {
+    for (const file of files) {
+        try {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        } catch (error) {
+            log(`[WARNING] Could not delete temporary file: ${file}. Error: ${error.message}`);
+        }
+    }
+}
+
+// Segments already on disk for this clip, in order. The state file guards against resuming from
+// segments a different run (other source range, preset or segment length) left behind.
+function findFinishedSegments(chapterOutputDir, clipName, extension, statePath, segmentInfo) {
+    const pattern = segmentFilePattern(clipName, extension);
+    const segments = fs.readdirSync(chapterOutputDir)
+        .map(file => ({ match: pattern.exec(file), file }))
+        .filter(({ match }) => match)
+        .map(({ match, file }) => ({ index: parseInt(match[1], 10), path: path.join(chapterOutputDir, file) }))
+        .sort((a, b) => a.index - b.index);
+
+    let state = null;
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+        // No state file: nothing to resume.
+    }
+    if (!state || JSON.stringify(state) !== JSON.stringify(segmentInfo)) {
+        if (segments.length > 0) log(`Discarding ${segments.length} stale segment(s) for ${clipName}.`);
+        removeFiles(segments.map(s => s.path));
+        return [];
+    }
+
+    // Only an unbroken run from 000 counts, and the last segment may have been cut off mid-write.
+    const contiguous = segments.filter((s, i) => s.index === i);
+    removeFiles(segments.slice(Math.max(0, contiguous.length - 1)).map(s => s.path));
+    return contiguous.slice(0, -1);
+}
+
+async function encodeInSegments(ffmpegPath, inputArgs, filterParts, options, job) {
+    const { chapterOutputDir, clipName, preset, hasVideo, hasAudio, segmentSeconds, segmentInfo, timecodeArgs, metadataFilePath, outputFilePath, reportProgress } = options;
+    const statePath = path.join(chapterOutputDir, `seg_${clipName}.json`);
+    const listPath = path.join(chapterOutputDir, `seg_${clipName}.txt`);
+    const segmentPattern = segmentFilePattern(clipName, preset.extension);
+    const segmentPath = index => path.join(chapterOutputDir, `seg_${clipName}_${String(index).padStart(3, '0')}${preset.extension}`);
+
+    const finished = findFinishedSegments(chapterOutputDir, clipName, preset.extension, statePath, segmentInfo);
+    fs.writeFileSync(statePath, JSON.stringify(segmentInfo));
+    const resumeAt = finished.length * segmentSeconds;
+
+    let keepSegments = false;
+    try {
+        // Drop what the finished segments already hold; the graph itself is unchanged.
+        const parts = [...filterParts];
+        let videoLabel = '[out_v]';
+        let audioLabel = '[out_a]';
+        if (resumeAt > 0) {
+            log(`Resuming ${clipName} after ${finished.length} finished segment(s) (${resumeAt}s).`);
+            if (hasVideo) {
+                parts.push(`[out_v]trim=start=${resumeAt},setpts=PTS-STARTPTS[resume_v]`);
+                videoLabel = '[resume_v]';
+            }
+            if (hasAudio) {
+                parts.push(`[out_a]atrim=start=${resumeAt},asetpts=PTS-STARTPTS[resume_a]`);
+                audioLabel = '[resume_a]';
+            }
+        }
+
+        const args = [...inputArgs, '-filter_complex', parts.join(';')];
+        if (hasVideo) args.push('-map', videoLabel);
+        if (hasAudio) args.push('-map', audioLabel);
+        args.push('-map_chapters', '-1');
+        args.push(...buildEncodeArgs(preset, { hasAudio, containerArgs: false }));
+        // Segments can only be cut on keyframes; force one at every boundary for long-GOP presets.
+        if (hasVideo) args.push('-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`);
+        args.push(
+            '-f', 'segment', '-segment_time', String(segmentSeconds), '-segment_format', preset.container,
+            '-segment_start_number', String(finished.length), '-reset_timestamps', '1',
+            '-y', path.join(chapterOutputDir, `seg_${clipName}_%03d${preset.extension}`)
+        );
+        await runFfmpeg(ffmpegPath, args, job, { onProgress: reportProgress && reportProgress(resumeAt) });
+
+        // Join the segments without re-encoding and add the chapter marker.
+        const segmentCount = fs.readdirSync(chapterOutputDir).filter(file => segmentPattern.test(file)).length;
+        const list = Array.from({ length: segmentCount }, (_, i) => `file '${segmentPath(i).replace(/'/g, "'\\''")}'`).join('\n');
+        fs.writeFileSync(listPath, `${list}\n`);
+
+        const concatArgs = ['-f', 'concat', '-safe', '0', '-i', listPath];
+        if (metadataFilePath) concatArgs.push('-i', metadataFilePath);
+        concatArgs.push('-map', '0', '-c', 'copy');
+        if (metadataFilePath) concatArgs.push('-map_chapters', '1');
+        concatArgs.push(...buildMuxArgs(preset, { hasAudio }), ...timecodeArgs, '-y', outputFilePath);
+        await runFfmpeg(ffmpegPath, concatArgs, job);
+    } catch (error) {
+        keepSegments = error.message === 'paused';
+        throw error;
+    } finally {
+        if (!keepSegments) {
+            const segments = fs.readdirSync(chapterOutputDir).filter(file => segmentPattern.test(file));
+            removeFiles([...segments.map(file => path.join(chapterOutputDir, file)), statePath, listPath]);
+        }
+    }
+}
+
+module.exports = {
+    processingState,
+    controlProcessing,
+    analyzeFiles,
+    processChapters,
+    processSingleChapter,
+};
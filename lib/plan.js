@@ -0,0 +1,365 @@
+// lib/plan.js - Works out what a processing run will write before any encoding starts
+//
+// A plan holds, for every chapter, its source in/out, preset, output directory, version and file name.
+// The dry run shows it; processChapters executes the very same object, so what was shown is what gets
+// written. Planning only probes the sources; ffmpeg is not run and nothing is written.
+const path = require('path');
+const fs = require('fs');
+const { log } = require('./logger');
+const { getVideoInfo } = require('./ffmpeg');
+const { parseRational, getSourceTimecode, secondsToTimecode } = require('./timecode');
+const { createNaming } = require('./naming');
+const { resolvePreset } = require('./presets');
+const { DEFAULT_VERSION_POLICY, findIdenticalOutput, hashSource, outputFingerprint } = require('./manifest');
+
+// Finds the first free version of the clip in the output directory, `nameFor(version)` giving its file
+// name. `reserved` holds the output paths of encodes still in flight, which do not exist on disk yet;
+// the chosen path is added to it.
+function allocateVersion(chapterOutputDir, nameFor, extension = '.mp4', reserved = new Set()) {
+    let version = 1;
+    while (true) {
+        const finalClipName = nameFor(version);
+        const prospectivePath = path.join(chapterOutputDir, `${finalClipName}${extension}`);
+        if (!fs.existsSync(prospectivePath) && !reserved.has(prospectivePath.toLowerCase())) {
+            reserved.add(prospectivePath.toLowerCase());
+            return { version, finalClipName };
+        }
+        version++;
+    }
+}
+
+// The latest version of the clip on disk, the one before the first free version, or null when there is
+// none or it is already taken by another chapter of the run.
+function latestVersion(chapterOutputDir, nameFor, extension, reserved) {
+    let latest = null;
+    for (let version = 1; ; version++) {
+        const finalClipName = nameFor(version);
+        if (!fs.existsSync(path.join(chapterOutputDir, `${finalClipName}${extension}`))) break;
+        latest = { version, finalClipName };
+    }
+    if (!latest) return null;
+    const latestPath = path.join(chapterOutputDir, `${latest.finalClipName}${extension}`).toLowerCase();
+    if (reserved.has(latestPath)) return null;
+    reserved.add(latestPath);
+    return latest;
+}
+
+// Where a chapter's guide goes: { preset, dir, version, finalClipName, path, action, fingerprint,
+// missing, unmatched }. `naming` comes from createNaming and `versionPolicy` is one of
+// VERSION_POLICIES (lib/manifest.js). `action` is 'new', 'overwrite' (an existing version is replaced)
+// or 'skip' (an identical guide exists, at `path`). `fingerprintOf(preset)` gives the chapter's
+// fingerprint, without which nothing is skipped. `missing` lists template tokens the chapter had no
+// value for, and `unmatched` is set when it went to the fallback folder for want of a PATH. Throws
+// when the chapter's preset is unknown.
+function planChapterOutput(chapter, { baseDir, presets, presetName, naming, versionPolicy = DEFAULT_VERSION_POLICY }, reserved = new Set(), fingerprintOf = null) {
+    const preset = resolvePreset(presets, chapter.preset || chapter.sheetPreset || presetName);
+    const { dir, missing, unmatched } = naming.outputDir(chapter, baseDir, preset.name);
+    const nameFor = version => naming.fileName(chapter, preset.name, version).name;
+    const fingerprint = fingerprintOf ? fingerprintOf(preset) : null;
+
+    let allocation;
+    let identical;
+    const planned = chapter.output;
+    if (planned && planned.dir === dir && planned.path === path.join(dir, `${planned.finalName}${preset.extension}`)) {
+        // Resuming a journaled batch: keep the version it was given, so its segments are picked up.
+        reserved.add(planned.path.toLowerCase());
+        allocation = { version: planned.version, finalClipName: planned.finalName, action: planned.action || 'new' };
+    } else if (versionPolicy === 'skip-identical' && (identical = findIdenticalOutput(dir, chapter.originalTitle || chapter.title, fingerprint))) {
+        allocation = { version: identical.version, finalClipName: path.basename(identical.fileName, path.extname(identical.fileName)), action: 'skip' };
+    } else {
+        const latest = versionPolicy === 'overwrite' ? latestVersion(dir, nameFor, preset.extension, reserved) : null;
+        allocation = latest ? { ...latest, action: 'overwrite' } : { ...allocateVersion(dir, nameFor, preset.extension, reserved), action: 'new' };
+    }
+    const nameMissing = naming.fileName(chapter, preset.name, allocation.version).missing;
+    return {
+        preset,
+        dir,
+        version: allocation.version,
+        finalClipName: allocation.finalClipName,
+        path: path.join(dir, `${allocation.finalClipName}${preset.extension}`),
+        action: allocation.action,
+        fingerprint,
+        missing: [...new Set([...missing, ...nameMissing])],
+        unmatched,
+    };
+}
+
+function tryHashSource(filePath) {
+    try {
+        return hashSource(filePath);
+    } catch (error) {
+        log(`[WARNING] Could not hash ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Hashes the source of a plan `entry` made without its hash (any policy but skip-identical) and sets
+// its `sourceHash` and `fingerprint`, for the manifest record of the guide it wrote. `preset` is the
+// entry's, resolved. Both stay null when the source cannot be read.
+function fingerprintEntry(entry, preset) {
+    if (entry.sourceHash) return;
+    entry.sourceHash = tryHashSource(entry.source);
+    entry.fingerprint = outputFingerprint({ sourceHash: entry.sourceHash, startTime: entry.startTime, endTime: entry.endTime, preset });
+}
+
+// The outputs a run would produce, for showing before it starts. Nothing is written. One
+// { chapterId, dir, path, finalName, preset, action, missing, unmatched, error } per chapter.
+// Sources are not hashed here, so under 'skip-identical' every chapter shows as a new version. Throws on a bad template.
+function previewOutputs(chapters, { baseDir, presets, presetName, naming = {}, versionPolicy }) {
+    const context = { baseDir, presets, presetName, naming: createNaming(naming), versionPolicy };
+    const reserved = new Set();
+    return chapters.map(chapter => {
+        try {
+            const plan = planChapterOutput(chapter, context, reserved);
+            return {
+                chapterId: chapter.id,
+                dir: plan.dir,
+                path: plan.path,
+                finalName: plan.finalClipName,
+                preset: plan.preset.name,
+                action: plan.action,
+                missing: plan.missing,
+                unmatched: plan.unmatched,
+                error: null,
+            };
+        } catch (error) {
+            return { chapterId: chapter.id, error: error.message };
+        }
+    });
+}
+
+// Source in/out of chapters[i] in seconds.
+function resolveChapterTimes(chapters, i, videoInfo) {
+    const chapter = chapters[i];
+    const videoDuration = parseFloat(videoInfo.format.duration);
+    let startTime = parseFloat(chapter.start_time);
+
+    // Prioritize explicit end_time from chapter (requires re-analyze).
+    // Fallback to "Next Chapter" logic for legacy or missing data.
+    // Fallback to video duration as last resort.
+    let endTime;
+    if (chapter.end_time) {
+        endTime = parseFloat(chapter.end_time);
+    } else {
+        const nextChapterInFile = chapters.find((c, j) => j > i && c.sourceFile === chapter.sourceFile);
+        endTime = nextChapterInFile ? parseFloat(nextChapterInFile.start_time) : videoDuration;
+    }
+
+    // A frame range from the shot list (source frames, FRAME_OUT included) replaces the marker's,
+    // unless the in/out points were edited in the chapter list.
+    const hasFrameIn = !chapter.timesEdited && Number.isInteger(chapter.frameIn);
+    const hasFrameOut = !chapter.timesEdited && Number.isInteger(chapter.frameOut);
+    if (hasFrameIn || hasFrameOut) {
+        const frameRate = sourceFrameRate(videoInfo);
+        if (isFinite(frameRate) && frameRate > 0) {
+            if (hasFrameIn) startTime = Math.min(chapter.frameIn / frameRate, videoDuration);
+            if (hasFrameOut) endTime = Math.min((chapter.frameOut + 1) / frameRate, videoDuration);
+        }
+    }
+    return { startTime, endTime };
+}
+
+function sourceFrameRate(videoInfo) {
+    const videoStream = videoInfo.streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    return parseRational(videoStream && videoStream.r_frame_rate);
+}
+
+// Builds the plan for `chapters`. `date` is the run date used by {date} in the naming templates,
+// unless `naming` carries its own (that of the plan a journaled batch was started from).
+// `versionPolicy` (lib/manifest.js) decides between a new version, overwriting, and skipping.
+// Resolves with { id, createdAt, baseDir, presetName, naming, versionPolicy, entries, videoInfos },
+// one entry per chapter in order:
+//   { chapterId, chapter, source, sourceHash, id, title, startTime, endTime, timecodeIn, timecodeOut,
+//     duration, preset, dir, path, finalName, version, action, fingerprint, warnings, error }
+// `timecodeIn` and `timecodeOut` are the source timecodes of the chapter's first and last frame.
+// An entry with `error` (unknown preset, unreadable source) fails when the plan is executed.
+// Throws when the naming templates are invalid.
+async function planChapters(chapters, { ffprobePath, baseDir, presets, presetName, naming = {}, versionPolicy = DEFAULT_VERSION_POLICY, date = new Date() }) {
+    const runDate = new Date(naming.date || date);
+    const context = { baseDir, presets, presetName, naming: createNaming({ ...naming, date: runDate }), versionPolicy };
+    log(`--- Planning ${chapters.length} chapter(s) into "${baseDir}" (versions: ${versionPolicy}) ---`);
+
+    const videoInfos = {};
+    const probeErrors = {};
+    const sourceHashes = {};
+    for (const chapter of chapters) {
+        if (videoInfos[chapter.sourceFile] || probeErrors[chapter.sourceFile]) continue;
+        try {
+            videoInfos[chapter.sourceFile] = await getVideoInfo(ffprobePath, chapter.sourceFile);
+        } catch (e) {
+            log(`Failed to get video info for ${chapter.sourceFile}: ${e.message}`);
+            probeErrors[chapter.sourceFile] = `Could not get info for ${chapter.sourceFile}`;
+            continue;
+        }
+        // Only skip-identical compares fingerprints up front; the other policies leave the hash to
+        // fingerprintEntry once a guide is written, so a dry run does not read every source.
+        if (versionPolicy === 'skip-identical') sourceHashes[chapter.sourceFile] = tryHashSource(chapter.sourceFile);
+    }
+
+    const reserved = new Set();
+    const entries = chapters.map((chapter, i) => {
+        const entry = {
+            chapterId: chapter.id,
+            chapter,
+            source: chapter.sourceFile,
+            sourceHash: sourceHashes[chapter.sourceFile] || null,
+            id: chapter.originalTitle || chapter.title,
+            title: chapter.title,
+            startTime: null,
+            endTime: null,
+            timecodeIn: null,
+            timecodeOut: null,
+            duration: null,
+            preset: null,
+            dir: null,
+            path: null,
+            finalName: null,
+            version: null,
+            action: null,
+            fingerprint: null,
+            warnings: [],
+            error: probeErrors[chapter.sourceFile] || null,
+        };
+        if (entry.error) return entry;
+
+        const { startTime, endTime } = resolveChapterTimes(chapters, i, videoInfos[chapter.sourceFile]);
+        Object.assign(entry, { startTime, endTime, duration: Math.max(0, endTime - startTime) || 0 });
+        const frameRate = sourceFrameRate(videoInfos[chapter.sourceFile]);
+        if (isFinite(frameRate) && frameRate > 0) {
+            const timecode = getSourceTimecode(videoInfos[chapter.sourceFile], frameRate);
+            entry.timecodeIn = secondsToTimecode(startTime, timecode);
+            entry.timecodeOut = secondsToTimecode(Math.max(startTime, endTime - 1 / frameRate), timecode);
+        }
+        if (!(entry.duration > 0)) entry.warnings.push('The chapter is empty.');
+        if (chapter.timesEdited) {
+            entry.warnings.push('In/out edited in the chapter list.');
+        } else if (Number.isInteger(chapter.frameIn) || Number.isInteger(chapter.frameOut)) {
+            entry.warnings.push('In/out taken from the shot list frame range.');
+        }
+
+        try {
+            const fingerprintOf = preset => outputFingerprint({ sourceHash: entry.sourceHash, startTime, endTime, preset });
+            const output = planChapterOutput(chapter, context, reserved, fingerprintOf);
+            Object.assign(entry, {
+                preset: output.preset.name,
+                dir: output.dir,
+                path: output.path,
+                finalName: output.finalClipName,
+                version: output.version,
+                action: output.action,
+                fingerprint: output.fingerprint,
+            });
+            if (!entry.sourceHash && versionPolicy === 'skip-identical') {
+                entry.warnings.push('The source could not be hashed, so a new version is made even if nothing changed.');
+            }
+            if (output.unmatched) entry.warnings.push('No PATH in the shot list: goes to the fallback folder.');
+            if (output.missing.length > 0) {
+                entry.warnings.push(`Naming tokens left empty: ${output.missing.map(token => `{${token}}`).join(', ')}`);
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+        return entry;
+    });
+
+    entries.forEach(entry => {
+        if (entry.error) log(`[ERROR] Plan: "${entry.title}" cannot be processed: ${entry.error}`);
+        entry.warnings.forEach(warning => log(`[WARNING] Plan: "${entry.title}": ${warning}`));
+    });
+    entries.filter(entry => entry.action === 'overwrite').forEach(entry => log(`Plan: "${entry.title}" overwrites ${entry.path}`));
+    entries.filter(entry => entry.action === 'skip').forEach(entry => log(`Plan: "${entry.title}" is unchanged since ${entry.path}; skipping.`));
+    const failing = entries.filter(entry => entry.error).length;
+    const skipping = entries.filter(entry => entry.action === 'skip').length;
+    log(`--- Plan ready: ${entries.length - failing - skipping} output(s), ${skipping} unchanged, ${failing} error(s). ---`);
+
+    return {
+        id: `${runDate.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: runDate.toISOString(),
+        baseDir,
+        presetName,
+        naming,
+        versionPolicy,
+        entries,
+        videoInfos,
+    };
+}
+
+// Marks entries whose new output has appeared on disk since the plan was made, so a stale plan cannot
+// overwrite anything it did not mean to, and skipped entries whose guide has gone since. Returns how
+// many were marked.
+function checkPlanOutputs(plan) {
+    let stale = 0;
+    plan.entries.forEach(entry => {
+        if (entry.error || !entry.path) return;
+        if (entry.action === 'new' && fs.existsSync(entry.path)) {
+            entry.error = `${path.basename(entry.path)} was written after the plan was made. Plan again.`;
+            stale++;
+        } else if (entry.action === 'skip' && !fs.existsSync(entry.path)) {
+            entry.error = `${path.basename(entry.path)} was removed after the plan was made. Plan again.`;
+            stale++;
+        }
+    });
+    return stale;
+}
+
+// The plan as shown and exported: everything but the chapter objects and probe results.
+function describePlan(plan) {
+    return {
+        id: plan.id,
+        createdAt: plan.createdAt,
+        baseDir: plan.baseDir,
+        presetName: plan.presetName,
+        versionPolicy: plan.versionPolicy,
+        entries: plan.entries.map(({ chapter, ...entry }) => ({ ...entry, sourceName: path.basename(entry.source) })),
+    };
+}
+
+const PLAN_COLUMNS = [
+    ['Source', entry => entry.source],
+    ['Chapter', entry => entry.id],
+    ['Name', entry => entry.title],
+    ['In', entry => (entry.startTime === null ? '' : entry.startTime.toFixed(3))],
+    ['Out', entry => (entry.endTime === null ? '' : entry.endTime.toFixed(3))],
+    ['TC In', entry => entry.timecodeIn || ''],
+    ['TC Out', entry => entry.timecodeOut || ''],
+    ['Duration', entry => (entry.duration === null ? '' : entry.duration.toFixed(3))],
+    ['Preset', entry => entry.preset || ''],
+    ['Target', entry => entry.path || ''],
+    ['Version', entry => (entry.version === null ? '' : entry.version)],
+    ['Action', entry => entry.action || ''],
+    ['Warnings', entry => [entry.error, ...entry.warnings].filter(Boolean).join('; ')],
+];
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The plan table as CSV, one row per chapter.
+function formatPlanCsv(plan) {
+    const rows = [PLAN_COLUMNS.map(([header]) => header)];
+    plan.entries.forEach(entry => rows.push(PLAN_COLUMNS.map(([, value]) => value(entry))));
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// Writes the plan to `filePath`, as JSON when it ends in .json and as CSV otherwise.
+function exportPlan(plan, filePath) {
+    const text = path.extname(filePath).toLowerCase() === '.json'
+        ? JSON.stringify(describePlan(plan), null, 2)
+        : formatPlanCsv(plan);
+    fs.writeFileSync(filePath, text);
+}
+
+module.exports = {
+    allocateVersion,
+    planChapterOutput,
+    previewOutputs,
+    resolveChapterTimes,
+    sourceFrameRate,
+    planChapters,
+    fingerprintEntry,
+    checkPlanOutputs,
+    describePlan,
+    formatPlanCsv,
+    exportPlan,
+};
@@ -0,0 +1,166 @@
+// lib/presets.js - Named output encoding presets (resolution, codecs, rate control, container)
+//
+// Built-in presets live in /presets; JSON files in <userData>/presets add to or override them.
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { validateSlate } = require('./slate');
+const { validateAudioOptions } = require('./audio');
+const { validateQcOptions } = require('./qc');
+
+const BUILTIN_PRESET_DIR = path.join(__dirname, '..', 'presets');
+const DEFAULT_PRESET_NAME = 'guide-540p';
+
+// Containers whose muxer can carry the chapter written from the FFMETADATA file.
+const CHAPTER_CONTAINERS = ['mp4', 'mov', 'matroska'];
+// Containers whose muxer writes ffmpeg's -timecode as a timecode track (tmcd) or header field.
+const TIMECODE_CONTAINERS = ['mp4', 'mov', 'mxf'];
+
+function validatePreset(preset, source) {
+    const problems = [];
+    if (!preset.name) problems.push('missing "name"');
+    if (!preset.container) problems.push('missing "container"');
+    if (!preset.extension || !preset.extension.startsWith('.')) problems.push('"extension" must start with a dot');
+    if (!preset.video && !preset.audio) problems.push('needs a "video" or an "audio" section');
+    if (preset.video && !preset.video.codec) problems.push('"video.codec" is required');
+    if (preset.video && (!preset.video.width !== !preset.video.height)) problems.push('"video.width" and "video.height" go together');
+    if (preset.audio && !preset.audio.codec) problems.push('"audio.codec" is required');
+    if (preset.audio) problems.push(...validateAudioOptions(preset.audio));
+    if (preset.slate !== undefined) problems.push(...validateSlate(preset.slate));
+    if (preset.qc !== undefined) problems.push(...validateQcOptions(preset.qc));
+    if (problems.length > 0) {
+        throw new Error(`Invalid preset ${source}: ${problems.join(', ')}.`);
+    }
+}
+
+function readPresetDir(dir, presets) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`[WARNING] Could not read preset directory ${dir}: ${error.message}`);
+        return;
+    }
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        try {
+            const preset = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            validatePreset(preset, filePath);
+            presets[preset.name] = preset;
+        } catch (error) {
+            log(`[WARNING] Skipping preset ${filePath}: ${error.message}`);
+        }
+    }
+}
+
+// Returns a map of preset name -> preset. User presets with the same name replace built-ins.
+function loadPresets(userPresetDir) {
+    const presets = {};
+    readPresetDir(BUILTIN_PRESET_DIR, presets);
+    if (userPresetDir) readPresetDir(userPresetDir, presets);
+    return presets;
+}
+
+function resolvePreset(presets, name) {
+    const preset = presets[name || DEFAULT_PRESET_NAME];
+    if (!preset) {
+        throw new Error(`Unknown preset "${name}". Available: ${Object.keys(presets).join(', ')}`);
+    }
+    return preset;
+}
+
+function supportsChapters(preset) {
+    return CHAPTER_CONTAINERS.includes(preset.container);
+}
+
+function supportsTimecode(preset) {
+    return TIMECODE_CONTAINERS.includes(preset.container);
+}
+
+// The scale filter for the preset's resolution, or null to keep the source size.
+function scaleFilter(preset) {
+    const video = preset.video;
+    if (!video || !video.width) return null;
+    // lanczos+accurate_rnd for better scaling quality and stability
+    return `scale=${video.width}:${video.height}:flags=lanczos+accurate_rnd`;
+}
+
+function buildVideoArgs(video) {
+    const args = ['-c:v', video.codec];
+    if (video.profile !== undefined && video.profile !== null) args.push('-profile:v', String(video.profile));
+    if (video.level) args.push('-level', String(video.level));
+    if (video.speed) args.push('-preset', video.speed);
+    if (video.pixelFormat) args.push('-pix_fmt', video.pixelFormat);
+    if (video.gop) args.push('-g', String(video.gop)); // 1 = keyframe every frame (All-Intra)
+
+    const rateControl = video.rateControl || {};
+    if (rateControl.mode === 'crf') {
+        args.push('-crf', String(rateControl.crf));
+    } else if (rateControl.mode === 'cbr') {
+        args.push('-b:v', rateControl.bitrate, '-minrate', rateControl.bitrate, '-maxrate', rateControl.bitrate);
+    } else if (rateControl.mode === 'vbr') {
+        args.push('-b:v', rateControl.bitrate);
+    } else if (rateControl.mode === 'qscale') {
+        args.push('-q:v', String(rateControl.quality));
+    }
+    if (rateControl.mode !== 'cbr' && rateControl.maxrate) args.push('-maxrate', rateControl.maxrate);
+    if (rateControl.bufsize) args.push('-bufsize', rateControl.bufsize);
+
+    // Color tags (bt709) avoid gamma shift and contrast issues in players
+    const color = video.color;
+    if (color) {
+        if (color.primaries) args.push('-color_primaries', color.primaries);
+        if (color.trc) args.push('-color_trc', color.trc);
+        if (color.space) args.push('-colorspace', color.space);
+        if (color.range) args.push('-color_range', color.range);
+    }
+    args.push(...(video.extraArgs || []));
+    return args;
+}
+
+function buildAudioArgs(audio) {
+    const args = ['-c:a', audio.codec];
+    if (audio.bitrate) args.push('-b:a', audio.bitrate);
+    if (audio.channels) args.push('-ac', String(audio.channels));
+    if (audio.sampleRate) args.push('-ar', String(audio.sampleRate));
+    args.push(...(audio.extraArgs || []));
+    return args;
+}
+
+// Output encoding arguments for the preset, excluding inputs, -map and the output path.
+// Stream-specific options (e.g. -metadata:s:a:0) belong in video/audio.extraArgs so they are
+// dropped along with the stream. Top-level extraArgs are muxer options; leave them out with
+// `containerArgs: false` when the encode goes to an intermediate muxer (segments).
+function buildEncodeArgs(preset, { hasAudio, containerArgs = true }) {
+    const args = [];
+    if (preset.video) args.push(...buildVideoArgs(preset.video));
+    if (preset.audio && hasAudio) args.push(...buildAudioArgs(preset.audio));
+    if (containerArgs) args.push(...(preset.extraArgs || []));
+    return args;
+}
+
+// Container-level arguments for remuxing already-encoded streams (-c copy): the preset's top-level
+// extraArgs plus any stream metadata from video/audio.extraArgs.
+function buildMuxArgs(preset, { hasAudio }) {
+    const args = [];
+    const streamSections = [preset.video, hasAudio ? preset.audio : null].filter(Boolean);
+    for (const section of streamSections) {
+        const extraArgs = section.extraArgs || [];
+        for (let i = 0; i < extraArgs.length; i += 2) {
+            if (extraArgs[i].startsWith('-metadata')) args.push(extraArgs[i], extraArgs[i + 1]);
+        }
+    }
+    args.push(...(preset.extraArgs || []));
+    return args;
+}
+
+module.exports = {
+    DEFAULT_PRESET_NAME,
+    loadPresets,
+    resolvePreset,
+    supportsChapters,
+    supportsTimecode,
+    scaleFilter,
+    buildEncodeArgs,
+    buildMuxArgs,
+};
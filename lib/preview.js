@@ -0,0 +1,77 @@
+// lib/preview.js - Poster frames and playable proxies for checking chapters before they are encoded
+//
+// Both are cached in <userData>/previews under a name made from the source file (path, size and
+// modification time) and the times asked for, so a chapter whose in/out did not change is not
+// rendered twice. The cache only lives for a session; it is emptied when the app starts.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { createThumbnail, createPreviewProxy } = require('./ffmpeg');
+
+const PREVIEW_DIR = 'previews';
+const THUMBNAIL_HEIGHT = 72;
+const PROXY_HEIGHT = 360;
+
+function createPreviewCache(userDataDir) {
+    const dir = path.join(userDataDir, PREVIEW_DIR);
+    // One ffmpeg at a time per kind, so a long list of poster frames cannot hold up the player.
+    const queues = { thumbnails: Promise.resolve(), proxy: Promise.resolve() };
+
+    function enqueue(kind, task) {
+        const run = queues[kind].then(task);
+        queues[kind] = run.catch(() => {});
+        return run;
+    }
+
+    function cacheName(sourceFile, kind, times, extension) {
+        const stat = fs.statSync(sourceFile);
+        const key = [sourceFile, stat.size, stat.mtimeMs, kind, ...times.map(time => time.toFixed(6))].join('|');
+        return `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 20)}${extension}`;
+    }
+
+    // Runs `create(tempPath)` unless the file is cached already; an interrupted render leaves no file.
+    async function render(fileName, create) {
+        const filePath = path.join(dir, fileName);
+        if (fs.existsSync(filePath)) return filePath;
+        fs.mkdirSync(dir, { recursive: true });
+        const tempPath = path.join(dir, `tmp_${fileName}`);
+        try {
+            await create(tempPath);
+            fs.renameSync(tempPath, filePath);
+        } finally {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        }
+        return filePath;
+    }
+
+    // Poster frames of the chapter's first and last frame, the frames its guide holds on. `startTime`
+    // is where the first frame starts and `lastFrameTime` where the last one does. Resolves with the
+    // paths { first, last }.
+    function thumbnails(ffmpegPath, { sourceFile, startTime, lastFrameTime }) {
+        return enqueue('thumbnails', async () => ({
+            first: await render(cacheName(sourceFile, 'first', [startTime], '.jpg'),
+                outputPath => createThumbnail(ffmpegPath, sourceFile, startTime, outputPath, THUMBNAIL_HEIGHT)),
+            last: await render(cacheName(sourceFile, 'last', [lastFrameTime], '.jpg'),
+                outputPath => createThumbnail(ffmpegPath, sourceFile, lastFrameTime, outputPath, THUMBNAIL_HEIGHT)),
+        }));
+    }
+
+    // A proxy of the chapter's range for the preview player. Resolves with its path.
+    function proxy(ffmpegPath, { sourceFile, startTime, endTime }) {
+        return enqueue('proxy', () => render(cacheName(sourceFile, 'proxy', [startTime, endTime], '.mp4'),
+            outputPath => createPreviewProxy(ffmpegPath, sourceFile, startTime, endTime, outputPath, PROXY_HEIGHT)));
+    }
+
+    function clear() {
+        try {
+            fs.rmSync(dir, { recursive: true, force: true });
+        } catch (error) {
+            log(`[WARNING] Could not empty the preview cache ${dir}: ${error.message}`);
+        }
+    }
+
+    return { dir, thumbnails, proxy, clear };
+}
+
+module.exports = { createPreviewCache };
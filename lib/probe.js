@@ -0,0 +1,62 @@
+// lib/probe.js - Decides whether a file can be cut into guides, based on what ffprobe finds in it
+const path = require('path');
+const { getVideoInfo } = require('./ffmpeg');
+const { readChapters } = require('./markers');
+const { getStartTimecode } = require('./timecode');
+
+// Friendlier names for ffprobe's format_name values.
+const CONTAINER_LABELS = {
+    'mov,mp4,m4a,3gp,3g2,mj2': 'QuickTime/MP4',
+    'mxf': 'MXF',
+    'matroska,webm': 'Matroska',
+    'avi': 'AVI',
+    'mpegts': 'MPEG-TS',
+};
+
+// Resolves with { filePath, ok, reason, container, chapterCount, markerSource, markerFile, startTimecode }.
+// Never rejects: unreadable files come back with ok=false and a reason for the file list.
+async function inspectMedia(ffprobePath, filePath, markerFile = 'auto') {
+    const result = { filePath, ok: false, reason: null, container: null, chapterCount: 0, markerSource: null, markerFile: null, startTimecode: null };
+
+    let videoInfo;
+    try {
+        videoInfo = await getVideoInfo(ffprobePath, filePath);
+    } catch (error) {
+        result.reason = 'Not a readable media file';
+        return result;
+    }
+
+    const formatName = (videoInfo.format && videoInfo.format.format_name) || '';
+    result.container = CONTAINER_LABELS[formatName] || formatName.split(',')[0].toUpperCase() || 'UNKNOWN';
+    result.startTimecode = getStartTimecode(videoInfo);
+
+    // Cover art and thumbnails show up as single-frame video streams; they do not count.
+    const hasVideo = (videoInfo.streams || []).some(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    if (!hasVideo) {
+        result.reason = `No video stream (${result.container})`;
+        return result;
+    }
+
+    let chapters;
+    try {
+        chapters = readChapters(videoInfo, filePath, markerFile);
+    } catch (error) {
+        result.reason = `Marker file unreadable: ${error.message}`;
+        return result;
+    }
+    result.markerSource = chapters.source;
+    result.markerFile = chapters.markerFile;
+    result.chapterCount = chapters.chapters.length;
+
+    if (result.chapterCount === 0) {
+        result.reason = chapters.markerFile
+            ? `No markers found in ${path.basename(chapters.markerFile)}`
+            : `No chapters and no marker file (${result.container})`;
+        return result;
+    }
+
+    result.ok = true;
+    return result;
+}
+
+module.exports = { inspectMedia };
@@ -0,0 +1,97 @@
+// lib/provenance.js - JSON sidecar recording how each guide was made
+//
+// Next to every guide, "<guide file name>.json" holds where it came from (source file and hash,
+// chapter ID and title, in/out points), how it was made (ffmpeg command lines and version, preset,
+// app version), and who made it when. Supervisors can trace a guide back to its source edit with it,
+// and other tools can read it instead of app.log.
+const os = require('os');
+const path = require('path');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./fsutil');
+const { name: APP_NAME, version: APP_VERSION } = require('../package.json');
+
+const PROVENANCE_FORMAT = 1;
+
+function sidecarPath(outputPath) {
+    return `${outputPath}.json`;
+}
+
+// The account running the app, as it appears in the provenance record.
+function currentOperator() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return process.env.USERNAME || process.env.USER || 'unknown';
+    }
+}
+
+// One command line as it could be pasted into a shell; arguments with spaces or quotes are quoted.
+function formatCommandLine(command) {
+    return command.map(arg => (/^[\w@%+=:,./\\-]+$/.test(arg) ? arg : `"${arg.replace(/(["\\$`])/g, '\\$1')}"`)).join(' ');
+}
+
+// Source frame of a time: the frame showing at `seconds`. Out points are exclusive, so the last frame
+// of a chapter is the one before its out time.
+function frameAt(seconds, frameRate) {
+    return isFinite(frameRate) && frameRate > 0 ? Math.round(seconds * frameRate) : null;
+}
+
+// The provenance record of one guide. `chapter` is the chapter as planned, `entry` its plan entry
+// (lib/plan.js), `commands` the [binary, ...args] lists the encode ran.
+function buildProvenance({ chapter, entry, preset, frameRate, result, commands, ffmpegVersion }) {
+    const inFrame = frameAt(entry.startTime, frameRate);
+    const outFrame = frameAt(entry.endTime, frameRate);
+    return {
+        format: PROVENANCE_FORMAT,
+        output: {
+            file: path.basename(entry.path),
+            version: entry.version,
+            durationSeconds: result.durationSeconds,
+            durationFrames: result.durationFrames,
+            startTimecode: result.startTimecode || null,
+        },
+        source: {
+            path: chapter.sourceFile,
+            hash: entry.sourceHash,
+            frameRate: isFinite(frameRate) ? frameRate : null,
+        },
+        chapter: {
+            id: entry.id,
+            originalTitle: chapter.originalTitle || chapter.title,
+            title: chapter.title,
+            path: chapter.path || null,
+            // The marker as analysed, and the edits made to it in the chapter list since analysis
+            marker: chapter.marker || null,
+            edits: chapter.edits || [],
+        },
+        in: { seconds: entry.startTime, frame: inFrame, timecode: entry.timecodeIn },
+        out: { seconds: entry.endTime, frame: outFrame === null ? null : Math.max(inFrame, outFrame - 1), timecode: entry.timecodeOut },
+        preset,
+        // The loudness target and the first pass's measurement, when the preset normalises
+        loudness: result.loudness || null,
+        // The post-encode checks (lib/qc.js)
+        qc: result.qc || null,
+        ffmpeg: {
+            version: ffmpegVersion || null,
+            commands: commands.map(formatCommandLine),
+        },
+        app: { name: APP_NAME, version: APP_VERSION },
+        operator: currentOperator(),
+        createdAt: new Date().toISOString(),
+    };
+}
+
+// Writes the sidecar of the guide at `outputPath`. Returns the sidecar's file name, or null when it
+// could not be written; the guide itself is fine either way.
+function writeProvenance(outputPath, record) {
+    const filePath = sidecarPath(outputPath);
+    try {
+        writeJsonAtomic(filePath, record);
+        return path.basename(filePath);
+    } catch (error) {
+        log(`[WARNING] Could not write the provenance record ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = { sidecarPath, buildProvenance, writeProvenance };
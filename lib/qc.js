@@ -0,0 +1,273 @@
+// lib/qc.js - Post-encode checks of a finished guide
+//
+// Every guide is probed and analysed once it is written. The checks:
+//   frames    the frame count is the chapter's plus both holds
+//   chapters  the chapter marker came through (containers that carry one)
+//   video     resolution and codec are the preset's
+//   audio     codec is the preset's
+//   drift     the audio and video streams end together
+//   black     no black at the head or tail of the chapter (a warning)
+//   freeze    no frozen picture at the head or tail of the chapter (a warning)
+//   dropouts  no digital silence inside the chapter's audio
+// The holds are left out of the picture and sound analysis; they are frozen on purpose. Black and
+// frozen edges are only warnings: guides often start on a held or black frame on purpose, and a
+// chapter should not fail (and its shot list row go unreported) for that. So is an analysis pass
+// that failed: nothing was checked, and an ffmpeg hiccup is no reason to fail a good guide.
+//
+// A preset may tune them in a "qc" section, or turn QC off with "qc": false:
+//   frameTolerance  frames the count may be off by (default 1)
+//   driftSeconds    how far the stream ends may be apart (default 0.1)
+//   blackSeconds    shortest black run that is reported (default 0.5)
+//   freezeSeconds   shortest freeze that is reported (default 1); animatics hold panels, so null turns it off
+//   silenceSeconds  shortest dropout that fails (default 0.25)
+// Any of them set to null skips its check.
+const { parseRational } = require('./timecode');
+
+const QC_DEFAULTS = { frameTolerance: 1, driftSeconds: 0.1, blackSeconds: 0.5, freezeSeconds: 1, silenceSeconds: 0.25 };
+
+// Below these a frame counts as black and a channel as silent. Dropouts are gaps in the signal, not
+// quiet passages, hence the very low floor.
+const BLACK_PIXEL_THRESHOLD = 0.1;
+const FREEZE_NOISE = '-60dB';
+const SILENCE_NOISE = '-90dB';
+
+// Encoders whose name is not the codec ffprobe reports.
+const ENCODER_CODECS = {
+    libx264: 'h264',
+    libx264rgb: 'h264',
+    libopenh264: 'h264',
+    libx265: 'hevc',
+    prores_ks: 'prores',
+    prores_aw: 'prores',
+    libvpx: 'vp8',
+    'libvpx-vp9': 'vp9',
+    'libaom-av1': 'av1',
+    libsvtav1: 'av1',
+    librav1e: 'av1',
+    libmp3lame: 'mp3',
+    libopus: 'opus',
+    libvorbis: 'vorbis',
+    libfdk_aac: 'aac',
+};
+
+function codecOf(encoder) {
+    if (ENCODER_CODECS[encoder]) return ENCODER_CODECS[encoder];
+    // Hardware encoders: h264_nvenc, hevc_videotoolbox, ...
+    const hardware = encoder.match(/^(h264|hevc|av1|vp9|mjpeg)_(nvenc|qsv|amf|videotoolbox|vaapi|mf|v4l2m2m)$/);
+    return hardware ? hardware[1] : encoder;
+}
+
+// Problems with a preset's "qc" section, as readable strings (lib/presets.js reports them).
+function validateQcOptions(qc) {
+    if (qc === false) return [];
+    if (typeof qc !== 'object' || qc === null || Array.isArray(qc)) return ['"qc" must be an object, or false for no QC'];
+    return Object.keys(qc).map(key => {
+        if (!(key in QC_DEFAULTS)) return `"qc.${key}" is not a QC option (${Object.keys(QC_DEFAULTS).join(', ')})`;
+        if (qc[key] !== null && !(typeof qc[key] === 'number' && qc[key] >= 0)) return `"qc.${key}" must be a number, or null to skip the check`;
+        return null;
+    }).filter(Boolean);
+}
+
+// Intervals between `startKey: <s>` and `endKey: <s>` in a detect filter's log output. A run still
+// open at the end of the input has `end` null.
+function parseIntervals(stderr, startKey, endKey) {
+    const intervals = [];
+    const escape = key => key.replace(/\./g, '\\.');
+    const pattern = new RegExp(`(${escape(startKey)}|${escape(endKey)}):\\s*(-?[\\d.]+)`, 'g');
+    let open = null;
+    let match;
+    while ((match = pattern.exec(stderr))) {
+        const seconds = parseFloat(match[2]);
+        if (match[1] === startKey) {
+            if (open) intervals.push(open);
+            open = { start: seconds, end: null };
+        } else if (open) {
+            open.end = seconds;
+            intervals.push(open);
+            open = null;
+        }
+    }
+    if (open) intervals.push(open);
+    return intervals;
+}
+
+function formatInterval({ start, end }) {
+    return `${start.toFixed(2)}s to ${end === null ? 'the end' : `${end.toFixed(2)}s`}`;
+}
+
+// Checks from the probe of the guide alone.
+function checkStreams(info, expected, options) {
+    const { preset, hasVideo, hasAudio, withChapters, title, frameRate, holdFrames, chapterFrames, pictureFrames } = expected;
+    const checks = [];
+    const videoStream = info.streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    const audioStream = info.streams.find(s => s.codec_type === 'audio');
+    const duration = parseFloat(info.format && info.format.duration);
+
+    if (options.frameTolerance !== null) {
+        // The picture's own count when there is one (see createQc), else the audio's length in frames.
+        const mainFrames = hasVideo ? pictureFrames : chapterFrames;
+        const expectedFrames = mainFrames + 2 * holdFrames;
+        const counted = videoStream && parseInt(videoStream.nb_frames, 10);
+        const actualFrames = counted > 0 ? counted : Math.round(duration * frameRate);
+        checks.push({
+            name: 'frames',
+            passed: isFinite(actualFrames) && Math.abs(actualFrames - expectedFrames) <= options.frameTolerance,
+            detail: `${isFinite(actualFrames) ? actualFrames : 'unknown'} frames, expected ${expectedFrames} (${mainFrames} + 2 x ${holdFrames} hold)`,
+        });
+    }
+
+    if (withChapters) {
+        const chapter = (info.chapters || []).find(c => c.tags && c.tags.title === title);
+        const offset = chapter ? Math.abs(parseFloat(chapter.start_time) - holdFrames / frameRate) : null;
+        checks.push({
+            name: 'chapters',
+            passed: !!chapter && offset < 1 / frameRate,
+            detail: !chapter ? `Chapter marker "${title}" is missing`
+                : `Chapter marker "${title}" at ${parseFloat(chapter.start_time).toFixed(3)}s${offset < 1 / frameRate ? '' : `, expected ${(holdFrames / frameRate).toFixed(3)}s`}`,
+        });
+    }
+
+    if (hasVideo) {
+        const video = preset.video;
+        const problems = [];
+        if (!videoStream) {
+            problems.push('no video stream');
+        } else {
+            if (codecOf(video.codec) !== videoStream.codec_name) problems.push(`codec ${videoStream.codec_name}, expected ${codecOf(video.codec)}`);
+            if (video.width && (videoStream.width !== video.width || videoStream.height !== video.height)) {
+                problems.push(`${videoStream.width}x${videoStream.height}, expected ${video.width}x${video.height}`);
+            }
+        }
+        checks.push({
+            name: 'video',
+            passed: problems.length === 0,
+            detail: problems.length > 0 ? `Video: ${problems.join(', ')}` : `Video: ${videoStream.codec_name} ${videoStream.width}x${videoStream.height}`,
+        });
+    }
+
+    if (hasAudio) {
+        const codec = codecOf(preset.audio.codec);
+        checks.push({
+            name: 'audio',
+            passed: !!audioStream && audioStream.codec_name === codec,
+            detail: !audioStream ? 'Audio: no audio stream'
+                : `Audio: ${audioStream.codec_name}${audioStream.codec_name === codec ? '' : `, expected ${codec}`}`,
+        });
+    }
+
+    // Streams without their own duration (Matroska) cannot be compared.
+    const videoDuration = videoStream && parseFloat(videoStream.duration);
+    const audioDuration = audioStream && parseFloat(audioStream.duration);
+    if (options.driftSeconds !== null && hasVideo && hasAudio && isFinite(videoDuration) && isFinite(audioDuration)) {
+        const drift = audioDuration - videoDuration;
+        checks.push({
+            name: 'drift',
+            passed: Math.abs(drift) <= options.driftSeconds,
+            detail: `Audio ends ${Math.abs(drift).toFixed(3)}s ${drift < 0 ? 'before' : 'after'} the picture`,
+        });
+    }
+    return checks;
+}
+
+// The ffmpeg arguments of one pass over the chapter part of the guide with blackdetect,
+// freezedetect and silencedetect, or null when none of them is wanted.
+function analysisArgs(outputPath, expected, options) {
+    const { hasVideo, hasAudio, frameRate, holdFrames, chapterFrames, pictureFrames } = expected;
+    const videoFilters = [];
+    if (options.blackSeconds !== null) videoFilters.push(`blackdetect=d=${options.blackSeconds}:pix_th=${BLACK_PIXEL_THRESHOLD}`);
+    if (options.freezeSeconds !== null) videoFilters.push(`freezedetect=n=${FREEZE_NOISE}:d=${options.freezeSeconds}`);
+    const analyseVideo = hasVideo && videoFilters.length > 0;
+    const analyseAudio = hasAudio && options.silenceSeconds !== null;
+    if (!analyseVideo && !analyseAudio) return null;
+
+    const holdSeconds = holdFrames / frameRate;
+    const graph = [];
+    if (analyseVideo) {
+        graph.push(`[0:v:0]trim=start_frame=${holdFrames}:end_frame=${holdFrames + pictureFrames},setpts=PTS-STARTPTS,${videoFilters.join(',')}[qc_v]`);
+    }
+    if (analyseAudio) {
+        graph.push(`[0:a:0]atrim=start=${holdSeconds}:end=${holdSeconds + chapterFrames / frameRate},asetpts=PTS-STARTPTS,silencedetect=n=${SILENCE_NOISE}:d=${options.silenceSeconds}[qc_a]`);
+    }
+    const args = ['-i', outputPath, '-filter_complex', graph.join(';')];
+    if (analyseVideo) args.push('-map', '[qc_v]');
+    if (analyseAudio) args.push('-map', '[qc_a]');
+    args.push('-f', 'null', '-');
+    return args;
+}
+
+// Checks from the analysis pass's log output.
+function checkContent(stderr, expected, options) {
+    const { hasVideo, hasAudio, frameRate, chapterFrames, pictureFrames } = expected;
+    // Within a frame of the chapter's first or last frame counts as the head or tail.
+    const frame = 1 / frameRate;
+    const atEdge = (frames) => ({ start, end }) => start < frame || end === null || end > frames / frameRate - frame;
+    const edgeCheck = (name, label, intervals) => {
+        const found = intervals.filter(atEdge(pictureFrames));
+        return {
+            name,
+            passed: found.length === 0,
+            warning: true,
+            detail: found.length === 0 ? `No ${label} at the head or tail` : `${label[0].toUpperCase()}${label.slice(1)} from ${found.map(formatInterval).join(', ')} of the chapter`,
+        };
+    };
+
+    const checks = [];
+    if (hasVideo && options.blackSeconds !== null) {
+        checks.push(edgeCheck('black', 'black', parseIntervals(stderr, 'black_start', 'black_end')));
+    }
+    if (hasVideo && options.freezeSeconds !== null) {
+        checks.push(edgeCheck('freeze', 'frozen picture', parseIntervals(stderr, 'lavfi.freezedetect.freeze_start', 'lavfi.freezedetect.freeze_end')));
+    }
+    if (hasAudio && options.silenceSeconds !== null) {
+        // Silence running into the head or tail is a quiet start or end, not a dropout.
+        const dropouts = parseIntervals(stderr, 'silence_start', 'silence_end').filter(interval => !atEdge(chapterFrames)(interval));
+        checks.push({
+            name: 'dropouts',
+            passed: dropouts.length === 0,
+            detail: dropouts.length === 0 ? 'No audio dropouts' : `Audio drops out from ${dropouts.map(formatInterval).join(', ')}`,
+        });
+    }
+    return checks;
+}
+
+// The QC of one guide, or null when the preset turns it off. `expected` describes the encode:
+// { preset, hasVideo, hasAudio, withChapters, title (the chapter marker's), frameRate (the guide's),
+// holdFrames, chapterFrames, pictureFrames }. `pictureFrames` is the chapter's frames in the picture
+// as the encode trims them: one source frame short, the last frame opening the tail hold instead.
+// Like the loudness measurement (lib/audio.js), the analysis pass is left to the caller: run
+// `analysisArgs(outputPath)` (null when there is nothing to analyse) and hand its stderr to
+// `evaluate(info, stderr)` with the guide's probe; a failed pass is stderr null.
+// `evaluate` returns { passed, checks: [{ name, passed, warning, detail }] }; a failed warning does
+// not fail the guide.
+function createQc(preset, expected) {
+    if (preset.qc === false) return null;
+    const options = { ...QC_DEFAULTS, ...(preset.qc || {}) };
+    const frameRate = parseRational(expected.frameRate);
+    const context = { ...expected, preset, frameRate: isFinite(frameRate) && frameRate > 0 ? frameRate : 30 };
+    const args = outputPath => analysisArgs(outputPath, context, options);
+
+    return {
+        analysisArgs: args,
+        evaluate(info, stderr) {
+            const checks = checkStreams(info, context, options);
+            if (stderr === null) {
+                checks.push({ name: 'analysis', passed: false, warning: true, detail: 'Picture and sound could not be analysed' });
+            } else if (stderr !== undefined) {
+                checks.push(...checkContent(stderr, context, options));
+            }
+            return { passed: checks.every(check => check.passed || check.warning), checks };
+        },
+    };
+}
+
+// The failed checks of a QC result, as readable reasons.
+function qcFailures(qc) {
+    return qc ? qc.checks.filter(check => !check.passed && !check.warning).map(check => check.detail) : [];
+}
+
+// The failed warnings of a QC result, as readable reasons.
+function qcWarnings(qc) {
+    return qc ? qc.checks.filter(check => !check.passed && check.warning).map(check => check.detail) : [];
+}
+
+module.exports = { QC_DEFAULTS, validateQcOptions, createQc, qcFailures, qcWarnings };
@@ -0,0 +1,195 @@
+// lib/settings.js - Persistent settings and named project profiles
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseColumnMap } = require('./metadata/records');
+const { validateTemplates } = require('./naming');
+const { VERSION_POLICIES } = require('./manifest');
+const { writeJsonAtomic } = require('./fsutil');
+
+const SETTINGS_FILE = 'settings.json';
+
+// The values the app shipped with before profiles existed. Used to seed a fresh settings file.
+const DEFAULT_PROFILE_NAME = '3212';
+const DEFAULT_PROFILE = {
+    outputRoot: 'S:\\3212-PREPRODUCTION',
+    testRoot: 'S:\\3212-PREPRODUCTION_TEST',
+    sheetId: '17W-uNf2bpFf2rhn1rCMgYEsBVbvr8UWpyJgHmJQ5gBw',
+    sheetName: 'guide_creator-export',
+    appsScriptUrl: 'https://script.google.com/macros/s/AKfycbz4_IstItFMaHbVMcOoTpXEugqpliK_q3ZaDFA6I9Ds_5_AnrKT3kkvc564Z1WXXkMe/exec',
+    preset: '', // Encoding preset used when a run does not pick one; empty means the built-in default
+    // Where shot names come from and durations go (lib/metadata). Empty means the Google Sheet above.
+    metadataProvider: '',
+    metadataSource: '', // File path or base URL for the file and REST providers
+    metadataToken: '', // Bearer token for the REST provider
+    // Shot list headers that differ from the defaults, e.g. "guideName=SHOT NAME, path=FOLDER"
+    columnMap: '',
+    // Output folder (under the output root) and file name templates; empty means the defaults in lib/naming
+    dirTemplate: '',
+    fileTemplate: '',
+    // What a run does with chapters that already have guides (see lib/manifest); empty means 'new'
+    versionPolicy: '',
+    // Folder whose new .mov exports are processed unattended (see lib/watch); empty means none
+    watchFolder: '',
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_PROFILE);
+
+// How many ffmpeg jobs run at once. Machine-wide rather than per profile.
+const DEFAULT_PARALLEL_JOBS = 1;
+const MAX_PARALLEL_JOBS = 64;
+
+// Length of the segments encodes are written in, so a pause that has to kill ffmpeg (because the
+// process cannot be suspended) resumes from the last finished segment. 0 writes the output directly.
+const DEFAULT_SEGMENT_SECONDS = 0;
+
+// Port of the local control API (lib/api.js), machine-wide; 0 leaves it off. Clients authenticate
+// with the token, which is generated when the API is first switched on.
+const DEFAULT_API_PORT = 0;
+
+function defaultSettings() {
+    return {
+        activeProfile: DEFAULT_PROFILE_NAME,
+        parallelJobs: DEFAULT_PARALLEL_JOBS,
+        segmentSeconds: DEFAULT_SEGMENT_SECONDS,
+        apiPort: DEFAULT_API_PORT,
+        apiToken: '',
+        profiles: { [DEFAULT_PROFILE_NAME]: { ...DEFAULT_PROFILE } },
+    };
+}
+
+// Fills in any fields missing from a stored profile so older settings files keep working.
+function normalizeProfile(profile) {
+    const normalized = {};
+    for (const field of PROFILE_FIELDS) {
+        const value = profile && profile[field];
+        normalized[field] = typeof value === 'string' ? value.trim() : '';
+    }
+    return normalized;
+}
+
+function normalizeSettings(raw) {
+    const settings = defaultSettings();
+    if (!raw || typeof raw !== 'object') return settings;
+
+    if (raw.profiles && typeof raw.profiles === 'object' && Object.keys(raw.profiles).length > 0) {
+        settings.profiles = {};
+        for (const [name, profile] of Object.entries(raw.profiles)) {
+            settings.profiles[name] = normalizeProfile(profile);
+        }
+    }
+    settings.activeProfile = settings.profiles[raw.activeProfile] ? raw.activeProfile : Object.keys(settings.profiles)[0];
+    const parallelJobs = parseInt(raw.parallelJobs, 10);
+    if (parallelJobs > 0) settings.parallelJobs = parallelJobs;
+    const segmentSeconds = parseInt(raw.segmentSeconds, 10);
+    if (segmentSeconds >= 0) settings.segmentSeconds = segmentSeconds;
+    const apiPort = parseInt(raw.apiPort, 10);
+    if (apiPort >= 0) settings.apiPort = apiPort;
+    if (typeof raw.apiToken === 'string') settings.apiToken = raw.apiToken.trim();
+    return settings;
+}
+
+// Throws if the settings object cannot be saved as-is.
+function validateSettings(settings) {
+    const names = Object.keys(settings.profiles || {});
+    if (names.length === 0) {
+        throw new Error('At least one profile is required.');
+    }
+    for (const name of names) {
+        if (!name.trim()) {
+            throw new Error('Profile names cannot be empty.');
+        }
+        const profile = settings.profiles[name];
+        if (!profile.outputRoot) {
+            throw new Error(`Profile "${name}" has no output root.`);
+        }
+        try {
+            parseColumnMap(profile.columnMap);
+            validateTemplates(profile);
+            if (profile.versionPolicy && !VERSION_POLICIES.includes(profile.versionPolicy)) {
+                throw new Error(`Unknown version policy "${profile.versionPolicy}". Policies: ${VERSION_POLICIES.join(', ')}`);
+            }
+        } catch (error) {
+            throw new Error(`Profile "${name}": ${error.message}`);
+        }
+    }
+    const watched = new Map();
+    for (const name of names) {
+        const watchFolder = settings.profiles[name].watchFolder;
+        if (!watchFolder) continue;
+        const key = path.resolve(watchFolder).toLowerCase();
+        if (watched.has(key)) {
+            throw new Error(`Profiles "${watched.get(key)}" and "${name}" watch the same folder.`);
+        }
+        watched.set(key, name);
+    }
+    if (!settings.profiles[settings.activeProfile]) {
+        throw new Error(`Active profile "${settings.activeProfile}" does not exist.`);
+    }
+    if (settings.parallelJobs > MAX_PARALLEL_JOBS) {
+        throw new Error(`Parallel jobs must be between 1 and ${MAX_PARALLEL_JOBS}.`);
+    }
+    if (settings.apiPort > 65535) {
+        throw new Error('The API port must be between 1 and 65535, or 0 to switch the API off.');
+    }
+}
+
+// The gviz CSV export of the profile's sheet. A full URL in place of the sheet ID is used as-is,
+// which lets a local stand-in server take the sheet's place.
+function getSheetCsvUrl(profile) {
+    if (!profile.sheetId) return null;
+    if (/^https?:\/\//i.test(profile.sheetId)) return profile.sheetId;
+    const sheetParam = profile.sheetName ? `&sheet=${encodeURIComponent(profile.sheetName)}` : '';
+    return `https://docs.google.com/spreadsheets/d/${encodeURIComponent(profile.sheetId)}/gviz/tq?tqx=out:csv${sheetParam}`;
+}
+
+// Creates a settings store backed by a JSON file in `userDataDir`.
+function createSettingsStore(userDataDir) {
+    const filePath = path.join(userDataDir, SETTINGS_FILE);
+    let settings = null;
+
+    function load() {
+        try {
+            settings = normalizeSettings(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read settings from ${filePath}, using defaults:`, error);
+            }
+            settings = defaultSettings();
+        }
+        return settings;
+    }
+
+    function get() {
+        return settings || load();
+    }
+
+    function save(newSettings) {
+        const normalized = normalizeSettings(newSettings);
+        validateSettings(normalized);
+        if (normalized.apiPort && !normalized.apiToken) normalized.apiToken = crypto.randomBytes(24).toString('hex');
+        fs.mkdirSync(userDataDir, { recursive: true });
+        writeJsonAtomic(filePath, normalized);
+        settings = normalized;
+        return settings;
+    }
+
+    function getProfile(name) {
+        const current = get();
+        const profileName = name || current.activeProfile;
+        const profile = current.profiles[profileName];
+        if (!profile) {
+            throw new Error(`Unknown profile "${profileName}". Available: ${Object.keys(current.profiles).join(', ')}`);
+        }
+        return { name: profileName, ...profile };
+    }
+
+    return { filePath, load, get, save, getProfile };
+}
+
+module.exports = {
+    createSettingsStore,
+    getSheetCsvUrl,
+    PROFILE_FIELDS,
+    MAX_PARALLEL_JOBS,
+};
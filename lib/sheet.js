@@ -0,0 +1,287 @@
+// lib/sheet.js - Google Sheet lookup and Apps Script write-back
+const http = require('http');
+const https = require('https');
+const { log } = require('./logger');
+const { resolveColumns, shotRecord } = require('./metadata/records');
+
+// Custom CSV line parser to handle commas (or another delimiter) within quoted fields
+function parseCsvLine(line, delimiter = ',') {
+    const columns = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i+1] === '"') {
+                current += '"';
+                i++; // Skip the next quote
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === delimiter && !inQuotes) {
+            columns.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    columns.push(current);
+    return columns;
+}
+
+// Correctly splits a CSV string into an array of lines, handling newlines within quoted fields.
+function splitCsvToLines(csvString) {
+    const rows = [];
+    let inQuotes = false;
+    let currentRowStart = 0;
+    const text = csvString.trim().replace(/\r\n/g, '\n');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            if (inQuotes && text[i + 1] === '"') {
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        }
+        if (char === '\n' && !inQuotes) {
+            rows.push(text.substring(currentRowStart, i));
+            currentRowStart = i + 1;
+        }
+    }
+    if (currentRowStart < text.length) {
+        rows.push(text.substring(currentRowStart));
+    }
+    return rows;
+}
+
+// Turns a table of cells (header row first) into a map of chapter ID -> shot row (see shotRecord in
+// lib/metadata/records). Shared by every spreadsheet-like source: the Google Sheet export, local CSV
+// and XLSX files. `columnMap` names the header of any field that does not use the default one.
+function parseShotRows(rows, columnMap = {}) {
+    if (rows.length < 1) {
+        throw new Error('Sheet data is empty. Cannot find header row.');
+    }
+    const headerNames = rows[0].map(h => String(h).trim());
+    log(`Using headers: [${headerNames.join(', ')}]`);
+
+    const { indexes, extras } = resolveColumns(headerNames, columnMap);
+    const requiredIndex = Math.max(indexes.id, indexes.guideName, indexes.path);
+
+    const shotDataMap = {};
+    rows.slice(1).forEach((row, rowIndex) => {
+        const columns = row.map(c => String(c).trim());
+
+        if (columns.length <= requiredIndex) {
+            // Only warn if the line isn't empty
+            if (columns.join('') !== '') {
+                log(`[WARNING] Skipping row ${rowIndex + 2} due to insufficient columns.`);
+            }
+            return;
+        }
+
+        const id = columns[indexes.id];
+        if (id) {
+            const values = {};
+            Object.entries(indexes).forEach(([field, index]) => { values[field] = columns[index] || ''; });
+            const extraValues = {};
+            extras.forEach(({ index, key }) => { extraValues[key] = columns[index] || ''; });
+            shotDataMap[id] = shotRecord(id, values, extraValues);
+        }
+    });
+    log(`Parsed ${Object.keys(shotDataMap).length} data rows from the sheet.`);
+    return shotDataMap;
+}
+
+// Turns the exported sheet CSV (or a local CSV/TSV with `delimiter`) into a map of chapter ID -> shot row.
+function parseShotDataCsv(rawData, delimiter = ',', columnMap = {}) {
+    const lines = splitCsvToLines(rawData);
+
+    if (lines[0] && lines[0].charCodeAt(0) === 0xFEFF) {
+        lines[0] = lines[0].substring(1);
+    }
+
+    if (lines.length < 1) {
+        throw new Error('CSV data is empty. Cannot find header row.');
+    }
+    return parseShotRows(lines.map(line => parseCsvLine(line, delimiter).map(c => c.replace(/^"|"$/g, ''))), columnMap);
+}
+
+// http for local stand-ins, https for everything real.
+function clientFor(url) {
+    return String(url).startsWith('http:') ? http : https;
+}
+
+// Fetches and parses the Google Sheet data.
+function fetchShotData(sheetUrl, columnMap = {}) {
+    return new Promise((resolve, reject) => {
+        log(`Fetching Google Sheet data from: ${sheetUrl}`);
+
+        clientFor(sheetUrl).get(sheetUrl, (res) => {
+            if (res.statusCode !== 200) {
+                const errorMsg = `Google Sheet request failed with status code: ${res.statusCode}`;
+                log(`[ERROR] ${errorMsg}`);
+                res.resume();
+                return reject(new Error(errorMsg));
+            }
+
+            let rawData = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { rawData += chunk; });
+            res.on('end', () => {
+                try {
+                    log('Successfully fetched Google Sheet data. Parsing...');
+                    resolve(parseShotDataCsv(rawData, ',', columnMap));
+                } catch (e) {
+                    const errorMsg = `Failed to parse CSV data: ${e.message}`;
+                    log(`[ERROR] ${errorMsg}`);
+                    reject(new Error(errorMsg));
+                }
+            });
+        }).on('error', (e) => {
+            const errorMsg = `Got error during Google Sheet fetch: ${e.message}`;
+            log(`[ERROR] ${errorMsg}`);
+            reject(new Error(errorMsg));
+        });
+    });
+}
+
+// Renames chapters in place using the sheet data and carries over the row's other fields: `fields`
+// (descriptive columns), `sheetPreset`, `skip` and the `frameIn` / `frameOut` override. Returns how
+// many chapters matched.
+function applyShotData(chapters, shotDataMap) {
+    let renamedCount = 0;
+    chapters.forEach(chapter => {
+        const originalTitle = chapter.originalTitle || chapter.title;
+        const sheetData = shotDataMap[originalTitle];
+        chapter.originalTitle = originalTitle;
+
+        if (sheetData) {
+            chapter.title = sheetData.guideName;
+            chapter.path = sheetData.path;
+            chapter.fields = sheetData.fields || {};
+            chapter.sheetPreset = sheetData.preset;
+            chapter.skip = !!sheetData.skip;
+            chapter.frameIn = sheetData.frameIn;
+            chapter.frameOut = sheetData.frameOut;
+            renamedCount++;
+            log(`Success: Matched ID "${originalTitle}". New name is "${sheetData.guideName}".`);
+        } else {
+            log(`[WARNING] No match found for ID "${originalTitle}" in the shot list. Using original name.`);
+        }
+    });
+    return renamedCount;
+}
+
+// Posts a JSON body to the Apps Script endpoint, following Google's redirects. Always resolves with
+// { success, message, response, networkError }, `response` being the parsed reply (null if it was not JSON).
+function postToAppsScript(appsScriptUrl, body, label) {
+    const postData = JSON.stringify(body);
+
+    return new Promise((resolve) => {
+        // Recursive function to handle 302 redirects from Google Script
+        const makeRequest = (url, method = 'POST', redirectCount = 0) => {
+            if (redirectCount > 5) {
+                log(`[ERROR] Exceeded max redirect limit for ${label}`);
+                resolve({ success: false, message: 'Too many redirects', response: null, networkError: true });
+                return;
+            }
+
+            const urlObject = new URL(url);
+            const options = {
+                method: method,
+                headers: { 'Content-Type': 'application/json' }
+            };
+
+            if (method === 'POST') {
+                options.headers['Content-Length'] = Buffer.byteLength(postData);
+            }
+
+            const req = clientFor(url).request(urlObject, options, (res) => {
+                // Handle Redirects (302/303)
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    // Follow redirect using GET (Google Script behavior)
+                    makeRequest(new URL(res.headers.location, url).toString(), 'GET', redirectCount + 1);
+                    res.resume(); // Consume data to free memory
+                    return;
+                }
+
+                let responseBody = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => { responseBody += chunk; });
+                res.on('end', () => {
+                    log(`Google Sheet API Response for ${label}: ${responseBody}`);
+
+                    let parsedResponse = null;
+                    try {
+                        parsedResponse = JSON.parse(responseBody);
+                    } catch(e) {
+                        // HTML error page or raw text
+                    }
+
+                    resolve({
+                        success: !!parsedResponse && parsedResponse.status === 'success',
+                        message: parsedResponse ? (parsedResponse.message || 'Unknown result') : `Invalid JSON: ${responseBody.substring(0, 50)}...`,
+                        response: parsedResponse,
+                        networkError: false
+                    });
+                });
+            });
+
+            req.on('error', (e) => {
+                log(`[ERROR] Network error for ${label}: ${e.message}`);
+                resolve({ success: false, message: `Network Error: ${e.message}`, response: null, networkError: true });
+            });
+
+            if (method === 'POST') {
+                req.write(postData);
+            }
+            req.end();
+        };
+        makeRequest(appsScriptUrl);
+    });
+}
+
+// Posts chapter durations to the Apps Script endpoint. Always resolves with { success, message }.
+async function postSheetUpdate(appsScriptUrl, { originalTitle, dur_f, dur_s, guide_version }) {
+    log(`Posting to Google Sheet for ID ${originalTitle}: DUR_F=${dur_f}, DUR_S=${dur_s}, GUIDE_V=${guide_version}`);
+
+    const { success, message } = await postToAppsScript(appsScriptUrl, {
+        id: originalTitle,
+        dur_f: dur_f,
+        dur_s: dur_s,
+        guide_v: guide_version
+    }, `ID ${originalTitle}`);
+    return { success, message };
+}
+
+// Posts several rows in one request as { rows: [...] }. Scripts that understand it answer with
+// { status, results: [{ id, status, message }] }. Resolves with { supported, results, message }:
+// `supported` is false when the reply has no per-row results (an older script), null when the
+// request never got an answer.
+async function postSheetUpdates(appsScriptUrl, updates) {
+    log(`Posting ${updates.length} rows to Google Sheet: ${updates.map(u => u.originalTitle).join(', ')}`);
+
+    const { message, response, networkError } = await postToAppsScript(appsScriptUrl, {
+        rows: updates.map(({ originalTitle, dur_f, dur_s, guide_version }) => ({ id: originalTitle, dur_f, dur_s, guide_v: guide_version }))
+    }, `${updates.length} rows`);
+    if (networkError) return { supported: null, results: [], message };
+    if (!response || !Array.isArray(response.results)) return { supported: false, results: [], message };
+    return {
+        supported: true,
+        results: response.results.map(r => ({ id: r.id, success: r.status === 'success', message: r.message || 'Unknown result' })),
+        message
+    };
+}
+
+module.exports = {
+    parseCsvLine,
+    splitCsvToLines,
+    parseShotRows,
+    parseShotDataCsv,
+    clientFor,
+    fetchShotData,
+    applyShotData,
+    postSheetUpdate,
+    postSheetUpdates,
+};
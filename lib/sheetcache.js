@@ -0,0 +1,113 @@
+// lib/sheetcache.js - Local snapshot of the shot list, used when its provider cannot be reached
+//
+// Every successful lookup is stored in <userData>/sheet-cache, one file per shot list (the provider's
+// `key`), together with the time it was taken. The previous rows are diffed against the live ones
+// before they are replaced.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./fsutil');
+
+const CACHE_DIR = 'sheet-cache';
+
+// Fields of a shot row that change the guide: its name, place, preset, frame range or whether it is
+// made at all. A change to any of them is reported.
+const DIFF_FIELDS = ['guideName', 'path', 'preset', 'skip', 'frameIn', 'frameOut'];
+
+function createSheetCache(userDataDir) {
+    const dir = path.join(userDataDir, CACHE_DIR);
+
+    function snapshotPath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+        return path.join(dir, `${hash}.json`);
+    }
+
+    // Returns { key, fetchedAt, shotDataMap } or null when there is no usable snapshot.
+    function load(key) {
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath(key), 'utf8'));
+            return snapshot.key === key && snapshot.shotDataMap ? snapshot : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') log(`[WARNING] Could not read the sheet snapshot: ${error.message}`);
+            return null;
+        }
+    }
+
+    function save(key, shotDataMap) {
+        const snapshot = { key, fetchedAt: new Date().toISOString(), shotDataMap };
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            writeJsonAtomic(snapshotPath(key), snapshot);
+        } catch (error) {
+            log(`[WARNING] Could not save the sheet snapshot: ${error.message}`);
+        }
+        return snapshot;
+    }
+
+    return { load, save };
+}
+
+// Compares two shot data maps: { added: [id], removed: [id], changed: [{ id, fields }] }, where
+// `fields` lists what differs as { field, before, after }. With `ids` only those rows are compared,
+// since a lookup only returns the rows it was asked for.
+function diffShotData(before, after, ids = null) {
+    const diff = { added: [], removed: [], changed: [] };
+    const inScope = id => !ids || ids.includes(id);
+    for (const id of Object.keys(after).filter(inScope)) {
+        if (!before[id]) {
+            diff.added.push(id);
+            continue;
+        }
+        const fields = DIFF_FIELDS
+            .filter(field => before[id][field] !== after[id][field])
+            .map(field => ({ field, before: before[id][field], after: after[id][field] }));
+        if (fields.length > 0) diff.changed.push({ id, fields });
+    }
+    diff.removed = Object.keys(before).filter(id => inScope(id) && !after[id]);
+    return diff;
+}
+
+function logShotDataDiff(diff, since) {
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    if (total === 0) {
+        log(`Sheet is unchanged since the snapshot from ${since}.`);
+        return;
+    }
+    log(`Sheet changes since the snapshot from ${since}: ${diff.changed.length} changed, ${diff.added.length} added, ${diff.removed.length} removed.`);
+    diff.changed.forEach(({ id, fields }) => {
+        log(`  ~ ${id}: ${fields.map(f => `${f.field} "${f.before}" -> "${f.after}"`).join(', ')}`);
+    });
+    diff.added.forEach(id => log(`  + ${id}`));
+    diff.removed.forEach(id => log(`  - ${id}`));
+}
+
+// Looks up `ids` (null for every shot) with the provider and refreshes the snapshot. When the lookup
+// fails, the snapshot stands in for it unless `allowSnapshot` is false (an explicit refresh should
+// fail loudly). Resolves with { shotDataMap, source: 'live' | 'snapshot', fetchedAt, diff, error }:
+// `diff` compares the previous snapshot with the live rows, `error` says why a snapshot was used.
+async function loadShotData(provider, ids, cache, { allowSnapshot = true } = {}) {
+    const snapshot = cache.load(provider.key);
+    let shotDataMap;
+    try {
+        shotDataMap = await provider.lookup(ids);
+    } catch (error) {
+        if (!allowSnapshot || !snapshot) throw error;
+        log(`[WARNING] Using the ${provider.label} snapshot from ${snapshot.fetchedAt}: ${error.message}`);
+        const rows = ids ? Object.fromEntries(ids.filter(id => snapshot.shotDataMap[id]).map(id => [id, snapshot.shotDataMap[id]])) : snapshot.shotDataMap;
+        return { shotDataMap: rows, source: 'snapshot', fetchedAt: snapshot.fetchedAt, diff: null, error: error.message };
+    }
+
+    let diff = null;
+    if (snapshot) {
+        diff = diffShotData(snapshot.shotDataMap, shotDataMap, ids);
+        logShotDataDiff(diff, snapshot.fetchedAt);
+    }
+    // Rows that were not asked for this time stay as they were.
+    const merged = ids ? { ...(snapshot ? snapshot.shotDataMap : {}), ...shotDataMap } : shotDataMap;
+    if (ids) ids.filter(id => !shotDataMap[id]).forEach(id => delete merged[id]);
+    const saved = cache.save(provider.key, merged);
+    return { shotDataMap, source: 'live', fetchedAt: saved.fetchedAt, diff, error: null };
+}
+
+module.exports = { createSheetCache, diffShotData, loadShotData };
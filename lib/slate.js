@@ -0,0 +1,208 @@
+// lib/slate.js - Hold frames, marker box and text overlays of a guide, configured per preset
+//
+// A preset may carry a "slate" section; every field is optional:
+//   holdFrames  how many frames the chapter's first and last frame are held for before and after it
+//               (default 10; 0 for no holds)
+//   marker      { x, y, width, height, color } box burnt into the held frames, or null for none.
+//               Missing fields keep the red 13x23 box editors look for at the bottom left.
+//   text        drawtext overlays, each { text, position, margin, x, y, size, color, font, box,
+//               boxColor, on }. `text` is a template like the naming ones (lib/naming.js) with the
+//               tokens id, guideName, name (the file name), version, date, preset, source, path,
+//               project and the shot list fields, plus {frame} (the guide's frame counter, from 1) and
+//               {timecode} (the guide's timecode, drop-frame when the source's is, in which the
+//               chapter keeps its source timecode). `on` is 'all' (default), 'holds' or 'chapter'.
+//               Fonts are the bundled SoinSans styles.
+//   timecode    burns in the timecode: a position (see POSITIONS), or true for 'bottom'
+const fs = require('fs');
+const path = require('path');
+const { parseTemplate, renderTemplate } = require('./naming');
+const { dropFrameLayout } = require('./timecode');
+
+const DEFAULT_HOLD_FRAMES = 10;
+const DEFAULT_MARKER = { x: 88, y: 'ih-43', width: 13, height: 23, color: 'red' };
+const OVERLAY_RANGES = ['all', 'holds', 'chapter'];
+
+const FONT_FILES = {
+    regular: 'SoinSans.otf',
+    bold: 'SoinSans Bold.otf',
+    italic: 'SoinSans Italic.otf',
+    'bold-italic': 'SoinSans BoldItalic.otf',
+    light: 'SoinSans Light.otf',
+    'light-italic': 'SoinSans LightItalic.otf',
+    thin: 'SoinSans Thin.otf',
+    'thin-italic': 'SoinSans ThinItalic.otf',
+};
+
+// drawtext x/y for each position; M is the margin.
+const POSITIONS = {
+    'top-left': ['M', 'M'],
+    top: ['(w-tw)/2', 'M'],
+    'top-right': ['w-tw-M', 'M'],
+    center: ['(w-tw)/2', '(h-th)/2'],
+    'bottom-left': ['M', 'h-th-M'],
+    bottom: ['(w-tw)/2', 'h-th-M'],
+    'bottom-right': ['w-tw-M', 'h-th-M'],
+};
+
+const OVERLAY_DEFAULTS = { position: 'top-left', margin: 20, size: 24, color: 'white', font: 'regular', box: true, boxColor: 'black@0.5', on: 'all' };
+
+// Packaged builds copy fonts/ next to bin/ (forge.config.js), where ffmpeg can read them; files
+// inside the asar archive are only visible to Electron.
+function fontDir() {
+    const packaged = process.resourcesPath ? path.join(process.resourcesPath, 'fonts') : null;
+    return packaged && fs.existsSync(packaged) ? packaged : path.join(__dirname, '..', 'fonts');
+}
+
+// The preset's slate with the defaults filled in.
+function resolveSlate(preset) {
+    const slate = preset.slate || {};
+    return {
+        holdFrames: slate.holdFrames === undefined ? DEFAULT_HOLD_FRAMES : slate.holdFrames,
+        marker: slate.marker === undefined ? DEFAULT_MARKER : (slate.marker ? { ...DEFAULT_MARKER, ...slate.marker } : null),
+        text: [
+            ...(slate.text || []),
+            ...(slate.timecode ? [{ text: '{timecode}', position: slate.timecode === true ? 'bottom' : slate.timecode }] : []),
+        ].map(overlay => ({ ...OVERLAY_DEFAULTS, ...overlay })),
+    };
+}
+
+// Problems with a preset's "slate" section, as readable strings (lib/presets.js reports them).
+function validateSlate(slate) {
+    const problems = [];
+    if (typeof slate !== 'object' || slate === null || Array.isArray(slate)) return ['"slate" must be an object'];
+    if (slate.holdFrames !== undefined && !(Number.isInteger(slate.holdFrames) && slate.holdFrames >= 0)) {
+        problems.push('"slate.holdFrames" must be a whole number of frames');
+    }
+    if (slate.marker !== undefined && slate.marker !== null && slate.marker !== false && typeof slate.marker !== 'object') {
+        problems.push('"slate.marker" must be an object, or null for no marker');
+    }
+    if (slate.timecode !== undefined && typeof slate.timecode !== 'boolean' && !POSITIONS[slate.timecode]) {
+        problems.push(`"slate.timecode" is true, false or one of ${Object.keys(POSITIONS).join(', ')}`);
+    }
+    if (slate.text !== undefined && !Array.isArray(slate.text)) {
+        problems.push('"slate.text" must be a list of overlays');
+        return problems;
+    }
+    (slate.text || []).forEach((overlay, i) => {
+        const where = `"slate.text[${i}]"`;
+        if (!overlay || typeof overlay.text !== 'string' || !overlay.text) {
+            problems.push(`${where} needs a "text"`);
+            return;
+        }
+        try {
+            parseTemplate(overlay.text);
+        } catch (error) {
+            problems.push(`${where}: ${error.message}`);
+        }
+        if (overlay.font !== undefined && !FONT_FILES[overlay.font]) problems.push(`${where}: "font" is one of ${Object.keys(FONT_FILES).join(', ')}`);
+        if (overlay.position !== undefined && !POSITIONS[overlay.position]) problems.push(`${where}: "position" is one of ${Object.keys(POSITIONS).join(', ')}`);
+        if (overlay.on !== undefined && !OVERLAY_RANGES.includes(overlay.on)) problems.push(`${where}: "on" is one of ${OVERLAY_RANGES.join(', ')}`);
+    });
+    return problems;
+}
+
+// An option value quoted for a filtergraph, so commas and colons in expressions survive. A single
+// quote cannot be quoted there and is dropped.
+function quoteValue(value) {
+    return `'${String(value).replace(/'/g, '')}'`;
+}
+
+// A file path as a filter option: forward slashes, and the drive colon escaped for the option parser.
+function quotePath(filePath) {
+    return quoteValue(filePath.replace(/\\/g, '/').replace(/:/g, '\\:'));
+}
+
+// The drawbox filter burning the marker into a still, or null without a marker.
+function markerFilter(marker) {
+    if (!marker) return null;
+    return `drawbox=x=${quoteValue(marker.x)}:y=${quoteValue(marker.y)}:w=${quoteValue(marker.width)}:h=${quoteValue(marker.height)}:color=${quoteValue(marker.color)}:t=fill`;
+}
+
+// Literal text for drawtext's expansion, which treats % and \ as special.
+function escapeText(text) {
+    return text.replace(/[\\%]/g, '\\$&');
+}
+
+// HH:MM:SS:FF of output frame n, counted from `startFrame` (see lib/timecode.js). Drop-frame
+// timecode renumbers the count first, skipping the frame numbers it drops.
+function timecodeExpansion({ startFrame, frameRate, dropFrame }) {
+    const rate = Math.round(frameRate);
+    let frame = `(n+${startFrame})`;
+    if (dropFrame) {
+        const { dropped, perMinute, perTenMinutes } = dropFrameLayout(rate);
+        frame = `(${frame}+${dropped * 9}*trunc(${frame}/${perTenMinutes})+${dropped}*trunc(max(0,mod(${frame},${perTenMinutes})-${dropped})/${perMinute}))`;
+    }
+    const field = expression => `%{eif:${expression}:d:2}`;
+    return [
+        field(`mod(trunc(${frame}/${rate * 3600}),24)`),
+        ':',
+        field(`mod(trunc(${frame}/${rate * 60}),60)`),
+        ':',
+        field(`mod(trunc(${frame}/${rate}),60)`),
+        dropFrame ? ';' : ':',
+        field(`mod(${frame},${rate})`),
+    ].join('');
+}
+
+// The drawtext text of an overlay: static tokens filled in from `values`, {frame} and {timecode}
+// left to drawtext so they change every frame.
+function overlayText(template, values, timecode) {
+    return parseTemplate(template).map(part => {
+        if (typeof part !== 'string' && part.token === 'frame') {
+            return `%{eif:n+1:d${part.format ? `:${parseInt(part.format, 10)}` : ''}}`;
+        }
+        if (typeof part !== 'string' && part.token === 'timecode') {
+            return timecodeExpansion(timecode);
+        }
+        return escapeText(renderTemplate([part], values).text);
+    }).join('');
+}
+
+// drawtext `enable` expression limiting an overlay to the holds or to the chapter, in output frames.
+function enableExpression(on, holdFrames, chapterFrames) {
+    if (on === 'holds') return `lt(n,${holdFrames})+gte(n,${holdFrames + chapterFrames})`;
+    if (on === 'chapter') return `between(n,${holdFrames},${holdFrames + chapterFrames - 1})`;
+    return null;
+}
+
+// The drawtext filters for the slate's overlays on the finished guide (holds included), and the text
+// files they read; the caller writes those and removes them afterwards. Text goes through files so
+// names need no filtergraph escaping. `context`:
+//   values         naming values for the static tokens
+//   holdFrames     the slate's hold length, chapterFrames the chapter's length in the guide's picture
+//                  (output frames, without the last one, which opens the tail hold)
+//   timecode       the guide's timecode: { startFrame, frameRate, dropFrame }
+//   textFile(i)    where overlay i's text goes
+function overlayFilters(slate, context) {
+    const fonts = fontDir();
+    const filters = [];
+    const textFiles = [];
+    slate.text.forEach((overlay, i) => {
+        const textFile = context.textFile(i);
+        textFiles.push({ path: textFile, content: overlayText(overlay.text, context.values, context.timecode) });
+        const [x, y] = POSITIONS[overlay.position].map(expression => expression.replace(/M/g, String(overlay.margin)));
+        const options = [
+            `fontfile=${quotePath(path.join(fonts, FONT_FILES[overlay.font]))}`,
+            `textfile=${quotePath(textFile)}`,
+            `x=${quoteValue(overlay.x !== undefined ? overlay.x : x)}`,
+            `y=${quoteValue(overlay.y !== undefined ? overlay.y : y)}`,
+            `fontsize=${quoteValue(overlay.size)}`,
+            `fontcolor=${quoteValue(overlay.color)}`,
+        ];
+        if (overlay.box) options.push('box=1', `boxcolor=${quoteValue(overlay.boxColor)}`, `boxborderw=${Math.round(Number(overlay.size) / 4) || 6}`);
+        const enable = enableExpression(overlay.on, context.holdFrames, context.chapterFrames);
+        if (enable) options.push(`enable=${quoteValue(enable)}`);
+        filters.push(`drawtext=${options.join(':')}`);
+    });
+    return { filters, textFiles };
+}
+
+module.exports = {
+    DEFAULT_HOLD_FRAMES,
+    FONT_FILES,
+    fontDir,
+    resolveSlate,
+    validateSlate,
+    markerFilter,
+    overlayFilters,
+};
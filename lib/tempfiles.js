@@ -0,0 +1,26 @@
+// lib/tempfiles.js - Names of the temp files an encode leaves next to its output
+//
+// The pipeline writes them and the job journal's crash recovery (lib/journal.js) cleans up after an
+// interrupted run, so both go by the patterns here.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches the segment files of exactly this clip, capturing the segment number; a clip named
+// `a` must not pick up `seg_a_b_000.mp4` of clip `a_b`, encoding next to it. Without `extension`,
+// any extension matches.
+function segmentFilePattern(clipName, extension) {
+    return new RegExp(`^seg_${escapeRegExp(clipName)}_(\\d{3,})${extension ? escapeRegExp(extension) : '\\.[^.]+'}$`);
+}
+
+// The text of slate overlay `index` (lib/slate.js), which drawtext reads from a file.
+function overlayFileName(clipName, index) {
+    return `overlay_${clipName}_${index}.txt`;
+}
+
+function overlayFilePattern(clipName) {
+    return new RegExp(`^overlay_${escapeRegExp(clipName)}_\\d+\\.txt$`);
+}
+
+module.exports = { segmentFilePattern, overlayFileName, overlayFilePattern };
@@ -0,0 +1,130 @@
+// lib/timecode.js - Frame rate and timecode helpers
+
+// Parses "30000/1001", "24", "1001/24000s" (FCPXML) or a plain number into a float. Returns NaN when unreadable.
+function parseRational(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    const match = value.trim().replace(/s$/, '').match(/^(-?\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+    if (!match) return NaN;
+    const numerator = parseFloat(match[1]);
+    const denominator = match[2] !== undefined ? parseFloat(match[2]) : 1;
+    return denominator === 0 ? NaN : numerator / denominator;
+}
+
+// Drop-frame timecode (29.97 and 59.94 only) skips the first two frame numbers (four at 59.94) of
+// every minute except each tenth, so the timecode keeps up with the clock. It is written with a
+// semicolon before the frames: 01:00:00;00.
+function supportsDropFrame(frameRate) {
+    const nominalRate = Math.round(frameRate);
+    return (nominalRate === 30 || nominalRate === 60) && Math.abs(frameRate - nominalRate * 1000 / 1001) < 0.01;
+}
+
+function dropFrameLayout(nominalRate) {
+    const dropped = nominalRate / 15;
+    return { dropped, perMinute: nominalRate * 60 - dropped, perTenMinutes: nominalRate * 600 - dropped * 9 };
+}
+
+// Converts "HH:MM:SS:FF" (or "HH:MM:SS;FF" for drop-frame) to a frame count at the given frame rate.
+function timecodeToFrames(timecode, frameRate) {
+    const match = String(timecode).trim().match(/^(\d+):(\d{2}):(\d{2})([:;.])(\d{2,3})$/);
+    if (!match) {
+        throw new Error(`Invalid timecode "${timecode}".`);
+    }
+    const [hours, minutes, seconds, , frames] = match.slice(1).map(Number);
+    const nominalRate = Math.round(frameRate);
+    let totalFrames = (hours * 3600 + minutes * 60 + seconds) * nominalRate + frames;
+    if (match[4] === ';' && supportsDropFrame(frameRate)) {
+        const totalMinutes = hours * 60 + minutes;
+        totalFrames -= dropFrameLayout(nominalRate).dropped * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+    return totalFrames;
+}
+
+// Converts "HH:MM:SS:FF" (or "HH:MM:SS;FF") to seconds at the given frame rate.
+function timecodeToSeconds(timecode, frameRate) {
+    return timecodeToFrames(timecode, frameRate) / frameRate;
+}
+
+// Formats a frame count as SMPTE timecode, wrapping at 24 hours. `dropFrame` only applies at 29.97
+// and 59.94.
+function framesToTimecode(frames, frameRate, dropFrame = false) {
+    const nominalRate = Math.round(frameRate);
+    const drop = dropFrame && supportsDropFrame(frameRate);
+    let count = Math.round(frames);
+    if (drop) {
+        const { dropped, perMinute, perTenMinutes } = dropFrameLayout(nominalRate);
+        count = ((count % (perTenMinutes * 144)) + perTenMinutes * 144) % (perTenMinutes * 144);
+        const tens = Math.floor(count / perTenMinutes);
+        const rest = count % perTenMinutes;
+        count += dropped * 9 * tens + (rest > dropped ? dropped * Math.floor((rest - dropped) / perMinute) : 0);
+    }
+    const day = nominalRate * 86400;
+    count = ((count % day) + day) % day;
+    const pad = number => String(number).padStart(2, '0');
+    const totalSeconds = Math.floor(count / nominalRate);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${drop ? ';' : ':'}${pad(count % nominalRate)}`;
+}
+
+// Reads a time written as timecode, "HH:MM:SS.mmm", "MM:SS.mmm" or plain seconds.
+function parseTimeValue(value, frameRate) {
+    const text = String(value).trim();
+    if (/^\d+:\d{2}:\d{2}[:;]\d{2,3}$/.test(text)) {
+        return timecodeToSeconds(text, frameRate);
+    }
+    const clockMatch = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:[.,]\d+)?)$/);
+    if (clockMatch) {
+        const [, hours, minutes, seconds] = clockMatch;
+        return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) + parseFloat(seconds.replace(',', '.'));
+    }
+    const seconds = parseFloat(text);
+    if (text === '' || !isFinite(seconds)) {
+        throw new Error(`Unreadable time value "${value}".`);
+    }
+    return seconds;
+}
+
+// The source's start timecode: MXF carries it in the format tags, QuickTime in the tmcd track.
+function getStartTimecode(videoInfo) {
+    const formatTags = (videoInfo.format && videoInfo.format.tags) || {};
+    if (formatTags.timecode) return formatTags.timecode;
+    const streamWithTimecode = (videoInfo.streams || []).find(s => s.tags && s.tags.timecode);
+    return streamWithTimecode ? streamWithTimecode.tags.timecode : null;
+}
+
+// The timecode clock of a source running at `frameRate`: { startTimecode, startFrame, frameRate,
+// dropFrame }. Sources without a start timecode start at 00:00:00:00.
+function getSourceTimecode(videoInfo, frameRate) {
+    const startTimecode = getStartTimecode(videoInfo);
+    let startFrame = 0;
+    if (startTimecode) {
+        try {
+            startFrame = timecodeToFrames(startTimecode, frameRate);
+        } catch (error) {
+            // An unreadable start timecode counts from zero.
+        }
+    }
+    return { startTimecode, startFrame, frameRate, dropFrame: /;/.test(startTimecode || '') && supportsDropFrame(frameRate) };
+}
+
+// The source timecode of the frame showing `seconds` into the source.
+function secondsToTimecode(seconds, sourceTimecode) {
+    const { startFrame, frameRate, dropFrame } = sourceTimecode;
+    return framesToTimecode(startFrame + Math.round(seconds * frameRate), frameRate, dropFrame);
+}
+
+const timecode = {
+    parseRational,
+    supportsDropFrame,
+    dropFrameLayout,
+    timecodeToFrames,
+    timecodeToSeconds,
+    framesToTimecode,
+    parseTimeValue,
+    getStartTimecode,
+    getSourceTimecode,
+    secondsToTimecode,
+};
+
+// index.html also loads this file as a plain script, so the chapter editor reads and writes timecode
+// as processing does; there `timecode` is a global rather than an export.
+if (typeof module !== 'undefined') module.exports = timecode;
@@ -0,0 +1,226 @@
+// lib/watch.js - Watch folders: movies exported into a profile's folder are processed unattended
+//
+// Each profile may name a watch folder. Its .mov files are polled rather than watched with fs.watch,
+// which misses changes on network shares. A file is taken once its size and modification time have
+// held still for STABLE_MS and it can be opened for writing, i.e. the exporter has let go of it. It
+// then goes through `handleFile` and is moved to done/ or failed/ inside the watch folder, together
+// with a marker sidecar of the same name. A file exported again under the same name is picked up again.
+//
+// Every pickup is kept in <userData>/watch-activity.json for the activity list, newest last.
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { findSidecar } = require('./markers');
+const { writeJsonAtomic } = require('./fsutil');
+
+const ACTIVITY_FILE = 'watch-activity.json';
+const WATCH_EXTENSIONS = ['.mov'];
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+const POLL_MS = 5000;
+const STABLE_MS = 10000;
+const KEEP_ACTIVITY = 200;
+
+// Entry states: waiting -> processing -> done | failed. Entries a quit cut short become 'interrupted'
+// and their file is picked up again.
+
+// Whether another process still holds the file. Windows refuses a second writer while the exporter
+// has it open; elsewhere this always succeeds and the size check has to do.
+function isReleased(filePath) {
+    try {
+        fs.closeSync(fs.openSync(filePath, 'r+'));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// `dir/name`, or a time-stamped name next to it when that is taken, so an earlier export is never replaced.
+function freePath(dir, name) {
+    const target = path.join(dir, name);
+    if (!fs.existsSync(target)) return target;
+    const ext = path.extname(name);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    return path.join(dir, `${path.basename(name, ext)}_${stamp}${ext}`);
+}
+
+// `handleFile(entry, update)` runs one file: `entry` is { profile, path, file }, and `update(patch)`
+// shows progress ({ message, percent }) in the activity list. It resolves with { state: 'done' or
+// 'failed', message }; a rejection counts as failed. `onChange(entry)` gets every entry that changed.
+function createWatchService(userDataDir, { handleFile, onChange = () => {} }) {
+    const filePath = path.join(userDataDir, ACTIVITY_FILE);
+    let activity = [];
+    let folders = []; // [{ profile, dir }]
+    let timer = null;
+    let running = false;
+    const candidates = new Map(); // file path -> { size, mtimeMs, since }
+    const missing = new Set(); // folders already reported as unreadable
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        activity = Array.isArray(raw.activity) ? raw.activity : [];
+        activity.filter(entry => entry.state === 'waiting' || entry.state === 'processing').forEach(entry => {
+            entry.state = 'interrupted';
+            entry.message = 'Interrupted by a quit. Picked up again.';
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`[WARNING] Could not read the watch folder activity: ${error.message}`);
+    }
+
+    function save() {
+        if (activity.length > KEEP_ACTIVITY) activity = activity.slice(activity.length - KEEP_ACTIVITY);
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            writeJsonAtomic(filePath, { activity });
+        } catch (error) {
+            log(`[WARNING] Could not save the watch folder activity: ${error.message}`);
+        }
+    }
+
+    function changed(entry, persist = true) {
+        entry.updatedAt = new Date().toISOString();
+        if (persist) save();
+        onChange({ ...entry });
+    }
+
+    // Files that were picked up in this exact state already (same size and modification time).
+    function isKnown(key) {
+        return activity.some(entry => entry.key === key && entry.state !== 'interrupted');
+    }
+
+    function scanFolder({ profile, dir }, seen) {
+        let names;
+        try {
+            names = fs.readdirSync(dir);
+            missing.delete(dir);
+        } catch (error) {
+            if (!missing.has(dir)) log(`[WARNING] Cannot read the watch folder ${dir} of profile "${profile}": ${error.message}`);
+            missing.add(dir);
+            return;
+        }
+        const now = Date.now();
+        for (const name of names.filter(file => WATCH_EXTENSIONS.includes(path.extname(file).toLowerCase()))) {
+            const file = path.join(dir, name);
+            let stat;
+            try {
+                stat = fs.statSync(file);
+            } catch (error) {
+                continue; // Gone since the listing
+            }
+            if (!stat.isFile()) continue;
+            seen.add(file);
+            const key = `${file}|${stat.size}|${stat.mtimeMs}`;
+            if (isKnown(key)) continue;
+
+            const candidate = candidates.get(file);
+            if (!candidate || candidate.size !== stat.size || candidate.mtimeMs !== stat.mtimeMs) {
+                candidates.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+                continue;
+            }
+            if (now - candidate.since < STABLE_MS || !isReleased(file)) continue;
+
+            candidates.delete(file);
+            const entry = {
+                id: `${now}-${activity.length}`,
+                profile,
+                file: name,
+                path: file,
+                key,
+                state: 'waiting',
+                message: null,
+                detectedAt: new Date(now).toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                movedTo: null,
+            };
+            activity.push(entry);
+            log(`Watch folder: picked up ${name} for profile "${profile}".`);
+            changed(entry);
+        }
+    }
+
+    function poll() {
+        const seen = new Set();
+        folders.forEach(folder => scanFolder(folder, seen));
+        for (const file of candidates.keys()) {
+            if (!seen.has(file)) candidates.delete(file);
+        }
+        drain();
+    }
+
+    // Moves the movie (and its marker sidecar) to done/ or failed/. Returns where the movie went, or null.
+    function moveAway(entry) {
+        const target = path.join(path.dirname(entry.path), entry.state === 'done' ? DONE_DIR : FAILED_DIR);
+        const sidecar = findSidecar(entry.path);
+        try {
+            fs.mkdirSync(target, { recursive: true });
+            const movedTo = freePath(target, entry.file);
+            fs.renameSync(entry.path, movedTo);
+            if (sidecar) fs.renameSync(sidecar, freePath(target, path.basename(sidecar)));
+            return movedTo;
+        } catch (error) {
+            log(`[WARNING] Watch folder: could not move ${entry.file} to ${target}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Runs waiting files one at a time, oldest first.
+    async function drain() {
+        if (running) return;
+        const entry = activity.find(item => item.state === 'waiting');
+        if (!entry) return;
+        running = true;
+        entry.state = 'processing';
+        entry.startedAt = new Date().toISOString();
+        changed(entry);
+        try {
+            const result = await handleFile({ profile: entry.profile, path: entry.path, file: entry.file }, patch => {
+                Object.assign(entry, patch);
+                changed(entry, false);
+            });
+            entry.state = result.state;
+            entry.message = result.message;
+        } catch (error) {
+            log(`[ERROR] Watch folder: ${entry.file} failed: ${error.message}`);
+            entry.state = 'failed';
+            entry.message = error.message;
+        }
+        entry.percent = null;
+        entry.movedTo = moveAway(entry);
+        entry.finishedAt = new Date().toISOString();
+        log(`Watch folder: ${entry.file} ${entry.state === 'done' ? 'done' : 'failed'}${entry.movedTo ? `, moved to ${entry.movedTo}` : ''}.`);
+        changed(entry);
+        running = false;
+        drain();
+    }
+
+    // Watches `nextFolders` ([{ profile, dir }]) from now on, in place of the folders before.
+    function configure(nextFolders) {
+        const describe = list => list.map(folder => `${folder.profile}:${folder.dir}`).sort().join('|');
+        if (describe(nextFolders) === describe(folders) && (timer || folders.length === 0)) return;
+        folders = nextFolders.map(folder => ({ ...folder }));
+        candidates.clear();
+        missing.clear();
+        if (timer) clearInterval(timer);
+        timer = null;
+        if (folders.length === 0) return;
+        folders.forEach(folder => log(`Watching ${folder.dir} for profile "${folder.profile}".`));
+        timer = setInterval(poll, POLL_MS);
+        if (timer.unref) timer.unref();
+        poll();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    // Every entry, newest last.
+    function list() {
+        return activity.map(entry => ({ ...entry }));
+    }
+
+    return { configure, stop, list, poll };
+}
+
+module.exports = { createWatchService, WATCH_EXTENSIONS, DONE_DIR, FAILED_DIR };
@@ -1,27 +1,52 @@
 // main.js - Main Electron process
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
-const { spawn } = require('child_process');
 const fs = require('fs');
-const https = require('https');
+const { pathToFileURL } = require('url');
+const { createSettingsStore } = require('./lib/settings');
+const { setLogSink } = require('./lib/logger');
+const { createSheetCache, loadShotData } = require('./lib/sheetcache');
+const { providerConfig, createProvider } = require('./lib/metadata');
+const { createOutbox } = require('./lib/outbox');
+const { processingState, analyzeFiles, processChapters, controlProcessing } = require('./lib/pipeline');
+const { previewOutputs, planChapters, describePlan, exportPlan } = require('./lib/plan');
+const { profileNaming } = require('./lib/naming');
+const { SIDECAR_EXTENSIONS } = require('./lib/markers');
+const { inspectMedia } = require('./lib/probe');
+const { loadPresets, resolvePreset, DEFAULT_PRESET_NAME } = require('./lib/presets');
+const { createJournal, recoverBatch, discardBatch } = require('./lib/journal');
+const { createPreviewCache } = require('./lib/preview');
+const { createWatchService } = require('./lib/watch');
+const { applyShotData } = require('./lib/sheet');
+const { createControlApi } = require('./lib/api');
+const { sheetUpdate } = require('./lib/chapteredits');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
   app.quit();
 }
 
-const GOOGLE_APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbz4_IstItFMaHbVMcOoTpXEugqpliK_q3ZaDFA6I9Ds_5_AnrKT3kkvc564Z1WXXkMe/exec';
-
 let mainWindow;
+const controlApi = createControlApi({ analyze: analyzeForApi, process: processForApi, control: action => controlProcessing(action, currentRun ? currentRun.emit : send), status: runStatus });
+const settingsStore = createSettingsStore(app.getPath('userData'));
+const userPresetDir = path.join(app.getPath('userData'), 'presets');
+const journal = createJournal(app.getPath('userData'));
+const sheetCache = createSheetCache(app.getPath('userData'));
+const previewCache = createPreviewCache(app.getPath('userData'));
+const outbox = createOutbox(app.getPath('userData'), { onChange: item => send('sheet-sync-update', item) });
+const watchService = createWatchService(app.getPath('userData'), { handleFile: processWatchedFile, onChange: entry => send('watch-activity', entry) });
 
 // --- State Management ---
-let currentFfmpegProcess = null;
 let debugMode = false;
-let processingState = {
-    isProcessing: false,
-    isPaused: false,
-    shouldStop: false,
-};
+// The latest dry run, kept so PROCESS PLAN executes exactly what was shown.
+let lastPlan = null;
+// The run going now ({ source: 'app', 'api' or 'watch', emit, startedAt, ... }) and the last one to finish.
+let currentRun = null;
+let lastRun = null;
+// Waiting for the run going to complete (see whenIdle).
+const idleWaiters = [];
+
+setLogSink(log);
 
 // --- Helper for binary paths ---
 const isDev = !app.isPackaged;
@@ -46,9 +71,16 @@ function createWindow() {
         frame: false,
     });
     mainWindow.loadFile('index.html');
+    mainWindow.webContents.once('did-finish-load', checkInterruptedBatches);
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+    previewCache.clear();
+    createWindow();
+    outbox.start();
+    watchService.configure(watchFolders());
+    configureApi();
+});
 
 app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -74,323 +106,239 @@ ipcMain.on('toggle-debug', (event, enabled) => {
 ipcMain.handle('dialog:openFile', async () => {
     const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
         properties: ['openFile', 'multiSelections'],
-        filters: [{ name: 'Movies', extensions: ['mov', 'qt'] }]
+        filters: [
+            { name: 'Movies', extensions: ['mov', 'qt', 'mp4', 'm4v', 'mxf', 'mkv', 'avi'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
     });
     return canceled ? undefined : filePaths;
 });
 
-// Custom CSV line parser to handle commas within quoted fields
-function parseCsvLine(line) {
-    const columns = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i+1] === '"') {
-                current += '"';
-                i++; // Skip the next quote
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            columns.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    columns.push(current);
-    return columns;
-}
-
-// Correctly splits a CSV string into an array of lines, handling newlines within quoted fields.
-function splitCsvToLines(csvString) {
-    const rows = [];
-    let inQuotes = false;
-    let currentRowStart = 0;
-    const text = csvString.trim().replace(/\r\n/g, '\n');
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        if (char === '"') {
-            if (inQuotes && text[i + 1] === '"') {
-                i++; 
-            } else {
-                inQuotes = !inQuotes;
-            }
-        }
-        if (char === '\n' && !inQuotes) {
-            rows.push(text.substring(currentRowStart, i));
-            currentRowStart = i + 1;
-        }
-    }
-    if (currentRowStart < text.length) {
-        rows.push(text.substring(currentRowStart));
-    }
-    return rows;
-}
+ipcMain.handle('dialog:openMarkerFile', async (event, moviePath) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        defaultPath: moviePath ? path.dirname(moviePath) : undefined,
+        properties: ['openFile'],
+        filters: [{ name: 'Marker Files', extensions: SIDECAR_EXTENSIONS.map(ext => ext.slice(1)) }]
+    });
+    return canceled ? undefined : filePaths[0];
+});
 
-// Fetches and parses the Google Sheet data.
-ipcMain.handle('fetch-sheet-data', () => {
-    return new Promise((resolve, reject) => {
-        const sheetUrl = 'https://docs.google.com/spreadsheets/d/17W-uNf2bpFf2rhn1rCMgYEsBVbvr8UWpyJgHmJQ5gBw/gviz/tq?tqx=out:csv&sheet=guide_creator-export';
-        log(`Fetching Google Sheet data from: ${sheetUrl}`);
-
-        https.get(sheetUrl, (res) => {
-            if (res.statusCode !== 200) {
-                const errorMsg = `Google Sheet request failed with status code: ${res.statusCode}`;
-                log(`[ERROR] ${errorMsg}`);
-                return reject(new Error(errorMsg));
-            }
-
-            let rawData = '';
-            res.setEncoding('utf8');
-            res.on('data', (chunk) => { rawData += chunk; });
-            res.on('end', () => {
-                try {
-                    log('Successfully fetched Google Sheet data. Parsing...');
-                    
-                    const lines = splitCsvToLines(rawData);
-
-                    if (lines[0] && lines[0].charCodeAt(0) === 0xFEFF) {
-                        lines[0] = lines[0].substring(1);
-                    }
-
-                    if (lines.length < 1) {
-                        return reject(new Error('CSV data is empty. Cannot find header row.'));
-                    }
-                    const headerLine = lines.shift() || '';
-
-                    const headerNames = parseCsvLine(headerLine).map(h => h.replace(/^"|"$/g, '').trim());
-                    log(`Using headers: [${headerNames.join(', ')}]`);
-
-                    const requiredIdHeader = 'ID';
-                    const requiredGuideNameHeader = 'GUIDE_NAME';
-                    const requiredPathHeader = 'PATH';
-
-                    const idIndex = headerNames.findIndex(h => h.toUpperCase() === requiredIdHeader.toUpperCase());
-                    const guideNameIndex = headerNames.findIndex(h => h.toUpperCase() === requiredGuideNameHeader.toUpperCase());
-                    const pathIndex = headerNames.findIndex(h => h.toUpperCase() === requiredPathHeader.toUpperCase());
-
-                    if (idIndex === -1 || guideNameIndex === -1 || pathIndex === -1) {
-                        const missing = [];
-                        if (idIndex === -1) missing.push(`"${requiredIdHeader}"`);
-                        if (guideNameIndex === -1) missing.push(`"${requiredGuideNameHeader}"`);
-                        if (pathIndex === -1) missing.push(`"${requiredPathHeader}"`);
-                        const errorMsg = `Could not find required columns ${missing.join(', ')} in the sheet. Headers found: [${headerNames.join(', ')}]`;
-                        log(`[ERROR] ${errorMsg}`);
-                        return reject(new Error(errorMsg));
-                    }
-
-                    const shotDataMap = {};
-                    lines.forEach((line, rowIndex) => {
-                        const columns = parseCsvLine(line).map(c => c.replace(/^"|"$/g, '').trim());
-                        
-                        if (columns.length <= Math.max(idIndex, guideNameIndex, pathIndex)) {
-                            // Only warn if the line isn't empty
-                            if (line.trim() !== '') {
-                                log(`[WARNING] Skipping row ${rowIndex + 2} due to insufficient columns.`);
-                            }
-                            return;
-                        }
-
-                        const id = columns[idIndex];
-                        const guideName = columns[guideNameIndex];
-                        const pathValue = columns[pathIndex];
-                        if (id) {
-                            shotDataMap[id] = {
-                                guideName: guideName || 'UNKNOWN_GUIDE_NAME',
-                                path: pathValue || 'UNKNOWN_PATH'
-                            };
-                        }
-                    });
-                    log(`Parsed ${Object.keys(shotDataMap).length} data rows from the sheet.`);
-                    resolve(shotDataMap);
-                } catch (e) {
-                    const errorMsg = `Failed to parse CSV data: ${e.message}`;
-                    log(`[ERROR] ${errorMsg}`);
-                    reject(new Error(errorMsg));
-                }
-            });
-        }).on('error', (e) => {
-            const errorMsg = `Got error during Google Sheet fetch: ${e.message}`;
-            log(`[ERROR] ${errorMsg}`);
-            reject(new Error(errorMsg));
-        });
+ipcMain.handle('dialog:openDirectory', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'createDirectory']
     });
+    return canceled ? undefined : filePaths[0];
 });
 
-ipcMain.on('update-sheet-data', (event, { originalTitle, dur_f, dur_s, guide_version }) => {
-    if (!originalTitle) {
+// --- Settings ---
+
+ipcMain.handle('settings:get', () => settingsStore.get());
+
+ipcMain.handle('settings:save', (event, newSettings) => {
+    const saved = settingsStore.save(newSettings);
+    log(`Settings saved. Active profile: "${saved.activeProfile}".`);
+    watchService.configure(watchFolders());
+    configureApi();
+    return saved;
+});
+
+// Presets are re-read on every request so JSON files dropped into userData/presets show up without a restart.
+ipcMain.handle('presets:list', () => {
+    const presets = loadPresets(userPresetDir);
+    return {
+        defaultPreset: settingsStore.getProfile().preset || DEFAULT_PRESET_NAME,
+        presets: Object.values(presets).map(p => ({ name: p.name, label: p.label || p.name, extension: p.extension })),
+    };
+});
+
+// Looks up shot IDs (all shots when `ids` is missing) with the profile's metadata provider, falling
+// back to the last snapshot when it cannot be reached. `refresh` is the explicit refresh action,
+// which reports a failed lookup instead.
+ipcMain.handle('fetch-sheet-data', async (event, { ids = null, refresh = false } = {}) => {
+    const profile = settingsStore.getProfile();
+    const provider = createProvider(providerConfig(profile));
+    log(`Looking up ${ids ? `${ids.length} shot(s)` : 'all shots'} in ${provider.label}.`);
+    return loadShotData(provider, ids, sheetCache, { allowSnapshot: !refresh });
+});
+
+ipcMain.on('update-sheet-data', (event, data) => {
+    if (!data.originalTitle) {
         log('[WARNING] update-sheet-data called without an originalTitle. Cannot update sheet.');
         return;
     }
+    queueSheetUpdate(settingsStore.getProfile(), data);
+});
 
-    log(`Posting to Google Sheet for ID ${originalTitle}: DUR_F=${dur_f}, DUR_S=${dur_s}, GUIDE_V=${guide_version}`);
+// Queues a finished guide's durations for the shot list of `profile`. `data` is
+// { originalTitle, dur_f, dur_s, guide_version }.
+function queueSheetUpdate(profile, data) {
+    const target = providerConfig(profile);
+    let provider;
+    try {
+        provider = createProvider(target);
+    } catch (error) {
+        log(`[ERROR] ${error.message} Skipping sheet update for ID ${data.originalTitle}.`);
+        return;
+    }
+    if (!provider.canReport) {
+        log(`[WARNING] Profile "${profile.name}" has nowhere to report results (${provider.label}). Skipping sheet update for ID ${data.originalTitle}.`);
+        return;
+    }
 
-    const postData = JSON.stringify({
-        id: originalTitle,
-        dur_f: dur_f,
-        dur_s: dur_s,
-        guide_v: guide_version
+    // Queued rather than sent, so a network error or a quit cannot lose the durations.
+    outbox.enqueue(target, {
+        id: data.originalTitle,
+        durations: { durationFrames: data.dur_f, durationSeconds: data.dur_s },
+        version: data.guide_version,
     });
-    
-    // Recursive function to handle 302 redirects from Google Script
-    const makeRequest = (url, method = 'POST', redirectCount = 0) => {
-        if (redirectCount > 5) {
-            const errorMsg = `[ERROR] Exceeded max redirect limit for ID ${originalTitle}`;
-            log(errorMsg);
-            if(mainWindow) mainWindow.webContents.send('sheet-update-response', { originalTitle, success: false, message: 'Too many redirects' });
-            return;
-        }
-
-        const urlObject = new URL(url);
-        const options = {
-            method: method,
-            headers: { 'Content-Type': 'application/json' }
-        };
+}
 
-        if (method === 'POST') {
-             options.headers['Content-Length'] = Buffer.byteLength(postData);
-        }
+ipcMain.handle('sheet-sync:list', () => outbox.list());
 
-        const req = https.request(urlObject, options, (res) => {
-            // Handle Redirects (302/303)
-            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                // Follow redirect using GET (Google Script behavior)
-                makeRequest(res.headers.location, 'GET', redirectCount + 1);
-                res.resume(); // Consume data to free memory
-                return;
-            }
-
-            let responseBody = '';
-            res.setEncoding('utf8');
-            res.on('data', (chunk) => { responseBody += chunk; });
-            res.on('end', () => {
-                log(`Google Sheet API Response for ${originalTitle}: ${responseBody}`);
-                
-                let parsedResponse;
-                try {
-                    parsedResponse = JSON.parse(responseBody);
-                } catch(e) {
-                    // HTML error page or raw text
-                    parsedResponse = { status: 'error', message: `Invalid JSON: ${responseBody.substring(0, 50)}...` };
-                }
-
-                // Send success/fail status back to UI
-                if (mainWindow) {
-                    mainWindow.webContents.send('sheet-update-response', {
-                        originalTitle: originalTitle,
-                        success: parsedResponse.status === 'success',
-                        message: parsedResponse.message || 'Unknown result'
-                    });
-                }
-            });
-        });
+// Sends failed write-backs again: one sheet ID, or all of them when `id` is empty.
+ipcMain.handle('sheet-sync:retry', (event, id) => outbox.retry(id || null));
 
-        req.on('error', (e) => {
-            log(`[ERROR] Network error for ID ${originalTitle}: ${e.message}`);
-            if (mainWindow) {
-                mainWindow.webContents.send('sheet-update-response', {
-                    originalTitle: originalTitle,
-                    success: false,
-                    message: `Network Error: ${e.message}`
-                });
-            }
-        });
+// Probes each file and reports whether it can be cut (video stream plus chapters or a marker sidecar).
+ipcMain.handle('probe-files', async (event, { filePaths, markerFiles = {} }) => {
+    const ffprobePath = getBinaryPath(process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe');
+    if (!fs.existsSync(ffprobePath)) {
+        log(`[ERROR] Searched for ffprobe at: ${ffprobePath}`);
+        return filePaths.map(filePath => ({ filePath, ok: false, reason: 'ffprobe not found' }));
+    }
 
-        if (method === 'POST') {
-            req.write(postData);
-        }
-        req.end();
-    };
-    makeRequest(GOOGLE_APPS_SCRIPT_URL);
+    const results = [];
+    for (const filePath of filePaths) {
+        const result = await inspectMedia(ffprobePath, filePath, markerFiles[filePath] || 'auto');
+        log(result.ok
+            ? `Accepted ${path.basename(filePath)}: ${result.container}, ${result.chapterCount} chapters (${result.markerSource}).`
+            : `Rejected ${path.basename(filePath)}: ${result.reason}`);
+        results.push(result);
+    }
+    return results;
 });
 
-ipcMain.on('analyze-videos', async (event, filePaths) => {
-    log('--- Starting video analysis ---');
+// The chapters of `filePaths` (see analyzeFiles), or null when ffprobe is missing. Shared by the
+// ANALYZE button, the watch folders and the control API (`source`); throws on a file that cannot be read.
+async function analyzeVideos(filePaths, markerFiles, emit, source = 'app') {
     const ffprobePath = getBinaryPath(process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe');
 
     if (!fs.existsSync(ffprobePath)) {
         const errorMsg = 'ffprobe.exe executable not found for analysis!';
         log(`[ERROR] Searched for ffprobe at: ${ffprobePath}`);
-        dialog.showErrorBox('Error', errorMsg);
-        mainWindow.webContents.send('processing-error', errorMsg);
-        return;
-    }
-    
-    let allChapters = [];
-    for (const filePath of filePaths) {
-        try {
-            mainWindow.webContents.send('update-status', `Analyzing: ${path.basename(filePath)}`);
-            const chapters = await getChapters(ffprobePath, filePath);
-            const chaptersWithContext = chapters.map((c, i) => ({
-                id: `ch-${path.basename(filePath)}-${i}`,
-                title: c.tags.title,
-                start_time: c.start_time,
-                end_time: c.end_time, // Added end_time for robust processing
-                sourceFile: filePath,
-                fileName: path.basename(filePath)
-            }));
-            allChapters.push(...chaptersWithContext);
-            log(`Found ${chapters.length} chapters in ${path.basename(filePath)}.`);
-        } catch (error) {
-            log(`Error analyzing ${filePath}: ${error}`);
-            mainWindow.webContents.send('processing-error', `Error analyzing ${filePath}: ${error.message}`);
-            mainWindow.webContents.send('analyze-complete', []);
-            return;
-        }
+        showErrorIfAttended(source, errorMsg);
+        emit('processing-error', errorMsg);
+        return null;
     }
-    
-    log(`--- Analysis complete. Found ${allChapters.length} total chapters. ---`);
-    mainWindow.webContents.send('analyze-complete', allChapters);
-});
+    return analyzeFiles(filePaths, { ffprobePath, markerFiles }, emit);
+}
 
-function killFfmpeg(reason = 'unknown') {
-    if (!currentFfmpegProcess || currentFfmpegProcess.killed) {
-        log(`killFfmpeg called for reason "${reason}", but no process was found or it was already killed.`);
-        return;
-    }
-    const pid = currentFfmpegProcess.pid;
-    log(`Attempting to kill FFmpeg process with PID: ${pid} for reason: ${reason}`);
-    
-    if (process.platform === 'win32') {
-        spawn('taskkill', ['/pid', pid, '/f', '/t']);
-    } else {
-        // Kill the entire process group by negating the PID
-        try {
-            process.kill(-pid, 'SIGKILL');
-        } catch (e) {
-            log(`Could not kill process group ${-pid}, falling back to single process ${pid}. Error: ${e.message}`);
-            currentFfmpegProcess.kill('SIGKILL');
-        }
+ipcMain.on('analyze-videos', async (event, { filePaths, markerFiles }) => {
+    try {
+        const allChapters = await analyzeVideos(filePaths, markerFiles, send);
+        if (allChapters) send('analyze-complete', allChapters);
+    } catch (error) {
+        send('processing-error', error.message);
+        send('analyze-complete', []);
     }
-    
-    currentFfmpegProcess = null;
-}
+});
 
+// Pause and stop reach the run going, whichever started it.
 ipcMain.on('control-processing', (event, action) => {
-    log(`[CONTROL] Received: ${action}`);
-    if (action === 'pause') {
-        processingState.isPaused = true;
-        log('--- Processing Paused ---');
-        mainWindow.webContents.send('update-status', 'Paused...');
-        killFfmpeg('pause');
-    } else if (action === 'resume') {
-        processingState.isPaused = false;
-        log('--- Processing Resumed ---');
-        mainWindow.webContents.send('update-status', 'Processing...');
-    } else if (action === 'stop') {
-        processingState.shouldStop = true;
-        processingState.isPaused = false;
-        log('--- User requested stop. Killing current FFmpeg process... ---');
-        killFfmpeg('stop');
+    controlProcessing(action, currentRun ? currentRun.emit : send);
+});
+
+// Where each chapter would be written if processing started now, for the chapter list. Resolves with
+// { baseDir, outputs } (see previewOutputs); rejects when the profile's naming templates are invalid.
+ipcMain.handle('preview-outputs', async (event, { chapters, preset }) => {
+    const profile = settingsStore.getProfile();
+    const baseDir = debugMode ? (profile.testRoot || profile.outputRoot) : profile.outputRoot;
+    const presetName = preset || profile.preset || DEFAULT_PRESET_NAME;
+    const outputs = previewOutputs(chapters, { baseDir, presets: loadPresets(userPresetDir), presetName, naming: profileNaming(profile), versionPolicy: profile.versionPolicy || undefined });
+    return { baseDir, outputs: outputs.map(output => ({ ...output, relativePath: output.path ? path.relative(baseDir, output.path) : null })) };
+});
+
+// Dry run: plans the chapters as PROCESS would, without encoding. Resolves with the plan table
+// (see describePlan); the plan itself is kept for 'process-videos' with its `planId`.
+ipcMain.handle('plan-videos', async (event, { chapters, preset }) => {
+    const profile = settingsStore.getProfile();
+    const baseDir = debugMode ? (profile.testRoot || profile.outputRoot) : profile.outputRoot;
+    const presetName = preset || profile.preset || DEFAULT_PRESET_NAME;
+    const ffprobePath = getBinaryPath(process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe');
+    if (!fs.existsSync(ffprobePath)) {
+        throw new Error('FFprobe executable not found!');
     }
+    lastPlan = await planChapters(chapters, { ffprobePath, baseDir, presets: loadPresets(userPresetDir), presetName, naming: profileNaming(profile), versionPolicy: profile.versionPolicy || undefined });
+    return describePlan(lastPlan);
+});
+
+// Saves the dry run as CSV or JSON. Resolves with the file written, or undefined when cancelled.
+ipcMain.handle('plan:export', async (event, planId) => {
+    if (!lastPlan || lastPlan.id !== planId) throw new Error('This plan is no longer available. Run the dry run again.');
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `guide-plan-${lastPlan.createdAt.slice(0, 10)}.csv`,
+        filters: [
+            { name: 'CSV', extensions: ['csv'] },
+            { name: 'JSON', extensions: ['json'] },
+        ],
+    });
+    if (canceled || !filePath) return undefined;
+    exportPlan(lastPlan, filePath);
+    log(`Plan exported to ${filePath}`);
+    return filePath;
 });
 
-ipcMain.on('process-videos', async (event, { chapters }) => {
-    const baseDir = debugMode ? 'S:\\3212-PREPRODUCTION_TEST' : 'S:\\3212-PREPRODUCTION';
-    log(`--- Starting video processing. Debug: ${debugMode}. Output: "${baseDir}" ---`);
+ipcMain.on('process-videos', (event, request) => processVideos({ ...request, source: 'app' }, send));
+
+// Encodes chapters with the settings of `profileName` (the active profile when missing). Shared by
+// the PROCESS button, the watch folders and the control API; `source` says which. Resolves with the
+// run's summary (see processChapters), or null when it could not start; only one run goes at a time.
+// Every event also goes to the control API's event stream.
+// `batchId` resumes a journaled batch: its remaining chapters are encoded with the batch's own
+// output root, preset, naming templates and version policy, whatever the renderer sends. `planId` executes the
+// latest dry run as it was shown.
+async function processVideos({ chapters, preset, batchId, planId, profileName, source, onStart }, runEmit) {
+    const emit = (channel, payload) => {
+        runEmit(channel, payload);
+        controlApi.publish(channel, payload, source);
+    };
+    if (processingState.isProcessing) {
+        log('[ERROR] Another run is still processing.');
+        emit('processing-error', 'Another run (possibly a watch folder) is still processing. Try again when it has finished.');
+        return null;
+    }
+    const profile = settingsStore.getProfile(profileName);
+    let journalBatch = null;
+    let baseDir = debugMode ? (profile.testRoot || profile.outputRoot) : profile.outputRoot;
+    let presetName = preset || profile.preset || DEFAULT_PRESET_NAME;
+    let naming = profileNaming(profile);
+    let versionPolicy = profile.versionPolicy || undefined;
+    let plan = null;
+    if (batchId) {
+        try {
+            journalBatch = journal.openBatch(batchId);
+        } catch (error) {
+            log(`[ERROR] Could not open journaled batch ${batchId}: ${error.message}`);
+            emit('processing-error', `Could not resume batch ${batchId}.`);
+            return null;
+        }
+        ({ baseDir, presetName } = journalBatch.batch);
+        naming = journalBatch.batch.naming || naming;
+        versionPolicy = journalBatch.batch.versionPolicy || versionPolicy;
+        chapters = journalBatch.remainingChapters().map(chapter => ({ ...chapter }));
+        log(`--- Resuming batch ${batchId}: ${chapters.length} chapter(s) left. ---`);
+    } else if (planId) {
+        if (!lastPlan || lastPlan.id !== planId) {
+            log(`[ERROR] Plan ${planId} is no longer available.`);
+            emit('processing-error', 'The dry run plan is no longer available. Run the dry run again.');
+            return null;
+        }
+        plan = lastPlan;
+        lastPlan = null; // A plan runs once; the versions it picked are taken after that
+        ({ baseDir, presetName, versionPolicy } = plan);
+        naming = { ...plan.naming, date: plan.createdAt }; // Journaled, so a resume names outputs as planned
+        chapters = plan.entries.map(entry => entry.chapter);
+    }
+    log(`--- Starting video processing. Profile: "${profile.name}". Preset: "${presetName}". Debug: ${debugMode}. Output: "${baseDir}" ---`);
     
     const ffmpegPath = getBinaryPath(process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg');
     const ffprobePath = getBinaryPath(process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe');
@@ -399,423 +347,295 @@ ipcMain.on('process-videos', async (event, { chapters }) => {
         const errorMsg = 'FFmpeg or FFprobe executables not found!';
         log(`[ERROR] FFmpeg path: ${ffmpegPath} (Exists: ${fs.existsSync(ffmpegPath)})`);
         log(`[ERROR] FFprobe path: ${ffprobePath} (Exists: ${fs.existsSync(ffprobePath)})`);
-        dialog.showErrorBox('Error', errorMsg);
-        mainWindow.webContents.send('processing-error', errorMsg);
-        return;
-    }
-    
-    // Reset state for this run
-    processingState.isProcessing = true;
-    processingState.isPaused = false;
-    processingState.shouldStop = false;
-
-    const videoInfos = {};
-    for (const chapter of chapters) {
-        if (processingState.shouldStop) break;
-        if (!videoInfos[chapter.sourceFile]) {
-            try {
-                videoInfos[chapter.sourceFile] = await getVideoInfo(ffprobePath, chapter.sourceFile);
-            } catch (e) {
-                log(`Failed to get video info for ${chapter.sourceFile}: ${e.message}`);
-                mainWindow.webContents.send('processing-error', `Could not get info for ${chapter.sourceFile}`);
-                return;
-            }
-        }
+        showErrorIfAttended(source, errorMsg);
+        emit('processing-error', errorMsg);
+        return null;
     }
-    
-    for (let i = 0; i < chapters.length; i++) {
-        if (processingState.shouldStop) {
-            log('Processing loop stopped by user request.');
-            break; 
-        }
-
-        while (processingState.isPaused) {
-            if (processingState.shouldStop) break;
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        if (processingState.shouldStop) {
-            log('Processing loop stopped by user request after pause.');
-            break;
-        }
-
-        const chapter = chapters[i];
-        let finalClipName;
-        
-        let chapterOutputDir;
-        if (chapter.path && chapter.path !== 'UNKNOWN_PATH' && chapter.path.trim() !== '') {
-            const sanitizedPath = chapter.path.replace(/[:*?"<>|]/g, '');
-            chapterOutputDir = path.join(baseDir, sanitizedPath).toUpperCase();
-        } else {
-            log(`[WARNING] Chapter "${chapter.title}" has an invalid or missing path. Saving to a fallback directory.`);
-            const fallbackDirName = path.basename(chapter.sourceFile, path.extname(chapter.sourceFile));
-            chapterOutputDir = path.join(baseDir, '_UNMATCHED', fallbackDirName).toUpperCase();
-        }
-        log(`Target directory for "${chapter.title}" is: "${chapterOutputDir}"`);
 
+    const presets = loadPresets(userPresetDir);
+    const { parallelJobs, segmentSeconds } = settingsStore.get();
+    if (!journalBatch) {
         try {
-            fs.mkdirSync(chapterOutputDir, { recursive: true });
-            log(`Ensured directory exists: "${chapterOutputDir}"`);
+            journalBatch = journal.createBatch({ profile: profile.name, baseDir, presetName, naming, versionPolicy, chapters });
+            chapters = journalBatch.batch.chapters.map(chapter => ({ ...chapter }));
         } catch (error) {
-            log(`[FATAL ERROR] Could not create directory "${chapterOutputDir}". Error: ${error.message}. Skipping this chapter.`);
-            mainWindow.webContents.send('chapter-update', { chapterId: chapter.id, status: 'Error' });
-            continue;
+            log(`[WARNING] Could not write the job journal: ${error.message}. This batch cannot be resumed after a crash.`);
         }
+    }
+    currentRun = { source, profile: profile.name, presetName, chapterCount: chapters.length, startedAt: new Date().toISOString(), percent: 0, emit };
+    currentRun.emit = (channel, payload) => {
+        if (channel === 'batch-progress') currentRun.percent = payload.percent;
+        emit(channel, payload);
+    };
+    if (onStart) onStart();
+    try {
+        const summary = await processChapters(chapters, { ffmpegPath, ffprobePath, baseDir, presets, presetName, parallelJobs, segmentSeconds, journal: journalBatch, naming, versionPolicy, plan }, currentRun.emit);
+        lastRun = { ...describeRun(currentRun), finishedAt: new Date().toISOString(), summary };
+        return summary;
+    } finally {
+        currentRun = null;
+        idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+}
 
-        const baseClipName = chapter.title.replace(/[ /\\?%*:|"<>]/g, '_');
-        let version = 1;
-        while (true) {
-            const versionString = `v${String(version).padStart(3, '0')}`;
-            finalClipName = `${baseClipName}-${versionString}`.toLowerCase();
-            const prospectivePath = path.join(chapterOutputDir, `${finalClipName}.mp4`);
-            if (!fs.existsSync(prospectivePath)) {
-                break;
-            }
-            version++;
-        }
-        log(`Assigning final name: ${finalClipName}`);
+// Resolves once no run is going; a run that is going resolves it when it completes.
+function whenIdle() {
+    if (!processingState.isProcessing) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+}
 
-        mainWindow.webContents.send('chapter-update', {
-            chapterId: chapter.id,
-            status: 'Processing',
-            message: `Processing: ${finalClipName}`,
-            finalName: finalClipName
-        });
-        
-        try {
-            const videoInfo = videoInfos[chapter.sourceFile];
-            const videoDuration = parseFloat(videoInfo.format.duration);
-            const startTime = parseFloat(chapter.start_time);
-            
-            // Prioritize explicit end_time from chapter (requires re-analyze).
-            // Fallback to "Next Chapter" logic for legacy or missing data.
-            // Fallback to video duration as last resort.
-            let endTime;
-            if (chapter.end_time) {
-                endTime = parseFloat(chapter.end_time);
-            } else {
-                const nextChapterInFile = chapters.find((c, j) => j > i && c.sourceFile === chapter.sourceFile);
-                endTime = nextChapterInFile ? parseFloat(nextChapterInFile.start_time) : videoDuration;
-            }
-            
-            const finalChapter = { ...chapter, title: finalClipName };
-            const result = await processSingleChapter(ffmpegPath, ffprobePath, videoInfo, { ...finalChapter, startTime, endTime }, chapterOutputDir);
-            
-            log(`Chapter ${finalClipName} processed. DUR_S: ${result.durationSeconds}, DUR_F: ${result.durationFrames}, GUIDE_V: ${version}`);
-            
-            mainWindow.webContents.send('chapter-update', {
-                chapterId: chapter.id,
-                status: 'Done',
-                durationSeconds: result.durationSeconds,
-                durationFrames: result.durationFrames,
-                guide_version: version
-            });
+function describeRun({ source, profile, presetName, chapterCount, startedAt, percent }) {
+    return { source, profile, preset: presetName, chapterCount, startedAt, percent };
+}
 
-        } catch (error) {
-            if (error.message === 'paused') {
-                log(`Processing paused at chapter ${finalClipName}. Will re-attempt on resume.`);
-                mainWindow.webContents.send('chapter-update', { chapterId: chapter.id, status: 'Paused' });
-                i--; // The loop will increment, so we decrement to stay on the same chapter
-                continue; // Go to top of loop and hit the `while(isPaused)` block
-            }
-            
-            if (processingState.shouldStop || error.message === 'stopped') {
-                log(`Processing of chapter ${finalClipName} was intentionally stopped.`);
-                mainWindow.webContents.send('chapter-update', { chapterId: chapter.id, status: 'Stopped' });
-                break; 
-            }
-            
-            log(`[ERROR] Failed to process chapter ${finalClipName}. Error: ${error.message}`);
-            mainWindow.webContents.send('chapter-update', { chapterId: chapter.id, status: 'Error' });
-        }
-    }
+// --- Chapter Previews ---
 
-    if (processingState.shouldStop) {
-        log('--- Processing was stopped by the user. ---');
-        mainWindow.webContents.send('processing-stopped');
-    } else {
-        log('--- All chapters have been processed. ---');
-        mainWindow.webContents.send('processing-complete');
-    }
-    
-    processingState.isProcessing = false;
-    processingState.isPaused = false;
-    processingState.shouldStop = false;
-    currentFfmpegProcess = null;
+function getPreviewFfmpegPath() {
+    const ffmpegPath = getBinaryPath(process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg');
+    if (!fs.existsSync(ffmpegPath)) throw new Error('FFmpeg executable not found!');
+    return ffmpegPath;
+}
+
+// Poster frames of a chapter's first and last frame (see lib/preview), as file URLs for the chapter list.
+ipcMain.handle('preview:thumbnails', async (event, range) => {
+    const { first, last } = await previewCache.thumbnails(getPreviewFfmpegPath(), range);
+    return { first: pathToFileURL(first).href, last: pathToFileURL(last).href };
 });
 
-// --- Helper Functions ---
+// A playable proxy of a chapter's range, as a file URL for the preview player.
+ipcMain.handle('preview:proxy', async (event, range) => {
+    const proxyPath = await previewCache.proxy(getPreviewFfmpegPath(), range);
+    return pathToFileURL(proxyPath).href;
+});
 
-function log(message) {
-    console.log(message);
-    if (mainWindow) {
-        mainWindow.webContents.send('log-message', message);
+// --- Watch Folders ---
+
+ipcMain.handle('watch:list', () => watchService.list());
+
+function watchFolders() {
+    return Object.entries(settingsStore.get().profiles)
+        .filter(([, profile]) => profile.watchFolder)
+        .map(([name, profile]) => ({ profile: name, dir: profile.watchFolder }));
+}
+
+// A movie from a watch folder (see lib/watch) goes the way of a manual run: analyze, shot list
+// lookup, process, with the settings of the folder's profile. Its events stay out of the chapter
+// list, which belongs to the user's own run; the activity list shows its progress instead, and
+// finished guides are reported to the shot list from here.
+async function processWatchedFile({ profile: profileName, path: filePath, file }, update) {
+    const profile = settingsStore.getProfile(profileName);
+    const errors = [];
+    const collectErrors = (channel, payload) => {
+        if (channel === 'processing-error') errors.push(payload);
+    };
+
+    update({ message: 'Analyzing' });
+    const chapters = await analyzeAndLookUp([filePath], profile, { [filePath]: 'auto' }, collectErrors, 'watch');
+    if (!chapters) return { state: 'failed', message: errors.join(' ') };
+    if (chapters.length === 0) return { state: 'failed', message: 'No chapters or marker file found.' };
+
+    const toProcess = chapters.filter(chapter => !chapter.skip);
+    if (toProcess.length === 0) return { state: 'done', message: `All ${chapters.length} chapter(s) are marked SKIP.` };
+
+    // A run the user started goes first; the file is queued until it completes.
+    if (processingState.isProcessing) update({ message: 'Waiting for the current run' });
+    while (processingState.isProcessing) {
+        await whenIdle();
     }
-    const logPath = path.join(app.getPath('userData'), 'app.log');
+
+    update({ message: `Processing ${toProcess.length} chapter(s)`, percent: 0 });
+    const reportToSheet = sheetReporter(profile, toProcess);
+    let percent = 0;
+    const summary = await processVideos({ chapters: toProcess, profileName, source: 'watch' }, (channel, payload) => {
+        collectErrors(channel, payload);
+        reportToSheet(channel, payload);
+        if (channel === 'batch-progress' && Math.floor(payload.percent) !== percent) {
+            percent = Math.floor(payload.percent);
+            update({ percent });
+        }
+    });
+    if (!summary) return { state: 'failed', message: errors.join(' ') };
+    return {
+        state: summary.failed > 0 || summary.stopped ? 'failed' : 'done',
+        message: `${summary.done} done, ${summary.skipped} unchanged, ${summary.failed} failed${summary.stopped ? ', stopped' : ''}.`
+            + (errors.length > 0 ? ` ${errors.join(' ')}` : ''),
+    };
+}
+
+// Analyzes movies and names their chapters from the profile's shot list, for the runs no one
+// reviews first: watch folders and the control API. Resolves with the chapters, or null when
+// ffprobe is missing. A failed lookup keeps the chapter IDs as names.
+async function analyzeAndLookUp(filePaths, profile, markerFiles, emit, source) {
+    const chapters = await analyzeVideos(filePaths, markerFiles, emit, source);
+    if (!chapters || chapters.length === 0) return chapters;
+
+    const provider = createProvider(providerConfig(profile));
     try {
-        fs.appendFileSync(logPath, `${new Date().toISOString()} - ${message}\n`);
+        const sheet = await loadShotData(provider, chapters.map(chapter => chapter.title), sheetCache);
+        applyShotData(chapters, sheet.shotDataMap);
     } catch (error) {
-        console.error("Failed to write to log file:", error);
+        log(`[WARNING] Shot list lookup for ${filePaths.map(filePath => path.basename(filePath)).join(', ')} failed (${error.message}). Using chapter IDs as names.`);
     }
+    chapters.forEach(chapter => { chapter.originalTitle = chapter.originalTitle || chapter.title; });
+    return chapters;
 }
 
-function getChapters(ffprobePath, filePath) {
-    return new Promise((resolve, reject) => {
-        const args = ['-i', filePath, '-print_format', 'json', '-show_chapters', '-loglevel', 'error'];
-        log(`Running ffprobe: ${ffprobePath} ${args.join(' ')}`);
-        const ffprobe = spawn(ffprobePath, args);
-        let output = '';
-        ffprobe.stdout.on('data', (data) => output += data);
-        ffprobe.stderr.on('data', (data) => log(`ffprobe stderr: ${data}`));
-        ffprobe.on('close', (code) => {
-            if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}`));
-            try {
-                const data = JSON.parse(output);
-                resolve(data.chapters || []);
-            } catch (e) {
-                reject(new Error('Failed to parse ffprobe output.'));
-            }
+// An emit that reports each finished guide of `chapters` to the profile's shot list, as the
+// renderer does for the user's own runs.
+function sheetReporter(profile, chapters) {
+    const byId = new Map(chapters.map(chapter => [chapter.id, chapter]));
+    return (channel, payload) => {
+        if (channel !== 'chapter-update' || payload.status !== 'Done' || !byId.has(payload.chapterId)) return;
+        queueSheetUpdate(profile, {
+            originalTitle: byId.get(payload.chapterId).originalTitle,
+            dur_f: payload.durationFrames,
+            dur_s: payload.durationSeconds,
+            guide_version: payload.guide_version,
         });
-    });
+    };
 }
 
-async function processSingleChapter(ffmpegPath, ffprobePath, videoInfo, chapter, chapterOutputDir) {
-    const { sourceFile, title, startTime, endTime } = chapter;
-    const clipName = title; // Already lowercased
-    log(`\n--- Processing Chapter: ${clipName} from ${path.basename(sourceFile)} ---`);
-    log(`Output directory: ${chapterOutputDir}`);
+// --- Control API ---
 
-    const videoStream = videoInfo.streams.find(s => s.codec_type === 'video');
-    if (!videoStream || !videoStream.r_frame_rate) {
-        throw new Error('Could not determine frame rate for the video.');
-    }
-    
-    const outputFilePath = path.join(chapterOutputDir, `${clipName}.mp4`);
-    
-    try {
-        const originalFrameRateString = videoStream.r_frame_rate;
-        let frameRate = 30;
-        try {
-            frameRate = eval(originalFrameRateString);
-        } catch(e) { 
-            log(`[WARNING] Failed to eval frame rate string "${originalFrameRateString}". Defaulting to 30.`);
-        }
-        
-        // Sanity check for frame rate. If it's something wild (like 0 or > 200), default to 30.
-        // This prevents the "0.00000033" frame duration bug.
-        if (!frameRate || !isFinite(frameRate) || frameRate <= 0 || frameRate > 240) {
-             log(`[WARNING] Detected potentially unsafe frame rate: ${frameRate}. Defaulting to 30.`);
-             frameRate = 30;
-        }
-
-        const frameDuration = 1 / frameRate;
-        const tenFramesDuration = 10 * frameDuration;
-        const audioStream = videoInfo.streams.find(s => s.codec_type === 'audio');
-        const hasAudio = !!audioStream;
-
-        const prefixStillPath = path.join(chapterOutputDir, `prefix_${clipName}.png`);
-        const suffixStillPath = path.join(chapterOutputDir, `suffix_${clipName}.png`);
-        const metadataFilePath = path.join(chapterOutputDir, `metadata_${clipName}.txt`);
-        
-        // Create still frames at the target 540p resolution.
-        await createStillFrame(ffmpegPath, sourceFile, startTime, prefixStillPath);
-        
-        // Suffix generation with retry logic
-        // Use explicit end time from analysis if available, otherwise fallback logic handles it.
-        const suffixTime = Math.max(startTime, endTime - frameDuration);
-        
-        // Log info for debugging
-        log(`Generating suffix at ${suffixTime} (EndTime: ${endTime}, FrameDur: ${frameDuration})`);
+function configureApi() {
+    const { apiPort, apiToken } = settingsStore.get();
+    controlApi.configure({ port: apiPort, token: apiToken });
+}
 
-        try {
-            await createStillFrame(ffmpegPath, sourceFile, suffixTime, suffixStillPath);
-            // Verify output - FFmpeg often returns 0 even if it failed to seek to a valid frame
-            if (!fs.existsSync(suffixStillPath) || fs.statSync(suffixStillPath).size === 0) {
-                throw new Error("Generated suffix file is empty");
-            }
-        } catch (e) {
-            log(`[WARNING] Suffix generation failed at ${suffixTime}. Retrying with slight offset... Error: ${e.message}`);
-            // Backup by 3 frames worth to be safe
-            const safeSuffixTime = Math.max(startTime, suffixTime - (frameDuration * 3));
-            await createStillFrame(ffmpegPath, sourceFile, safeSuffixTime, suffixStillPath);
-            
-            // Validate again
-            if (!fs.existsSync(suffixStillPath) || fs.statSync(suffixStillPath).size === 0) {
-                throw new Error("Retry failed: Generated suffix file is still empty.");
-            }
-        }
+async function analyzeForApi(filePaths, { profile: profileName, markerFiles }) {
+    const profile = settingsStore.getProfile(profileName);
+    const errors = [];
+    const chapters = await analyzeAndLookUp(filePaths, profile, markerFiles, (channel, payload) => {
+        if (channel === 'processing-error') errors.push(payload);
+    }, 'api');
+    if (!chapters) throw new Error(errors.join(' '));
+    return chapters;
+}
 
-        const chapterDuration = endTime - startTime;
-        const newChapterStartTime = tenFramesDuration;
-        const newChapterEndTime = newChapterStartTime + chapterDuration;
-        const timebase = 1000000;
-        const metadataContent = `;FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/${timebase}\nSTART=${Math.round(newChapterStartTime * timebase)}\nEND=${Math.round(newChapterEndTime * timebase)}\ntitle=${title}\n`;
-        fs.writeFileSync(metadataFilePath, metadataContent);
-
-        const complexFilterParts = [];
-        const videoTrimEndTime = Math.max(startTime, endTime - frameDuration);
-
-        // The still images (inputs 1 and 2) are already scaled to 540p by createStillFrame.
-        complexFilterParts.push(`[1:v]loop=loop=9:size=1:start=0,setpts=PTS-STARTPTS[pre_v]`);
-        // Trim the main video (input 0), then scale it to 960x540.
-        // MODIFICATION: Added flags=lanczos+accurate_rnd for better scaling quality and stability
-        complexFilterParts.push(`[0:v]trim=start=${startTime}:end=${videoTrimEndTime},setpts=PTS-STARTPTS,scale=960:540:flags=lanczos+accurate_rnd[main_v]`);
-        complexFilterParts.push(`[2:v]loop=loop=9:size=1:start=0,setpts=PTS-STARTPTS[suf_v]`);
-
-        if (hasAudio) {
-            const sampleRate = audioStream.sample_rate || '48000';
-            const channelLayout = audioStream.channel_layout || 'stereo';
-            const audioParts = [];
-            const isFirstChapterInFile = startTime < tenFramesDuration; 
-            if (isFirstChapterInFile) {
-                complexFilterParts.push(`anullsrc=r=${sampleRate}:cl=${channelLayout},atrim=duration=${tenFramesDuration},asetpts=PTS-STARTPTS[pre_a]`);
-            } else {
-                const audioPrefixStartTime = Math.max(0, startTime - tenFramesDuration);
-                complexFilterParts.push(`[0:a]atrim=start=${audioPrefixStartTime}:end=${startTime},asetpts=PTS-STARTPTS[pre_a]`);
-            }
-            audioParts.push('[pre_a]');
-            complexFilterParts.push(`[0:a]atrim=start=${startTime}:end=${endTime},asetpts=PTS-STARTPTS[main_a]`);
-            audioParts.push('[main_a]');
-            const videoDuration = parseFloat(videoInfo.format.duration);
-            const isLastChapterInFile = endTime > (videoDuration - frameDuration);
-            if (isLastChapterInFile) {
-                complexFilterParts.push(`anullsrc=r=${sampleRate}:cl=${channelLayout},atrim=duration=${tenFramesDuration},asetpts=PTS-STARTPTS[suf_a]`);
-            } else {
-                const audioSuffixEndTime = Math.min(videoDuration, endTime + tenFramesDuration);
-                complexFilterParts.push(`[0:a]atrim=start=${endTime}:end=${audioSuffixEndTime},asetpts=PTS-STARTPTS[suf_a]`);
-            }
-            audioParts.push('[suf_a]');
-            complexFilterParts.push(`${audioParts.join('')}concat=n=${audioParts.length}:v=0:a=1[out_a]`);
-        }
-        
-        // Concatenate the prefix, main, and suffix video streams. All are now 540p.
-        complexFilterParts.push(`[pre_v][main_v][suf_v]concat=n=3:v=1,fps=${originalFrameRateString}[out_v]`);
-        const filterComplexString = complexFilterParts.join(';');
-
-        const ffmpegArgs = [
-            '-i', sourceFile, '-framerate', originalFrameRateString, '-i', prefixStillPath,
-            '-framerate', originalFrameRateString, '-i', suffixStillPath, '-i', metadataFilePath,
-            '-filter_complex', filterComplexString, '-map', '[out_v]'
-        ];
-        if (hasAudio) ffmpegArgs.push('-map', '[out_a]');
-        
-        // Encoding settings adjusted for 540p output.
-        // Updated settings: 3Mbps VBR, GOP=1
-        ffmpegArgs.push(
-            '-brand', 'mp42', '-map_chapters', '3',
-            '-c:v', 'libx264', '-profile:v', 'main', '-level', '3.1', '-pix_fmt', 'yuv420p',
-            '-g', '1', // Keyframe every frame (All-Intra)
-            '-b:v', '3000k', '-maxrate', '4500k', '-bufsize', '6000k', // 3Mbps VBR
-            // MODIFICATION: Added Color Tags (bt709) to fix gamma shift and contrast issues
-            '-color_primaries', 'bt709', '-color_trc', 'bt709', '-colorspace', 'bt709',
-            '-metadata:s:v:0', 'handler_name=AVC Coding', '-metadata:s:v:0', 'language=eng'
-        );
-
-        if (hasAudio) {
-            ffmpegArgs.push(
-                '-c:a', 'aac', '-b:a', '192k', '-ac', '2', '-ar', '48000',
-                '-metadata:s:a:0', 'language=eng'
-            );
-        }
-        ffmpegArgs.push('-y', outputFilePath);
+// Starts an API run; throws straight away on an unknown profile or preset. Runs like a watch
+// folder's: its events go to the event stream only, and finished guides to the shot list.
+// Resolves with { done } once the run has started, `done` resolving with its summary. When the run
+// could not start, rejects with the error it reported.
+function processForApi(chapters, { profile: profileName, preset }, emit) {
+    const profile = settingsStore.getProfile(profileName);
+    if (preset) resolvePreset(loadPresets(userPresetDir), preset);
+    const reportToSheet = sheetReporter(profile, chapters);
+    let startError = 'The run could not start.';
+    let onStart;
+    const started = new Promise(resolve => { onStart = resolve; });
+    const done = processVideos({ chapters, preset, profileName: profile.name, source: 'api', onStart }, (channel, payload) => {
+        if (channel === 'processing-error') startError = payload;
+        reportToSheet(channel, payload);
+        emit(channel, payload);
+    });
+    return Promise.race([
+        started.then(() => ({ done })),
+        done.then((summary) => {
+            if (summary === null) throw new Error(startError);
+            return { done };
+        }),
+    ]);
+}
 
-        await runFfmpeg(ffmpegPath, ffmpegArgs);
-        log(`--- Successfully created: ${outputFilePath} ---`);
-        
-        const newClipInfo = await getVideoInfo(ffprobePath, outputFilePath);
-        const newClipVideoStream = newClipInfo.streams.find(s => s.codec_type === 'video');
+function runStatus() {
+    return {
+        processing: processingState.isProcessing,
+        paused: processingState.isProcessing && processingState.isPaused,
+        run: currentRun ? describeRun(currentRun) : null,
+        lastRun,
+    };
+}
 
-        if (!newClipInfo.format || !newClipInfo.format.duration || !newClipVideoStream || !newClipVideoStream.r_frame_rate) {
-            log('[WARNING] Could not get precise duration from the exported clip. Reporting as 0.');
-            return { durationFrames: 0, durationSeconds: 0 };
+// --- Job Journal ---
+
+// Batches still marked running were cut short by a crash, reboot or quit. Half-written outputs are
+// adopted or removed straight away; the user then decides whether to pick the batch up again.
+async function checkInterruptedBatches() {
+    const interrupted = journal.listInterrupted();
+    if (interrupted.length === 0) return;
+
+    for (const { id } of interrupted) {
+        const journalBatch = journal.openBatch(id);
+        const { batch } = journalBatch;
+        log(`Found interrupted batch ${id} from ${batch.createdAt} (${batch.chapters.length} chapter(s)).`);
+        const adopted = recoverBatch(journalBatch);
+        reportAdopted(batch, adopted);
+        const remaining = journalBatch.remainingChapters();
+
+        if (remaining.length === 0) {
+            log(`Batch ${id} had already finished all its chapters. Marking it complete.`);
+            journalBatch.setStatus('complete');
+            if (adopted.length > 0) send('batch-resumed', { batchId: id, chapters: batch.chapters });
+            continue;
         }
 
-        const durationSecondsFloat = parseFloat(newClipInfo.format.duration);
-        const newFrameRate = eval(newClipVideoStream.r_frame_rate);
-        const durationFrames = Math.round(durationSecondsFloat * newFrameRate);
-        const durationSeconds = Math.round(durationSecondsFloat);
-        
-        return { durationFrames, durationSeconds };
+        const { response } = await dialog.showMessageBox(mainWindow, {
+            type: 'question',
+            buttons: ['Resume', 'Discard', 'Later'],
+            defaultId: 0,
+            cancelId: 2,
+            title: 'Unfinished batch',
+            message: `A batch started ${new Date(batch.createdAt).toLocaleString()} did not finish.`,
+            detail: `${remaining.length} of ${batch.chapters.length} chapter(s) still need encoding into "${batch.baseDir}" with preset "${batch.presetName}".`
+                + (adopted.length > 0 ? ` ${adopted.length} finished output(s) were recovered.` : ''),
+        });
 
-    } finally {
-        // Safely clean up temporary files
-        log(`Cleaning up temporary files for ${clipName}...`);
-        for (const file of [path.join(chapterOutputDir, `prefix_${clipName}.png`), path.join(chapterOutputDir, `suffix_${clipName}.png`), path.join(chapterOutputDir, `metadata_${clipName}.txt`)]) {
-            try {
-                if (fs.existsSync(file)) {
-                    fs.unlinkSync(file);
-                    log(`Deleted temp file: ${file}`);
-                }
-            } catch (error) {
-                log(`[WARNING] Could not delete temporary file: ${file}. Error: ${error.message}`);
-            }
+        if (response === 0) {
+            log(`Resuming interrupted batch ${id}.`);
+            send('batch-resumed', { batchId: id, chapters: batch.chapters });
+            return; // One batch at a time; any others are offered on the next start.
+        }
+        if (response === 1) {
+            log(`Discarding interrupted batch ${id}.`);
+            discardBatch(journalBatch);
+        } else {
+            log(`Leaving interrupted batch ${id} for later.`);
         }
     }
 }
 
-function createStillFrame(ffmpegPath, filePath, time, outputPath) {
-    const seekTime = Math.max(0, time);
-    // Scale the still frame to 960:540 to match the main video output.
-    // The drawbox filter is applied after scaling.
-    // Added -update 1 to satisfy "image sequence pattern" requirement for single images
-    // MODIFICATION: Updated scaler to lanczos+accurate_rnd for consistency and quality
-    const args = [
-        '-ss', seekTime.toString(), '-i', filePath,
-        // x=101 (101px from left), y=ih-43 (20px from bottom: ih - 20 - 23 = ih - 43), w=13, h=23
-        '-vf', 'scale=960:540:flags=lanczos+accurate_rnd,drawbox=x=88:y=ih-43:w=13:h=23:color=red:t=fill',
-        '-vframes', '1', '-update', '1', '-y', outputPath
-    ];
-    return runFfmpeg(ffmpegPath, args);
-}
-
-function getVideoInfo(ffprobePath, filePath) {
-    return new Promise((resolve, reject) => {
-        const args = ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', filePath];
-        const ffprobe = spawn(ffprobePath, args);
-        let output = '';
-        ffprobe.stdout.on('data', (data) => output += data);
-        ffprobe.stderr.on('data', (data) => log(`ffprobe stderr: ${data}`));
-        ffprobe.on('close', (code) => {
-            if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}`));
-            try {
-                resolve(JSON.parse(output));
-            } catch (e) {
-                reject(new Error('Failed to parse video info.'));
-            }
-        });
+// The crash came before an adopted guide's chapter-update, so its shot list row was not reported.
+function reportAdopted(batch, adopted) {
+    const done = adopted.filter(chapter => chapter.status === 'done');
+    if (done.length === 0) return;
+    let profile;
+    try {
+        profile = settingsStore.getProfile(batch.profile);
+    } catch (error) {
+        log(`[WARNING] ${error.message} Recovered guides of batch ${batch.id} are not reported to the shot list.`);
+        return;
+    }
+    done.forEach((chapter) => {
+        const update = sheetUpdate(chapter, { durationFrames: chapter.durationFrames, durationSeconds: chapter.durationSeconds, guide_version: chapter.output.version });
+        if (update) queueSheetUpdate(profile, update);
     });
 }
 
-function runFfmpeg(ffmpegPath, args) {
-    return new Promise((resolve, reject) => {
-        log(`Running FFmpeg: ${path.basename(ffmpegPath)} ${args.join(' ')}`);
-        const ffmpeg = spawn(ffmpegPath, args, { detached: process.platform !== 'win32' });
-        currentFfmpegProcess = ffmpeg;
-        let stderr = '';
-
-        ffmpeg.stdout.on('data', (data) => log(`ffmpeg stdout: ${data}`));
-        ffmpeg.stderr.on('data', (data) => {
-            const str = data.toString();
-            log(`ffmpeg stderr: ${str}`);
-            stderr += str;
-        });
+// --- Helper Functions ---
 
-        ffmpeg.on('close', (code) => {
-            currentFfmpegProcess = null;
-            if (processingState.shouldStop) {
-                return reject(new Error('stopped'));
-            }
-            if (processingState.isPaused) {
-                return reject(new Error('paused'));
-            }
-            if (code !== 0) {
-                return reject(new Error(`FFmpeg process exited with code ${code}\n\nFFmpeg output:\n${stderr}`));
-            }
-            resolve();
-        });
+// A modal error box for runs the user started. Watch folder and API runs may go unattended, where a
+// modal would hold them up; their errors are logged and sent as events instead.
+function showErrorIfAttended(source, message) {
+    if (source === 'app') dialog.showErrorBox('Error', message);
+}
 
-        ffmpeg.on('error', (err) => {
-            currentFfmpegProcess = null;
-            reject(err);
-        });
-    });
+// Sends an event to the renderer, if the window is still around.
+function send(channel, payload) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, payload);
+    }
+}
+
+function log(message) {
+    console.log(message);
+    controlApi.publish('log', message, currentRun ? currentRun.source : 'app');
+    if (mainWindow) {
+        mainWindow.webContents.send('log-message', message);
+    }
+    const logPath = path.join(app.getPath('userData'), 'app.log');
+    try {
+        fs.appendFileSync(logPath, `${new Date().toISOString()} - ${message}\n`);
+    } catch (error) {
+        console.error("Failed to write to log file:", error);
+    }
 }
\ No newline at end of file
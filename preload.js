@@ -6,9 +6,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     quitApp: () => ipcRenderer.send('app:quit'),
     toggleDebug: (enabled) => ipcRenderer.send('toggle-debug', enabled),
     openFileDialog: () => ipcRenderer.invoke('dialog:openFile'),
-    fetchSheetData: () => ipcRenderer.invoke('fetch-sheet-data'),
+    openMarkerFileDialog: (moviePath) => ipcRenderer.invoke('dialog:openMarkerFile', moviePath),
+    probeFiles: (filePaths, markerFiles) => ipcRenderer.invoke('probe-files', { filePaths, markerFiles }),
+    openDirectoryDialog: () => ipcRenderer.invoke('dialog:openDirectory'),
+    getSettings: () => ipcRenderer.invoke('settings:get'),
+    saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
+    listPresets: () => ipcRenderer.invoke('presets:list'),
+    fetchSheetData: (options) => ipcRenderer.invoke('fetch-sheet-data', options),
     updateSheetData: (data) => ipcRenderer.send('update-sheet-data', data),
-    analyzeVideos: (filePaths) => ipcRenderer.send('analyze-videos', filePaths),
+    analyzeVideos: (filePaths, markerFiles) => ipcRenderer.send('analyze-videos', { filePaths, markerFiles }),
+    previewOutputs: (chapters, preset) => ipcRenderer.invoke('preview-outputs', { chapters, preset }),
+    chapterThumbnails: (range) => ipcRenderer.invoke('preview:thumbnails', range),
+    chapterPreview: (range) => ipcRenderer.invoke('preview:proxy', range),
+    planVideos: (data) => ipcRenderer.invoke('plan-videos', data),
+    exportPlan: (planId) => ipcRenderer.invoke('plan:export', planId),
     processVideos: (data) => ipcRenderer.send('process-videos', data),
     controlProcessing: (action) => ipcRenderer.send('control-processing', action),
     onLogMessage: (callback) => ipcRenderer.on('log-message', (event, ...args) => callback(...args)),
@@ -18,6 +29,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onProcessingError: (callback) => ipcRenderer.on('processing-error', (event, ...args) => callback(...args)),
     onAnalyzeComplete: (callback) => ipcRenderer.on('analyze-complete', (event, ...args) => callback(...args)),
     onChapterUpdate: (callback) => ipcRenderer.on('chapter-update', (event, ...args) => callback(...args)),
-    // New listener for Sheet responses
-    onSheetUpdateResponse: (callback) => ipcRenderer.on('sheet-update-response', (event, ...args) => callback(...args)),
+    onChapterProgress: (callback) => ipcRenderer.on('chapter-progress', (event, ...args) => callback(...args)),
+    onBatchProgress: (callback) => ipcRenderer.on('batch-progress', (event, ...args) => callback(...args)),
+    onBatchResumed: (callback) => ipcRenderer.on('batch-resumed', (event, ...args) => callback(...args)),
+    // Sync state of queued sheet write-backs
+    listSheetSync: () => ipcRenderer.invoke('sheet-sync:list'),
+    retrySheetSync: (id) => ipcRenderer.invoke('sheet-sync:retry', id),
+    onSheetSyncUpdate: (callback) => ipcRenderer.on('sheet-sync-update', (event, ...args) => callback(...args)),
+    // Files picked up from the profiles' watch folders
+    listWatchActivity: () => ipcRenderer.invoke('watch:list'),
+    onWatchActivity: (callback) => ipcRenderer.on('watch-activity', (event, ...args) => callback(...args)),
 });
\ No newline at end of file
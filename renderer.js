@@ -6,32 +6,82 @@ document.addEventListener('DOMContentLoaded', () => {
     const closeBtn = document.getElementById('close-btn');
     const fileListDiv = document.getElementById('file-list');
     const statusDiv = document.getElementById('status');
+    const batchProgress = document.getElementById('batch-progress');
+    const batchProgressBar = document.getElementById('batch-progress-bar');
+    const batchProgressLabel = document.getElementById('batch-progress-label');
     const logOutput = document.getElementById('log-output');
     const analyzeBtn = document.getElementById('analyze-btn');
     const chapterListDiv = document.getElementById('chapter-list');
+    const sheetSourceEl = document.getElementById('sheet-source');
+    const refreshSheetBtn = document.getElementById('refresh-sheet-btn');
+    const retrySyncBtn = document.getElementById('retry-sync-btn');
     const processBtn = document.getElementById('process-btn');
+    const planBtn = document.getElementById('plan-btn');
+    const planPanel = document.getElementById('plan-panel');
+    const planSummary = document.getElementById('plan-summary');
+    const planRows = document.getElementById('plan-rows');
+    const planExportBtn = document.getElementById('plan-export-btn');
+    const planCloseBtn = document.getElementById('plan-close-btn');
+    const planProcessBtn = document.getElementById('plan-process-btn');
     const processingControls = document.getElementById('processing-controls');
     const pauseBtn = document.getElementById('pause-btn');
     const stopBtn = document.getElementById('stop-btn');
     const debugToggle = document.getElementById('debug-toggle');
+    const profileSelect = document.getElementById('profile-select');
+    const profileNewBtn = document.getElementById('profile-new-btn');
+    const profileDeleteBtn = document.getElementById('profile-delete-btn');
+    const settingsSaveBtn = document.getElementById('settings-save-btn');
+    const presetSelect = document.getElementById('preset-select');
+    const parallelJobsInput = document.getElementById('parallel-jobs');
+    const segmentSecondsInput = document.getElementById('segment-seconds');
+    const apiPortInput = document.getElementById('api-port');
+    const apiTokenInput = document.getElementById('api-token');
+    const watchActivityDiv = document.getElementById('watch-activity');
+    const profileInputs = {
+        name: document.getElementById('profile-name'),
+        outputRoot: document.getElementById('profile-output-root'),
+        testRoot: document.getElementById('profile-test-root'),
+        watchFolder: document.getElementById('profile-watch-folder'),
+        sheetId: document.getElementById('profile-sheet-id'),
+        sheetName: document.getElementById('profile-sheet-name'),
+        appsScriptUrl: document.getElementById('profile-apps-script-url'),
+        preset: document.getElementById('profile-preset'),
+        metadataProvider: document.getElementById('profile-metadata-provider'),
+        metadataSource: document.getElementById('profile-metadata-source'),
+        metadataToken: document.getElementById('profile-metadata-token'),
+        columnMap: document.getElementById('profile-column-map'),
+        dirTemplate: document.getElementById('profile-dir-template'),
+        fileTemplate: document.getElementById('profile-file-template'),
+        versionPolicy: document.getElementById('profile-version-policy'),
+    };
     
     // --- State Variables ---
     let filePaths = [];
+    let markerFiles = {}; // filePath -> 'auto' | 'embedded' | path to a marker sidecar
+    let fileChecks = {}; // filePath -> probe result from the main process ({ ok, reason, container, ... })
     let chapters = [];
     let isProcessing = false;
+    let settings = null;
+    let presets = []; // [{ name, label, extension }] from the main process
 
     function log(message) {
         console.log(message);
         window.electronAPI.log(message);
     }
 
+    function getAcceptedFiles() {
+        return filePaths.filter(p => fileChecks[p] && fileChecks[p].ok);
+    }
+
     function updateButtonStates() {
-        const hasFiles = filePaths.length > 0;
+        const hasFiles = getAcceptedFiles().length > 0;
         const hasChapters = chapters.length > 0;
         const hasSelectedChapters = chapters.some(c => c.selected);
         
         analyzeBtn.disabled = !hasFiles || isProcessing;
+        refreshSheetBtn.disabled = isProcessing;
         processBtn.disabled = !hasChapters || !hasSelectedChapters || isProcessing;
+        planBtn.disabled = processBtn.disabled;
     }
 
     // --- File Handling (Drag/Drop, Browse) ---
@@ -52,17 +102,13 @@ document.addEventListener('DOMContentLoaded', () => {
         e.stopPropagation();
         dragDropArea.classList.remove('drag-over');
 
-        const files = [...e.dataTransfer.files]
-            .filter(file => {
-                const lowerCaseName = file.name.toLowerCase();
-                return lowerCaseName.endsWith('.mov') || lowerCaseName.endsWith('.qt');
-            })
-            .map(file => file.path);
+        // Every dropped file is probed by the main process; unusable ones stay in the list with a reason.
+        const files = [...e.dataTransfer.files].map(file => file.path);
 
         if(files.length > 0) {
             addFiles(files);
         } else {
-            log("No valid QuickTime (.mov, .qt) files dropped.");
+            log("No files dropped.");
         }
     });
     
@@ -78,18 +124,36 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     function addFiles(newFilePaths) {
-        newFilePaths.forEach(path => {
-            if (!filePaths.includes(path)) {
-                filePaths.push(path);
-            }
+        const added = newFilePaths.filter(path => !filePaths.includes(path));
+        added.forEach(path => {
+            filePaths.push(path);
+            markerFiles[path] = 'auto';
         });
         chapters = [];
         chapterListDiv.innerHTML = '';
+        checkFiles(added);
+    }
+
+    async function checkFiles(pathsToCheck) {
+        pathsToCheck.forEach(path => { fileChecks[path] = { pending: true }; });
+        updateFileList();
+        if (pathsToCheck.length === 0) return;
+
+        const results = await window.electronAPI.probeFiles(pathsToCheck, markerFiles);
+        results.forEach(result => {
+            if (filePaths.includes(result.filePath)) fileChecks[result.filePath] = result;
+        });
+        const rejected = results.filter(r => !r.ok).length;
+        if (rejected > 0) {
+            statusDiv.textContent = `${rejected} file(s) cannot be used. See the file list for details.`;
+        }
         updateFileList();
     }
 
     function removeFile(pathToRemove) {
         filePaths = filePaths.filter(p => p !== pathToRemove);
+        delete markerFiles[pathToRemove];
+        delete fileChecks[pathToRemove];
         chapters = [];
         chapterListDiv.innerHTML = '';
         if (filePaths.length === 0) {
@@ -101,23 +165,88 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateFileList() {
         fileListDiv.innerHTML = '';
         filePaths.forEach(path => {
+            const check = fileChecks[path] || { pending: true };
             const fileItem = document.createElement('div');
             fileItem.className = 'file-item';
+            fileItem.classList.toggle('rejected', !check.pending && !check.ok);
 
             const fileName = path.split(/[\\/]/).pop();
-            fileItem.textContent = fileName;
+            const fileNameEl = document.createElement('div');
+            fileNameEl.className = 'file-name';
+            const fileTitleEl = document.createElement('span');
+            fileTitleEl.className = 'file-title';
+            fileTitleEl.textContent = fileName;
+            fileNameEl.appendChild(fileTitleEl);
+
+            const fileStatusEl = document.createElement('span');
+            fileStatusEl.className = 'file-status';
+            if (check.pending) {
+                fileStatusEl.textContent = 'Checking...';
+            } else if (check.ok) {
+                fileStatusEl.textContent = `${check.container} / ${check.chapterCount} chapters`;
+            } else {
+                fileStatusEl.textContent = check.reason;
+            }
+            fileNameEl.appendChild(fileStatusEl);
 
             const removeBtn = document.createElement('button');
             removeBtn.className = 'remove-btn';
             removeBtn.innerHTML = '&times;';
             removeBtn.onclick = () => removeFile(path);
 
+            fileItem.appendChild(fileNameEl);
+            fileItem.appendChild(createMarkerSourceSelect(path));
             fileItem.appendChild(removeBtn);
             fileListDiv.appendChild(fileItem);
         });
 
         updateButtonStates();
     }
+
+    // Per-file choice of where chapters come from: auto-detected sidecar, embedded chapters, or a picked file.
+    function createMarkerSourceSelect(path) {
+        const select = document.createElement('select');
+        select.className = 'marker-source-select';
+        select.title = 'Chapter marker source';
+
+        const check = fileChecks[path] || {};
+        const detected = markerFiles[path] === 'auto' ? check.markerFile : null;
+        const options = [
+            ['auto', detected ? `AUTO: ${detected.split(/[\\/]/).pop()}` : 'AUTO: EMBEDDED'],
+            ['embedded', 'EMBEDDED CHAPTERS'],
+        ];
+        const current = markerFiles[path] || 'auto';
+        if (current !== 'auto' && current !== 'embedded') {
+            options.push([current, current.split(/[\\/]/).pop()]);
+        }
+        options.push(['choose', 'CHOOSE MARKER FILE...']);
+
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = current;
+
+        select.addEventListener('change', async () => {
+            if (select.value === 'choose') {
+                const markerFile = await window.electronAPI.openMarkerFileDialog(path);
+                if (!markerFile) {
+                    select.value = current;
+                    return;
+                }
+                markerFiles[path] = markerFile;
+            } else {
+                markerFiles[path] = select.value;
+            }
+            log(`Marker source for ${path.split(/[\\/]/).pop()}: ${markerFiles[path]}`);
+            chapters = [];
+            chapterListDiv.innerHTML = '';
+            checkFiles([path]);
+        });
+        return select;
+    }
     
     // --- Window & App Controls ---
     closeBtn.addEventListener('click', () => {
@@ -128,17 +257,137 @@ document.addEventListener('DOMContentLoaded', () => {
         const isEnabled = debugToggle.checked;
         log(`Debug mode toggled: ${isEnabled ? 'ON' : 'OFF'}`);
         window.electronAPI.toggleDebug(isEnabled);
+        refreshOutputPreview(); // Debug mode writes to the test root
+    });
+
+    // --- Presets ---
+    function fillPresetOptions(select, firstOption) {
+        select.innerHTML = '';
+        if (firstOption) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = firstOption;
+            select.appendChild(option);
+        }
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = `${preset.label} (${preset.extension})`;
+            select.appendChild(option);
+        });
+    }
+
+    async function loadPresets() {
+        const result = await window.electronAPI.listPresets();
+        presets = result.presets;
+        fillPresetOptions(presetSelect);
+        fillPresetOptions(profileInputs.preset, 'Built-in default');
+        presetSelect.value = result.defaultPreset;
+    }
+
+    // --- Settings Panel ---
+    function renderSettings() {
+        profileSelect.innerHTML = '';
+        Object.keys(settings.profiles).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = settings.activeProfile;
+
+        const profile = settings.profiles[settings.activeProfile];
+        profileInputs.name.value = settings.activeProfile;
+        Object.keys(profileInputs).forEach(field => {
+            if (field !== 'name') profileInputs[field].value = profile[field] || '';
+        });
+        profileDeleteBtn.disabled = Object.keys(settings.profiles).length <= 1;
+        parallelJobsInput.value = settings.parallelJobs;
+        segmentSecondsInput.value = settings.segmentSeconds;
+        apiPortInput.value = settings.apiPort;
+        apiTokenInput.value = settings.apiToken;
+    }
+
+    async function saveSettings(newSettings) {
+        try {
+            settings = await window.electronAPI.saveSettings(newSettings);
+            statusDiv.textContent = `Settings saved. Active profile: ${settings.activeProfile}`;
+            await loadPresets();
+        } catch (error) {
+            log(`[ERROR] Could not save settings: ${error.message}`);
+            statusDiv.textContent = `Error saving settings: ${error.message}`;
+        }
+        renderSettings();
+        refreshOutputPreview();
+    }
+
+    async function loadSettings() {
+        settings = await window.electronAPI.getSettings();
+        await loadPresets();
+        renderSettings();
+    }
+
+    profileSelect.addEventListener('change', () => {
+        log(`Switching to profile "${profileSelect.value}".`);
+        saveSettings({ ...settings, activeProfile: profileSelect.value });
+    });
+
+    profileNewBtn.addEventListener('click', () => {
+        let name = 'NEW PROFILE';
+        for (let n = 2; settings.profiles[name]; n++) name = `NEW PROFILE ${n}`;
+        const profiles = { ...settings.profiles, [name]: { ...settings.profiles[settings.activeProfile] } };
+        saveSettings({ ...settings, activeProfile: name, profiles });
+    });
+
+    profileDeleteBtn.addEventListener('click', () => {
+        const profiles = { ...settings.profiles };
+        delete profiles[settings.activeProfile];
+        saveSettings({ ...settings, activeProfile: Object.keys(profiles)[0], profiles });
+    });
+
+    document.querySelectorAll('.browse-dir-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const dir = await window.electronAPI.openDirectoryDialog();
+            if (dir) document.getElementById(btn.dataset.target).value = dir;
+        });
+    });
+
+    settingsSaveBtn.addEventListener('click', () => {
+        const newName = profileInputs.name.value.trim();
+        const profile = {};
+        Object.keys(profileInputs).forEach(field => {
+            if (field !== 'name') profile[field] = profileInputs[field].value.trim();
+        });
+
+        const profiles = {};
+        // Rebuild the map so a renamed profile keeps its position in the list.
+        Object.keys(settings.profiles).forEach(name => {
+            if (name === settings.activeProfile) {
+                profiles[newName] = profile;
+            } else if (name !== newName) {
+                profiles[name] = settings.profiles[name];
+            }
+        });
+        const parallelJobs = parseInt(parallelJobsInput.value, 10) || settings.parallelJobs;
+        const segmentSeconds = Math.max(0, parseInt(segmentSecondsInput.value, 10) || 0);
+        const apiPort = Math.max(0, parseInt(apiPortInput.value, 10) || 0);
+        saveSettings({ activeProfile: newName, parallelJobs, segmentSeconds, apiPort, apiToken: apiTokenInput.value.trim(), profiles });
     });
 
+    loadSettings();
+
+    presetSelect.addEventListener('change', () => refreshOutputPreview());
+
     // --- Core Actions ---
     analyzeBtn.addEventListener('click', () => {
-        if (filePaths.length > 0) {
+        const acceptedFiles = getAcceptedFiles();
+        if (acceptedFiles.length > 0) {
             log('Analyzing video files for chapters...');
             statusDiv.textContent = 'Analyzing...';
             analyzeBtn.disabled = true;
             processBtn.disabled = true;
             chapterListDiv.innerHTML = '';
-            window.electronAPI.analyzeVideos(filePaths);
+            window.electronAPI.analyzeVideos(acceptedFiles, markerFiles);
         }
     });
 
@@ -146,22 +395,121 @@ document.addEventListener('DOMContentLoaded', () => {
         const selectedChapters = chapters.filter(c => c.selected);
         if (selectedChapters.length > 0) {
             log(`Starting processing for ${selectedChapters.length} selected chapters...`);
-            statusDiv.textContent = 'Processing...';
-            logOutput.textContent = '';
-
-            isProcessing = true;
-            updateButtonStates();
-            processBtn.classList.add('hidden');
-            processingControls.classList.remove('hidden');
-            pauseBtn.textContent = 'PAUSE';
-            stopBtn.disabled = false;
-
-            window.electronAPI.processVideos({ chapters: selectedChapters });
+            startProcessing({ chapters: selectedChapters, preset: presetSelect.value });
         } else {
             log("Cannot process: No chapters have been selected.");
         }
     });
 
+    // `request` is what process-videos receives: { chapters, preset }, { planId } to run a dry run's
+    // plan, or { batchId } to resume a journaled batch. `count` is the number of chapters it covers.
+    function startProcessing(request, count = request.chapters ? request.chapters.length : chapters.filter(c => c.selected).length) {
+        if (editingChapters.size > 0 || previewChapterId) {
+            editingChapters.clear();
+            previewChapterId = null;
+            renderChapterList();
+        }
+        statusDiv.textContent = 'Processing...';
+        if (!request.batchId) logOutput.textContent = ''; // Keep the recovery log of a resumed batch
+
+        isProcessing = true;
+        updateButtonStates();
+        processBtn.classList.add('hidden');
+        processingControls.classList.remove('hidden');
+        pauseBtn.textContent = 'PAUSE';
+        stopBtn.disabled = false;
+        batchProgressBar.style.width = '0%';
+        batchProgressLabel.textContent = `0 / ${count}`;
+        batchProgress.classList.remove('hidden');
+
+        window.electronAPI.processVideos(request);
+    }
+
+    // --- Dry Run ---
+    let currentPlan = null;
+
+    planBtn.addEventListener('click', async () => {
+        const selectedChapters = chapters.filter(c => c.selected);
+        if (selectedChapters.length === 0) return;
+        planBtn.disabled = true;
+        statusDiv.textContent = 'Planning outputs...';
+        try {
+            currentPlan = await window.electronAPI.planVideos({ chapters: selectedChapters, preset: presetSelect.value });
+            showPlan(currentPlan);
+            statusDiv.textContent = 'Dry run ready. Nothing has been written.';
+        } catch (error) {
+            log(`[ERROR] Dry run failed: ${error.message}`);
+            statusDiv.textContent = `Dry run failed: ${error.message}`;
+        }
+        updateButtonStates();
+    });
+
+    const PLAN_ACTION_LABELS = { overwrite: ' (overwrite)', skip: ' (unchanged, skipped)' };
+
+    function formatPlanTime(seconds) {
+        return seconds === null ? '-' : seconds.toFixed(3);
+    }
+
+    function showPlan(plan) {
+        planRows.innerHTML = '';
+        const errors = plan.entries.filter(entry => entry.error).length;
+        const warnings = plan.entries.filter(entry => !entry.error && entry.warnings.length > 0).length;
+        const unchanged = plan.entries.filter(entry => !entry.error && entry.action === 'skip').length;
+        const overwrites = plan.entries.filter(entry => !entry.error && entry.action === 'overwrite').length;
+        planSummary.textContent = `${plan.entries.length} output(s) under ${plan.baseDir || '(no output root)'} with ${plan.presetName}`
+            + (unchanged ? `, ${unchanged} unchanged` : '') + (overwrites ? `, ${overwrites} overwritten` : '')
+            + (errors ? `, ${errors} will fail` : '') + (warnings ? `, ${warnings} with warnings` : '');
+
+        plan.entries.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.error) row.className = 'plan-row-error';
+            else if (entry.warnings.length > 0) row.className = 'plan-row-warning';
+            const target = entry.path && plan.baseDir && entry.path.startsWith(plan.baseDir)
+                ? entry.path.slice(plan.baseDir.length).replace(/^[\\/]+/, '')
+                : (entry.path || '-');
+            const cells = [
+                entry.sourceName,
+                entry.id === entry.title ? entry.id : `${entry.id} → ${entry.title}`,
+                entry.timecodeIn ? `${entry.timecodeIn} - ${entry.timecodeOut}` : `${formatPlanTime(entry.startTime)} - ${formatPlanTime(entry.endTime)}`,
+                target,
+                entry.version === null ? '-' : `v${String(entry.version).padStart(3, '0')}${PLAN_ACTION_LABELS[entry.action] || ''}`,
+                [entry.error, ...entry.warnings].filter(Boolean).join('; '),
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            planRows.appendChild(row);
+        });
+
+        planProcessBtn.disabled = plan.entries.every(entry => entry.error || entry.action === 'skip');
+        planPanel.classList.remove('hidden');
+    }
+
+    planCloseBtn.addEventListener('click', () => {
+        planPanel.classList.add('hidden');
+    });
+
+    planExportBtn.addEventListener('click', async () => {
+        if (!currentPlan) return;
+        try {
+            const filePath = await window.electronAPI.exportPlan(currentPlan.id);
+            if (filePath) statusDiv.textContent = `Plan exported to ${filePath}`;
+        } catch (error) {
+            log(`[ERROR] Could not export the plan: ${error.message}`);
+        }
+    });
+
+    // Runs exactly the plan on screen: same chapters, times, presets, folders and versions.
+    planProcessBtn.addEventListener('click', () => {
+        if (!currentPlan) return;
+        planPanel.classList.add('hidden');
+        log(`Starting processing of the dry run plan (${currentPlan.entries.length} chapters)...`);
+        startProcessing({ planId: currentPlan.id }, currentPlan.entries.length);
+        currentPlan = null;
+    });
+
     pauseBtn.addEventListener('click', () => {
         if (pauseBtn.textContent === 'PAUSE') {
             window.electronAPI.controlProcessing('pause');
@@ -209,41 +557,119 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        statusDiv.textContent = `Found ${chapters.length} chapters. Fetching additional data from Google Sheets...`;
-        log(`Found ${chapters.length} chapters locally. Now fetching Google Sheet data.`);
+        statusDiv.textContent = `Found ${chapters.length} chapters. Fetching shot data...`;
+        log(`Found ${chapters.length} chapters locally. Now fetching shot data.`);
         chapterListDiv.innerHTML = '';
 
         try {
-            const shotDataMap = await window.electronAPI.fetchSheetData();
+            const sheet = await window.electronAPI.fetchSheetData({ ids: chapters.map(c => c.title) });
             log('Successfully received shot data map from main process.');
-
-            let renamedCount = 0;
-            chapters.forEach(chapter => {
-                const originalTitle = chapter.title;
-                const sheetData = shotDataMap[originalTitle];
-                
-                if (sheetData) {
-                    chapter.title = sheetData.guideName;
-                    chapter.path = sheetData.path;
-                    chapter.originalTitle = originalTitle;
-                    renamedCount++;
-                    log(`Success: Matched ID "${originalTitle}". New name is "${sheetData.guideName}".`);
-                } else {
-                    log(`[WARNING] No match found for ID "${originalTitle}" in the Google Sheet. Using original name.`);
-                    chapter.originalTitle = originalTitle;
-                }
-            });
-
-            statusDiv.textContent = `Found matches for ${renamedCount} of ${chapters.length} chapters. Ready to process.`;
+            const renamedCount = applySheetData(sheet);
+            statusDiv.textContent = `${describeSheetSource(sheet)}Found matches for ${renamedCount} of ${chapters.length} chapters. Ready to process.`;
         } catch (error) {
-            log(`[ERROR] Failed to fetch or process Google Sheet data: ${error.message}`);
+            log(`[ERROR] Failed to fetch or process shot data: ${error.message}`);
             statusDiv.textContent = `Error fetching sheet data: ${error.message}. Using original names.`;
+            chapters.forEach(chapter => { chapter.originalTitle = chapter.title; });
         }
 
         renderChapterList();
         updateButtonStates();
     });
 
+    // --- Sheet Data ---
+
+    // Names the chapters from a fetch-sheet-data result and carries over the rest of each row (see
+    // applyShotData in lib/sheet.js). Chapters keep their sheet ID in `originalTitle` (a split's second
+    // part in `sheetId`), so a refresh can rename them again. Rows that changed since the last snapshot
+    // are marked; rows newly marked SKIP are deselected.
+    function applySheetData({ shotDataMap, source, fetchedAt, diff, error }) {
+        const changes = new Map(diff ? diff.changed.map(change => [change.id, change.fields]) : []);
+        let renamedCount = 0;
+        chapters.forEach(chapter => {
+            const originalTitle = chapter.originalTitle || chapter.title;
+            const sheetId = chapterEdits.sheetIdOf(chapter);
+            const sheetData = shotDataMap[sheetId];
+            chapter.originalTitle = originalTitle;
+            chapter.sheetChanges = changes.get(sheetId) || null;
+
+            if (sheetData) {
+                if (sheetData.skip && !chapter.skip) chapter.selected = false;
+                chapter.title = chapter.customTitle || sheetData.guideName;
+                chapter.path = sheetData.path;
+                chapter.fields = sheetData.fields || {};
+                chapter.sheetPreset = sheetData.preset;
+                chapter.skip = !!sheetData.skip;
+                chapter.frameIn = sheetData.frameIn;
+                chapter.frameOut = sheetData.frameOut;
+                renamedCount++;
+                log(`Success: Matched ID "${sheetId}". New name is "${sheetData.guideName}".`);
+            } else {
+                chapter.title = chapter.customTitle || originalTitle;
+                chapter.path = undefined;
+                chapter.fields = {};
+                chapter.sheetPreset = undefined;
+                chapter.skip = false;
+                chapter.frameIn = undefined;
+                chapter.frameOut = undefined;
+                log(`[WARNING] No match found for ID "${sheetId}" in the shot list. Using original name.`);
+            }
+        });
+
+        sheetSourceEl.classList.toggle('sheet-source-snapshot', source === 'snapshot');
+        sheetSourceEl.textContent = source === 'snapshot'
+            ? `SHEET: SNAPSHOT FROM ${new Date(fetchedAt).toLocaleString()}`
+            : `SHEET: LIVE (${new Date(fetchedAt).toLocaleTimeString()})`;
+        sheetSourceEl.title = error ? `Sheet unreachable: ${error}` : '';
+        return renamedCount;
+    }
+
+    const SHEET_FIELD_LABELS = { guideName: 'Name', path: 'Path', preset: 'Preset', skip: 'Skip', frameIn: 'Frame in', frameOut: 'Frame out' };
+
+    // One line summing up a chapter's extra shot list columns, or null when it has none.
+    function describeShotFields(chapter) {
+        const parts = [];
+        const details = [];
+        if (chapter.skip) parts.push('SKIP');
+        if (Number.isInteger(chapter.frameIn) || Number.isInteger(chapter.frameOut)) {
+            const range = `${Number.isInteger(chapter.frameIn) ? chapter.frameIn : '...'}-${Number.isInteger(chapter.frameOut) ? chapter.frameOut : '...'}`;
+            parts.push(`FRAMES ${range}`);
+            details.push(`Frame range override: ${range}`);
+        }
+        Object.entries(chapter.fields || {}).forEach(([key, value]) => {
+            parts.push(value);
+            details.push(`${key}: ${value}`);
+        });
+        if (parts.length === 0) return null;
+        return { text: parts.join(' \u00b7 '), title: details.join('\n') };
+    }
+
+    function describeSheetSource({ source, fetchedAt, diff }) {
+        if (source === 'snapshot') return `Sheet unreachable, using snapshot from ${new Date(fetchedAt).toLocaleString()}. `;
+        if (diff && diff.changed.length > 0) return `${diff.changed.length} shot(s) changed in the sheet since the last run. `;
+        return '';
+    }
+
+    refreshSheetBtn.addEventListener('click', async () => {
+        refreshSheetBtn.disabled = true;
+        statusDiv.textContent = 'Refreshing sheet data...';
+        try {
+            const ids = chapters.length > 0 ? [...new Set(chapters.map(chapterEdits.sheetIdOf))] : null;
+            const sheet = await window.electronAPI.fetchSheetData({ ids, refresh: true });
+            const renamedCount = applySheetData(sheet);
+            if (chapters.length > 0) {
+                renderChapterList();
+                statusDiv.textContent = `${describeSheetSource(sheet)}Found matches for ${renamedCount} of ${chapters.length} chapters.`;
+            } else {
+                statusDiv.textContent = `Sheet refreshed: ${Object.keys(sheet.shotDataMap).length} shots. ${describeSheetSource(sheet)}`;
+            }
+        } catch (error) {
+            log(`[ERROR] Sheet refresh failed: ${error.message}`);
+            statusDiv.textContent = `Sheet refresh failed: ${error.message}`;
+        } finally {
+            refreshSheetBtn.disabled = isProcessing;
+        }
+    });
+
     function renderChapterList() {
         chapterListDiv.innerHTML = '';
 
@@ -322,18 +748,74 @@ document.addEventListener('DOMContentLoaded', () => {
             chapterName.className = 'chapter-name';
             
             const filePrefix = filePaths.length > 1 ? `[${chapter.fileName.split(/[\\/]/).pop()}] ` : '';
-            const displayName = chapter.title; 
+            const displayName = chapter.finalName || chapter.title;
             const hoverTitle = chapter.originalTitle ? `Original ID: ${chapter.originalTitle}` : displayName;
             
             chapterName.textContent = `${filePrefix}${displayName}`;
             chapterName.title = hoverTitle;
 
+            // Where the guide will be written, once main has worked it out from the naming templates
             const chapterPath = document.createElement('div');
             chapterPath.className = 'chapter-path';
-            chapterPath.textContent = chapter.path || 'Path not available';
+            showOutputPreview(chapterPath, chapter);
+
+            // Encode progress, shown once ffmpeg starts reporting
+            const chapterProgress = document.createElement('div');
+            chapterProgress.className = 'progress-track chapter-progress hidden';
+            const chapterProgressBar = document.createElement('div');
+            chapterProgressBar.className = 'progress-bar';
+            chapterProgress.appendChild(chapterProgressBar);
+
+            // Sync state of the duration write-back, once one has been queued
+            const chapterSync = document.createElement('span');
+            chapterSync.className = 'chapter-sync hidden';
+            chapterSync.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!chapter.sheetSync || chapter.sheetSync.state !== 'failed') return;
+                log(`Retrying sheet update for ID "${chapter.originalTitle}".`);
+                await window.electronAPI.retrySheetSync(chapter.originalTitle);
+            });
+            if (chapter.sheetSync) showSheetSync(chapterSync, chapter.sheetSync);
 
             chapterInfo.appendChild(chapterName);
             chapterInfo.appendChild(chapterPath);
+            chapterInfo.appendChild(chapterSync);
+            chapterInfo.appendChild(createChapterTimes(chapter));
+            if (editingChapters.has(chapter.id)) chapterInfo.appendChild(createChapterEditor(chapter, index));
+            if (previewChapterId === chapter.id) chapterInfo.appendChild(createChapterPlayer(chapter));
+
+            // The shot list's other columns for this shot
+            const shotFields = describeShotFields(chapter);
+            if (shotFields) {
+                const chapterFields = document.createElement('div');
+                chapterFields.className = 'chapter-fields';
+                chapterFields.textContent = shotFields.text;
+                chapterFields.title = shotFields.title;
+                chapterInfo.appendChild(chapterFields);
+            }
+
+            // What the sheet changed for this shot since the previous snapshot
+            if (chapter.sheetChanges) {
+                const chapterChanges = document.createElement('div');
+                chapterChanges.className = 'chapter-sheet-changes';
+                chapterChanges.textContent = chapter.sheetChanges
+                    .map(change => `${SHEET_FIELD_LABELS[change.field] || change.field} was ${change.before === undefined ? 'empty' : change.before}`)
+                    .join(' / ');
+                chapterInfo.appendChild(chapterChanges);
+            }
+            chapterInfo.appendChild(chapterProgress);
+
+            // Per-chapter preset override; empty follows the run preset.
+            const chapterPreset = document.createElement('select');
+            chapterPreset.className = 'chapter-preset-select';
+            fillPresetOptions(chapterPreset, chapter.sheetPreset ? `Sheet (${chapter.sheetPreset})` : 'Run preset');
+            chapterPreset.value = chapter.preset || '';
+            chapterPreset.addEventListener('click', (e) => e.stopPropagation());
+            chapterPreset.addEventListener('change', () => {
+                chapter.preset = chapterPreset.value || undefined;
+                log(`Preset for "${chapter.title}" set to ${chapter.preset || chapter.sheetPreset || 'the run preset'}.`);
+                refreshOutputPreview();
+            });
 
             // Status
             const chapterStatus = document.createElement('span');
@@ -372,13 +854,333 @@ document.addEventListener('DOMContentLoaded', () => {
             });
 
             chapterItem.appendChild(checkboxContainer);
+            chapterItem.appendChild(createChapterThumbs(chapter));
             chapterItem.appendChild(chapterInfo);
+            chapterItem.appendChild(chapterPreset);
             chapterItem.appendChild(chapterStatus);
             chapterListDiv.appendChild(chapterItem);
         });
+
+        refreshOutputPreview();
+        refreshThumbnails();
+    }
+
+    // --- Chapter Editing ---
+
+    // The edits themselves are lib/chapteredits.js's, which index.html loads ahead of this file.
+    // Timecode here is the source's own: its start timecode plus the frame, drop-frame when the
+    // source's is.
+    const { chapterFrameRate, chapterFrames, setChapterFrames, renameChapter, resetChapterEdits } = chapterEdits;
+    const editingChapters = new Set();
+    let timeDisplay = 'timecode'; // or 'frames'
+    let splitCount = 0;
+
+    // The frame on the source's clock, counted by lib/timecode.js (which index.html loads too).
+    function formatFrame(frame, chapter) {
+        if (timeDisplay === 'frames') return String(frame);
+        const { startFrame = 0, dropFrame = false } = chapter.timecode || {};
+        return timecode.framesToTimecode(startFrame + frame, chapterFrameRate(chapter), dropFrame);
+    }
+
+    // Reads a frame number or a source timecode ("HH:MM:SS:FF", "HH:MM:SS;FF" for drop-frame).
+    // Throws on anything else.
+    function parseFrame(text, chapter) {
+        const value = text.trim();
+        if (/^\d+$/.test(value)) return parseInt(value, 10);
+        const match = value.match(/^(\d+):(\d{2}):(\d{2})[:;](\d{2})$/);
+        if (!match) throw new Error(`"${text}" is neither a frame number nor a timecode (HH:MM:SS:FF).`);
+        const nominalRate = Math.round(chapterFrameRate(chapter));
+        if (Number(match[4]) >= nominalRate) throw new Error(`"${text}" has more than ${nominalRate} frames in a second.`);
+        const { startFrame = 0, dropFrame = false } = chapter.timecode || {};
+        // Read on the source's clock, whichever separator was typed
+        const sourceTimecode = `${match[1]}:${match[2]}:${match[3]}${dropFrame ? ';' : ':'}${match[4]}`;
+        return timecode.timecodeToFrames(sourceTimecode, chapterFrameRate(chapter)) - startFrame;
+    }
+
+    function mergeWithNext(index) {
+        const next = chapterEdits.mergeWithNext(chapters, index);
+        editingChapters.delete(next.id);
+    }
+
+    function splitChapter(index, frame) {
+        chapterEdits.splitChapter(chapters, index, frame, `${chapters[index].id}.${++splitCount}`);
+    }
+
+    function describeEdit(edit) {
+        if (edit.type === 'trim') return `${edit.point.toUpperCase()} ${edit.from} -> ${edit.to}`;
+        if (edit.type === 'rename') return `Renamed "${edit.from}" -> "${edit.to}"`;
+        if (edit.type === 'merge') return `Merged with ${edit.with}`;
+        if (edit.type === 'split') return `Split at frame ${edit.frame}`;
+        return 'Reset to the marker';
+    }
+
+    // Runs one edit from the editor, then redraws the list. Edits are refused while processing.
+    function runEdit(action) {
+        if (isProcessing) return;
+        try {
+            action();
+        } catch (error) {
+            log(`[WARNING] ${error.message}`);
+            statusDiv.textContent = error.message;
+            return;
+        }
+        renderChapterList();
+        updateButtonStates();
+    }
+
+    function createChapterTimes(chapter) {
+        const { inFrame, outFrame } = chapterFrames(chapter);
+        const edits = chapter.edits || [];
+
+        const times = document.createElement('div');
+        times.className = 'chapter-times';
+        const text = document.createElement('span');
+        text.className = 'chapter-times-text';
+        text.textContent = `IN ${formatFrame(inFrame, chapter)}  OUT ${formatFrame(outFrame, chapter)}  ${outFrame - inFrame + 1}f`;
+        text.title = ['Click to switch between timecode and frames', ...edits.map(describeEdit)].join('\n');
+        text.addEventListener('click', (e) => {
+            e.stopPropagation();
+            timeDisplay = timeDisplay === 'timecode' ? 'frames' : 'timecode';
+            renderChapterList();
+        });
+        times.appendChild(text);
+
+        if (edits.length > 0) {
+            const edited = document.createElement('span');
+            edited.className = 'chapter-edited';
+            edited.textContent = 'EDITED';
+            edited.title = edits.map(describeEdit).join('\n');
+            times.appendChild(edited);
+        }
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'chapter-edit-btn';
+        editBtn.textContent = editingChapters.has(chapter.id) ? 'DONE' : 'EDIT';
+        editBtn.disabled = isProcessing;
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (editingChapters.has(chapter.id)) editingChapters.delete(chapter.id);
+            else editingChapters.add(chapter.id);
+            renderChapterList();
+        });
+        times.appendChild(editBtn);
+        return times;
+    }
+
+    function createEditButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'chapter-edit-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', () => runEdit(onClick));
+        return button;
+    }
+
+    function createEditInput(value, placeholder, onChange) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chapter-edit-input';
+        input.value = value;
+        input.placeholder = placeholder;
+        input.addEventListener('change', () => runEdit(() => onChange(input.value)));
+        return input;
+    }
+
+    function createEditRow(label, ...controls) {
+        const row = document.createElement('div');
+        row.className = 'chapter-edit-row';
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label;
+        row.appendChild(labelEl);
+        controls.forEach(control => row.appendChild(control));
+        return row;
+    }
+
+    // Name, in/out with one-frame nudges, split and merge for one chapter.
+    function createChapterEditor(chapter, index) {
+        const { inFrame, outFrame } = chapterFrames(chapter);
+        const next = chapters[index + 1];
+
+        const editor = document.createElement('div');
+        editor.className = 'chapter-edit';
+        editor.addEventListener('click', (e) => e.stopPropagation()); // Editing does not toggle the row
+
+        editor.appendChild(createEditRow('NAME',
+            createEditInput(chapter.title, 'Guide name', value => renameChapter(chapter, value))));
+        editor.appendChild(createEditRow('IN',
+            createEditButton('-1', 'One frame earlier', () => setChapterFrames(chapter, inFrame - 1, outFrame)),
+            createEditInput(formatFrame(inFrame, chapter), 'Frame or HH:MM:SS:FF', value => setChapterFrames(chapter, parseFrame(value, chapter), outFrame)),
+            createEditButton('+1', 'One frame later', () => setChapterFrames(chapter, inFrame + 1, outFrame))));
+        editor.appendChild(createEditRow('OUT',
+            createEditButton('-1', 'One frame earlier', () => setChapterFrames(chapter, inFrame, outFrame - 1)),
+            createEditInput(formatFrame(outFrame, chapter), 'Last frame or HH:MM:SS:FF', value => setChapterFrames(chapter, inFrame, parseFrame(value, chapter))),
+            createEditButton('+1', 'One frame later', () => setChapterFrames(chapter, inFrame, outFrame + 1))));
+
+        const splitInput = document.createElement('input');
+        splitInput.type = 'text';
+        splitInput.className = 'chapter-edit-input';
+        splitInput.placeholder = 'First frame of the second part';
+        const mergeBtn = createEditButton('MERGE WITH NEXT', 'Extend this chapter to the end of the next one and remove that one', () => mergeWithNext(index));
+        mergeBtn.disabled = !next || next.sourceFile !== chapter.sourceFile;
+        const resetBtn = createEditButton('RESET', 'Back to the marker\'s in/out and name', () => resetChapterEdits(chapter));
+        resetBtn.disabled = !chapter.marker;
+        editor.appendChild(createEditRow('SPLIT AT',
+            splitInput,
+            createEditButton('SPLIT', 'Cut the chapter in two before this frame', () => splitChapter(index, parseFrame(splitInput.value, chapter))),
+            mergeBtn,
+            resetBtn));
+        return editor;
+    }
+
+    // --- Thumbnails & Preview Player ---
+
+    // Poster frames of each chapter's first and last frame, and a player for its range. main renders
+    // both with ffmpeg (lib/preview.js); nothing is requested while processing.
+    let thumbnailRequest = 0;
+    let previewChapterId = null;
+
+    // What main needs to render a chapter's frames, from its current in/out (edits included).
+    function chapterRange(chapter) {
+        const frameRate = chapterFrameRate(chapter);
+        const { inFrame, outFrame } = chapterFrames(chapter);
+        return {
+            key: `${chapter.sourceFile}|${inFrame}|${outFrame}`,
+            sourceFile: chapter.sourceFile,
+            startTime: inFrame / frameRate,
+            lastFrameTime: outFrame / frameRate,
+            endTime: (outFrame + 1) / frameRate,
+        };
+    }
+
+    function createChapterThumbs(chapter) {
+        const thumbs = document.createElement('div');
+        thumbs.className = 'chapter-thumbs';
+        thumbs.title = 'Click to preview the chapter';
+        ['first', 'last'].forEach(which => {
+            const img = document.createElement('img');
+            img.className = `chapter-thumb chapter-thumb-${which}`;
+            img.alt = '';
+            thumbs.appendChild(img);
+        });
+        showThumbnails(thumbs, chapter);
+        thumbs.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isProcessing) return;
+            previewChapterId = previewChapterId === chapter.id ? null : chapter.id;
+            renderChapterList();
+        });
+        return thumbs;
+    }
+
+    function showThumbnails(thumbs, chapter) {
+        const current = chapter.thumbnails && chapter.thumbnails.key === chapterRange(chapter).key ? chapter.thumbnails : null;
+        ['first', 'last'].forEach(which => {
+            const img = thumbs.querySelector(`.chapter-thumb-${which}`);
+            if (current && current[which]) img.src = current[which];
+            else img.removeAttribute('src');
+        });
+        thumbs.classList.toggle('chapter-thumbs-error', !!(current && current.error));
+    }
+
+    // Fetches missing or outdated poster frames one chapter at a time, top to bottom. A newer call
+    // (after an edit or a new analysis) takes over from an older one.
+    async function refreshThumbnails() {
+        const request = ++thumbnailRequest;
+        for (const chapter of [...chapters]) {
+            if (isProcessing || request !== thumbnailRequest) return;
+            const range = chapterRange(chapter);
+            if (chapter.thumbnails && chapter.thumbnails.key === range.key) continue;
+            try {
+                const { first, last } = await window.electronAPI.chapterThumbnails(range);
+                chapter.thumbnails = { key: range.key, first, last };
+            } catch (error) {
+                log(`[WARNING] No poster frames for "${chapter.title}": ${error.message}`);
+                chapter.thumbnails = { key: range.key, error: error.message };
+            }
+            const chapterItem = chapterListDiv.querySelector(`[data-chapter-id="${chapter.id}"]`);
+            if (chapterItem) showThumbnails(chapterItem.querySelector('.chapter-thumbs'), chapter);
+        }
+    }
+
+    // Plays the chapter's range from a proxy main renders on demand.
+    function createChapterPlayer(chapter) {
+        const player = document.createElement('div');
+        player.className = 'chapter-player';
+        player.addEventListener('click', (e) => e.stopPropagation()); // Playing does not toggle the row
+        const status = document.createElement('div');
+        status.className = 'chapter-player-status';
+        status.textContent = 'Preparing preview...';
+        player.appendChild(status);
+
+        const range = chapterRange(chapter);
+        window.electronAPI.chapterPreview(range).then(url => {
+            if (previewChapterId !== chapter.id || chapterRange(chapter).key !== range.key) return;
+            const video = document.createElement('video');
+            video.src = url;
+            video.controls = true;
+            video.autoplay = true;
+            status.remove();
+            player.appendChild(video);
+        }).catch(error => {
+            log(`[ERROR] Could not prepare the preview of "${chapter.title}": ${error.message}`);
+            status.textContent = `Preview failed: ${error.message}`;
+        });
+        return player;
+    }
+
+    // --- Output Preview ---
+
+    let previewRequest = 0;
+
+    // Asks main where each chapter would be written and shows it in place of the sheet PATH. Skipped
+    // while processing: the next free version has already moved on by then.
+    async function refreshOutputPreview() {
+        if (isProcessing || chapters.length === 0) return;
+        const request = ++previewRequest;
+        let outputs;
+        try {
+            ({ outputs } = await window.electronAPI.previewOutputs(chapters, presetSelect.value));
+        } catch (error) {
+            if (request !== previewRequest) return;
+            log(`[ERROR] Output naming: ${error.message}`);
+            outputs = chapters.map(chapter => ({ chapterId: chapter.id, error: error.message }));
+        }
+        if (request !== previewRequest) return; // A newer preview is on its way
+        outputs.forEach(output => {
+            const chapter = chapters.find(c => c.id === output.chapterId);
+            if (!chapter) return;
+            chapter.outputPreview = output;
+            const chapterItem = chapterListDiv.querySelector(`[data-chapter-id="${chapter.id}"]`);
+            if (chapterItem) showOutputPreview(chapterItem.querySelector('.chapter-path'), chapter);
+        });
+    }
+
+    function showOutputPreview(pathEl, chapter) {
+        const preview = chapter.outputPreview;
+        if (!preview) {
+            pathEl.textContent = chapter.path || 'Path not available';
+            pathEl.title = '';
+            pathEl.classList.remove('chapter-path-warning');
+            return;
+        }
+        if (preview.error) {
+            pathEl.textContent = `Cannot name output: ${preview.error}`;
+            pathEl.title = '';
+            pathEl.classList.add('chapter-path-warning');
+            return;
+        }
+        const notes = [preview.path];
+        if (preview.unmatched) notes.push('No PATH in the shot list: goes to the fallback folder.');
+        if (preview.missing.length > 0) notes.push(`Empty tokens: ${preview.missing.map(token => `{${token}}`).join(', ')}`);
+        if (preview.action === 'overwrite') notes.push('Replaces the existing guide.');
+        pathEl.textContent = preview.action === 'overwrite' ? `${preview.relativePath} (overwrite)` : preview.relativePath;
+        pathEl.title = notes.join('\n');
+        pathEl.classList.toggle('chapter-path-warning', preview.unmatched || preview.missing.length > 0);
     }
 
-    window.electronAPI.onChapterUpdate((update) => {
+    window.electronAPI.onChapterUpdate((update) => applyChapterUpdate(update));
+
+    function applyChapterUpdate(update) {
         const chapterItem = chapterListDiv.querySelector(`[data-chapter-id="${update.chapterId}"]`);
         if (chapterItem) {
             const chapter = chapters.find(c => c.id === update.chapterId);
@@ -388,38 +1190,193 @@ document.addEventListener('DOMContentLoaded', () => {
                 const chapterNameEl = chapterItem.querySelector('.chapter-name');
                 const filePrefix = filePaths.length > 1 ? `[${chapter.fileName.split(/[\\/]/).pop()}] ` : '';
                 chapterNameEl.textContent = `${filePrefix}${update.finalName}`;
-                chapter.title = update.finalName;
+                chapter.finalName = update.finalName;
             }
 
             const statusEl = chapterItem.querySelector('.chapter-status');
             statusEl.textContent = update.status;
-            statusEl.className = `chapter-status chapter-status-${update.status.toLowerCase()}`;
+            statusEl.className = `chapter-status chapter-status-${update.status.toLowerCase().replace(/\s+/g, '-')}`;
+            statusEl.title = [...(update.qcFailures || []), ...(update.qcWarnings || []).map(reason => `Warning: ${reason}`)].join('\n');
             
             if (update.message) {
                  statusDiv.textContent = update.message;
             }
 
-            if (update.status === 'Done') {
+            if (update.status === 'QC Failed') {
+                log(`Chapter "${chapter.title}" failed QC. Its guide was kept but is not reported to the shot list.`);
+            }
+
+            if (update.status === 'Done' || update.status === 'QC Failed') {
                 const durationEl = document.createElement('div');
                 durationEl.className = 'chapter-duration';
                 durationEl.textContent = `Duration: ${update.durationSeconds}s / ${update.durationFrames}f`;
                 
                 let chapterInfo = chapterItem.querySelector('.chapter-info');
                 chapterInfo.appendChild(durationEl);
+                chapterItem.querySelector('.chapter-progress .progress-bar').style.width = '100%';
 
-                if (chapter.originalTitle) {
-                    log(`Chapter "${chapter.title}" finished. Sending data to Google Sheet for ID "${chapter.originalTitle}".`);
-                    window.electronAPI.updateSheetData({
-                        originalTitle: chapter.originalTitle,
-                        dur_f: update.durationFrames,
-                        dur_s: update.durationSeconds,
-                        guide_version: update.guide_version
-                    });
+                if (update.sheetReported || update.status !== 'Done') {
+                    return;
+                } else if (chapter.splitFrom) {
+                    log(`Chapter "${chapter.title}" finished. It was split off "${chapter.sheetId}", whose row keeps the first part's data.`);
+                } else if (chapter.originalTitle) {
+                    log(`Chapter "${chapter.title}" finished. Sending data to the shot list for ID "${chapter.originalTitle}".`);
+                    chapter.sheetSync = { state: 'pending' };
+                    showSheetSync(chapterItem.querySelector('.chapter-sync'), chapter.sheetSync);
+                    window.electronAPI.updateSheetData(chapterEdits.sheetUpdate(chapter, update));
                 } else {
-                    log(`Chapter "${chapter.title}" finished, but has no originalTitle. Cannot update Google Sheet.`);
+                    log(`Chapter "${chapter.title}" finished, but has no originalTitle. Cannot update the shot list.`);
                 }
             }
         }
+    }
+
+    // --- Sheet Write-back Sync ---
+
+    const failedSyncIds = new Set();
+
+    function showSheetSync(syncEl, sync) {
+        syncEl.className = `chapter-sync chapter-sync-${sync.state}`;
+        syncEl.textContent = `SHEET: ${sync.state.toUpperCase()}`;
+        const retryNote = sync.state === 'pending' && sync.nextAttemptAt && sync.attempts > 0
+            ? ` Next attempt at ${new Date(sync.nextAttemptAt).toLocaleTimeString()}.` : '';
+        syncEl.title = sync.state === 'failed'
+            ? `${sync.lastError || 'Update failed'}. Click to retry.`
+            : (sync.lastError ? `Last attempt failed: ${sync.lastError}.${retryNote}` : '');
+    }
+
+    function updateRetrySyncButton() {
+        retrySyncBtn.classList.toggle('hidden', failedSyncIds.size === 0);
+        retrySyncBtn.textContent = `RETRY ${failedSyncIds.size} FAILED`;
+    }
+
+    function recordSheetSync(sync) {
+        if (sync.state === 'failed') {
+            failedSyncIds.add(sync.id);
+        } else {
+            failedSyncIds.delete(sync.id);
+        }
+        updateRetrySyncButton();
+
+        chapters.filter(c => c.originalTitle === sync.id && c.sheetSync).forEach(chapter => {
+            chapter.sheetSync = sync;
+            const chapterItem = chapterListDiv.querySelector(`[data-chapter-id="${chapter.id}"]`);
+            if (chapterItem) showSheetSync(chapterItem.querySelector('.chapter-sync'), sync);
+        });
+    }
+
+    window.electronAPI.onSheetSyncUpdate(recordSheetSync);
+
+    retrySyncBtn.addEventListener('click', async () => {
+        const count = await window.electronAPI.retrySheetSync();
+        log(`Requeued ${count} failed sheet update(s).`);
+    });
+
+    // Rows that failed in an earlier session can still be retried from here.
+    window.electronAPI.listSheetSync().then(items => items.forEach(recordSheetSync));
+
+    // --- Watch Folder Activity ---
+
+    const WATCH_ACTIVITY_SHOWN = 50;
+    let watchActivity = [];
+
+    function renderWatchActivity() {
+        watchActivityDiv.innerHTML = '';
+        if (watchActivity.length === 0) {
+            watchActivityDiv.textContent = 'NOTHING PICKED UP YET';
+            return;
+        }
+        watchActivity.slice(-WATCH_ACTIVITY_SHOWN).reverse().forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `watch-item watch-item-${entry.state}`;
+            const time = new Date(entry.finishedAt || entry.startedAt || entry.detectedAt).toLocaleString();
+            const percent = entry.state === 'processing' && entry.percent !== null && entry.percent !== undefined ? ` ${entry.percent}%` : '';
+            item.textContent = `${entry.state.toUpperCase()}${percent}  ${entry.file}  [${entry.profile}]`;
+            const detail = document.createElement('div');
+            detail.className = 'watch-item-detail';
+            detail.textContent = [time, entry.message].filter(Boolean).join(' - ');
+            item.appendChild(detail);
+            item.title = entry.movedTo ? `Moved to ${entry.movedTo}` : entry.path;
+            watchActivityDiv.appendChild(item);
+        });
+    }
+
+    window.electronAPI.onWatchActivity((entry) => {
+        const index = watchActivity.findIndex(item => item.id === entry.id);
+        if (index >= 0) {
+            watchActivity[index] = entry;
+        } else {
+            watchActivity.push(entry);
+        }
+        renderWatchActivity();
+    });
+
+    window.electronAPI.listWatchActivity().then(entries => {
+        watchActivity = entries;
+        renderWatchActivity();
+    });
+
+    function formatEta(seconds) {
+        if (seconds === null || seconds === undefined || !isFinite(seconds)) return '--:--';
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    window.electronAPI.onChapterProgress((update) => {
+        const chapterItem = chapterListDiv.querySelector(`[data-chapter-id="${update.chapterId}"]`);
+        if (!chapterItem) return;
+        const progressEl = chapterItem.querySelector('.chapter-progress');
+        progressEl.classList.remove('hidden');
+        progressEl.querySelector('.progress-bar').style.width = `${update.percent.toFixed(1)}%`;
+        const speed = update.speed ? ` @ ${update.speed.toFixed(2)}x` : '';
+        progressEl.title = `${update.percent.toFixed(1)}%${speed}, ETA ${formatEta(update.etaSeconds)}`;
+
+        const statusEl = chapterItem.querySelector('.chapter-status');
+        if (statusEl.classList.contains('chapter-status-processing')) {
+            statusEl.textContent = `${Math.floor(update.percent)}%`;
+        }
+    });
+
+    window.electronAPI.onBatchProgress((update) => {
+        batchProgress.classList.remove('hidden');
+        batchProgressBar.style.width = `${update.percent.toFixed(1)}%`;
+        batchProgressLabel.textContent = `${update.completed} / ${update.total} - ${Math.floor(update.percent)}% - ETA ${formatEta(update.etaSeconds)}`;
+    });
+
+    // An interrupted batch from the job journal, which the user chose to resume at startup. Chapters
+    // whose outputs were recovered still owe the sheet their durations.
+    window.electronAPI.onBatchResumed(({ batchId, chapters: batchChapters }) => {
+        const remaining = batchChapters.filter(c => c.status !== 'done' && c.status !== 'failed');
+        filePaths = [...new Set(batchChapters.map(c => c.sourceFile))];
+        filePaths.forEach(path => { markerFiles[path] = markerFiles[path] || 'auto'; });
+        chapters = batchChapters.map(chapter => ({ ...chapter, selected: remaining.includes(chapter) }));
+        dragDropArea.classList.add('shrunk');
+        checkFiles(filePaths);
+        renderChapterList();
+
+        chapters.filter(c => c.status === 'done').forEach(chapter => {
+            const title = chapter.output ? chapter.output.finalName : chapter.title;
+            applyChapterUpdate({
+                chapterId: chapter.id,
+                status: 'Done',
+                finalName: title,
+                durationSeconds: chapter.durationSeconds,
+                durationFrames: chapter.durationFrames,
+                guide_version: chapter.output ? chapter.output.version : undefined,
+                sheetReported: true, // Sent when it finished, or when the batch was recovered (main.js)
+            });
+        });
+
+        if (remaining.length === 0) {
+            statusDiv.textContent = 'The interrupted batch had already finished. Recovered outputs were reported.';
+            updateButtonStates();
+            return;
+        }
+        log(`Resuming batch ${batchId}: ${remaining.length} of ${batchChapters.length} chapter(s) left.`);
+        startProcessing({ batchId });
     });
 
     window.electronAPI.onProcessingComplete(() => {
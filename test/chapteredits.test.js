@@ -0,0 +1,62 @@
+// test/chapteredits.test.js - Split and merge edits, and what they report to the shot list
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { chapterFrames, mergeWithNext, splitChapter, sheetIdOf, sheetUpdate } = require('../lib/chapteredits');
+
+const RESULT = { durationFrames: 24, durationSeconds: 1, guide_version: 2 };
+
+// Two 2 s chapters of one reel at 24 fps, as analysed and looked up in the shot list.
+function reel() {
+    return [
+        { id: 'ch-reel.mov-0', title: 'Opening', originalTitle: 'SH010', sourceFile: '/reel.mov', frameRate: 24, start_time: '0.000000', end_time: '2.000000' },
+        { id: 'ch-reel.mov-1', title: 'Chase', originalTitle: 'SH020', sourceFile: '/reel.mov', frameRate: 24, start_time: '2.000000', end_time: '4.000000' },
+    ];
+}
+
+describe('chapter edits', () => {
+    it('splits a chapter into a part that reports and one that keeps the parent\'s row quietly', () => {
+        const chapters = reel();
+        const second = splitChapter(chapters, 0, 24, 'ch-reel.mov-0.1');
+        assert.deepStrictEqual(chapters.map(chapter => chapter.id), ['ch-reel.mov-0', 'ch-reel.mov-0.1', 'ch-reel.mov-1']);
+        assert.deepStrictEqual(chapterFrames(chapters[0]), { inFrame: 0, outFrame: 23 });
+        assert.deepStrictEqual(chapterFrames(second), { inFrame: 24, outFrame: 47 });
+        assert.strictEqual(second.title, 'Opening_B');
+
+        assert.strictEqual(sheetIdOf(second), 'SH010');
+        assert.deepStrictEqual(sheetUpdate(chapters[0], RESULT), { originalTitle: 'SH010', dur_f: 24, dur_s: 1, guide_version: 2 });
+        assert.strictEqual(sheetUpdate(second, RESULT), null);
+    });
+
+    it('keeps the parent\'s row for a part split off a part', () => {
+        const chapters = reel();
+        const second = splitChapter(chapters, 0, 24, 'ch-reel.mov-0.1');
+        const third = splitChapter(chapters, 1, 36, 'ch-reel.mov-0.2');
+        assert.strictEqual(sheetIdOf(third), 'SH010');
+        assert.strictEqual(third.splitFrom, second.id);
+        assert.strictEqual(sheetUpdate(third, RESULT), null);
+    });
+
+    it('reports a merge once, for the chapter that stays', () => {
+        const chapters = reel();
+        const removed = mergeWithNext(chapters, 0);
+        assert.strictEqual(removed.originalTitle, 'SH020');
+        assert.deepStrictEqual(chapters.map(chapter => chapter.id), ['ch-reel.mov-0']);
+        assert.deepStrictEqual(chapterFrames(chapters[0]), { inFrame: 0, outFrame: 95 });
+        assert.deepStrictEqual(sheetUpdate(chapters[0], { ...RESULT, durationFrames: 96, durationSeconds: 4 }), { originalTitle: 'SH010', dur_f: 96, dur_s: 4, guide_version: 2 });
+    });
+
+    it('merges a split part back into its parent', () => {
+        const chapters = reel();
+        splitChapter(chapters, 0, 24, 'ch-reel.mov-0.1');
+        mergeWithNext(chapters, 0);
+        assert.deepStrictEqual(chapters.map(chapter => chapter.id), ['ch-reel.mov-0', 'ch-reel.mov-1']);
+        assert.deepStrictEqual(chapterFrames(chapters[0]), { inFrame: 0, outFrame: 47 });
+        assert.strictEqual(sheetUpdate(chapters[0], RESULT).originalTitle, 'SH010');
+    });
+
+    it('refuses a merge across files', () => {
+        const chapters = reel();
+        chapters[1].sourceFile = '/other.mov';
+        assert.throws(() => mergeWithNext(chapters, 0), /same file/);
+    });
+});
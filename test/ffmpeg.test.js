@@ -0,0 +1,29 @@
+// test/ffmpeg.test.js - Job handles: which jobs a stop reaches
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createJob, releaseJob, killFfmpeg } = require('../lib/ffmpeg');
+
+describe('killFfmpeg', () => {
+    it('stops every encode job but leaves thumbnail and preview jobs running', () => {
+        const encode = createJob('SH010.mp4');
+        const preview = createJob('SH010_proxy.mp4', { encode: false });
+        try {
+            killFfmpeg('stop');
+            assert.strictEqual(encode.killReason, 'stop');
+            assert.strictEqual(preview.killReason, null);
+        } finally {
+            releaseJob(encode);
+            releaseJob(preview);
+        }
+    });
+
+    it('stops a given job whatever its kind', () => {
+        const preview = createJob('SH010_thumb.jpg', { encode: false });
+        try {
+            killFfmpeg('stop', preview);
+            assert.strictEqual(preview.killReason, 'stop');
+        } finally {
+            releaseJob(preview);
+        }
+    });
+});
@@ -0,0 +1,81 @@
+// test/journal.test.js - Settling the chapters an interrupted batch left behind
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLogSink } = require('../lib/logger');
+const { createJournal, recoverBatch, removeTempFiles } = require('../lib/journal');
+const { recordOutput } = require('../lib/manifest');
+
+setLogSink(() => {});
+
+const STARTED_AT = '2026-10-19T10:00:00.000Z';
+
+let dir;
+
+// An interrupted batch whose chapters were encoding `SH010_v001.mp4`, ... into `dir`.
+function interruptedBatch(names) {
+    const journal = createJournal(dir);
+    const journalBatch = journal.createBatch({
+        profile: '3212',
+        baseDir: dir,
+        presetName: 'animatic-1080p',
+        chapters: names.map(name => ({ id: name, title: name, originalTitle: name })),
+    });
+    journalBatch.batch.chapters.forEach((chapter, i) => {
+        const finalName = `${names[i]}_v001`;
+        journalBatch.updateChapter(chapter.jobId, {
+            status: 'processing',
+            output: { dir, path: path.join(dir, `${finalName}.mp4`), finalName, version: 1, action: 'new', startedAt: STARTED_AT },
+        });
+    });
+    return journalBatch;
+}
+
+function writeGuide(name, record) {
+    fs.writeFileSync(path.join(dir, `${name}_v001.mp4`), 'guide');
+    fs.writeFileSync(path.join(dir, `${name}_v001.mp4.json`), '{}');
+    if (record) recordOutput(dir, `${name}_v001.mp4`, { id: name, version: 1, durationSeconds: 5, durationFrames: 120, ...record });
+}
+
+describe('journal recovery', () => {
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-')); });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('adopts a guide that got as far as its manifest record', () => {
+        const journalBatch = interruptedBatch(['SH010']);
+        writeGuide('SH010', { createdAt: '2026-10-19T10:05:00.000Z' });
+        const adopted = recoverBatch(journalBatch);
+        assert.deepStrictEqual(adopted.map(chapter => chapter.id), ['SH010']);
+        assert.strictEqual(adopted[0].status, 'done');
+        assert.strictEqual(adopted[0].durationFrames, 120);
+        assert.ok(fs.existsSync(path.join(dir, 'SH010_v001.mp4')));
+    });
+
+    it('adopts a guide that failed its QC as failed', () => {
+        const journalBatch = interruptedBatch(['SH010']);
+        const qc = { passed: false, checks: [{ name: 'frames', passed: false, detail: '141 frames, expected 139' }] };
+        writeGuide('SH010', { createdAt: '2026-10-19T10:05:00.000Z', qc });
+        const [chapter] = recoverBatch(journalBatch);
+        assert.strictEqual(chapter.status, 'failed');
+        assert.strictEqual(chapter.error, 'QC failed: 141 frames, expected 139');
+    });
+
+    it('queues a guide again when it has no record of this run', () => {
+        const journalBatch = interruptedBatch(['SH010', 'SH020']);
+        writeGuide('SH010', null);
+        // The record of the guide an overwrite replaced, from before the run
+        writeGuide('SH020', { createdAt: '2026-10-18T09:00:00.000Z' });
+        assert.deepStrictEqual(recoverBatch(journalBatch), []);
+        assert.deepStrictEqual(journalBatch.remainingChapters().map(chapter => chapter.status), ['pending', 'pending']);
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.startsWith('SH')), []);
+    });
+
+    it('removes the slate overlay texts but keeps the segments for a resume', () => {
+        const files = ['overlay_SH010_v001_0.txt', 'overlay_SH010_v001_1.txt', 'seg_SH010_v001_000.mp4', 'overlay_SH010_v001_B_0.txt'];
+        files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+        removeTempFiles({ output: { dir, finalName: 'SH010_v001' } });
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['overlay_SH010_v001_B_0.txt', 'seg_SH010_v001_000.mp4']);
+    });
+});
@@ -0,0 +1,50 @@
+// test/manifest.test.js - Finding a chapter's unchanged guide in a directory's manifest
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordOutput, findIdenticalOutput } = require('../lib/manifest');
+
+let dir;
+
+// Writes a guide file and its manifest record.
+function writeGuide(fileName, record) {
+    fs.writeFileSync(path.join(dir, fileName), '');
+    recordOutput(dir, fileName, { id: 'SH010', ...record });
+}
+
+describe('manifest', () => {
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-')); });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('finds the latest guide when its fingerprint matches', () => {
+        writeGuide('SH010_v001.mp4', { version: 1, fingerprint: 'A' });
+        writeGuide('SH010_v002.mp4', { version: 2, fingerprint: 'B' });
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', 'B').fileName, 'SH010_v002.mp4');
+    });
+
+    it('does not go back to an older version that matches', () => {
+        writeGuide('SH010_v001.mp4', { version: 1, fingerprint: 'A' });
+        writeGuide('SH010_v002.mp4', { version: 2, fingerprint: 'B' });
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', 'A'), null);
+    });
+
+    it('passes over a latest version that is gone from disk or failed its QC', () => {
+        writeGuide('SH010_v001.mp4', { version: 1, fingerprint: 'A' });
+        writeGuide('SH010_v002.mp4', { version: 2, fingerprint: 'B' });
+        fs.rmSync(path.join(dir, 'SH010_v002.mp4'));
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', 'A').version, 1);
+
+        writeGuide('SH010_v003.mp4', { version: 3, fingerprint: 'A', qc: { passed: false } });
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', 'A'), null);
+    });
+
+    it('keeps chapters apart', () => {
+        writeGuide('SH010_v001.mp4', { version: 1, fingerprint: 'A' });
+        recordOutput(dir, 'SH020_v004.mp4', { id: 'SH020', version: 4, fingerprint: 'C' });
+        fs.writeFileSync(path.join(dir, 'SH020_v004.mp4'), '');
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', 'A').version, 1);
+        assert.strictEqual(findIdenticalOutput(dir, 'SH010', null), null);
+    });
+});
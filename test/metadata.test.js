@@ -0,0 +1,309 @@
+// test/metadata.test.js - Shot metadata providers against local stand-ins for their backends
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLogSink } = require('../lib/logger');
+const { createProvider } = require('../lib/metadata');
+
+setLogSink(() => {});
+
+const DURATIONS = { durationFrames: 216, durationSeconds: 9 };
+
+// An HTTP server on a free local port. `handler(req, body)` returns { status, body, headers }; every
+// request is recorded as { method, url, headers, body } with the body parsed as JSON when it is.
+function startStandIn(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { text += chunk; });
+        req.on('end', () => {
+            let body = text;
+            try {
+                body = text ? JSON.parse(text) : null;
+            } catch (error) {
+                // Not JSON; keep the text
+            }
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            const reply = handler(request);
+            const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+            res.writeHead(reply.status || 200, reply.headers || { 'Content-Type': 'application/json' });
+            res.end(payload);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+// The CRC-32 a zip entry carries.
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Writes a stored (uncompressed) zip of `files`, entry name -> text.
+function writeZip(filePath, files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = Buffer.from(text);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    fs.writeFileSync(filePath, Buffer.concat([...locals, directory, end]));
+}
+
+// Writes a workbook with a worksheet per entry of `sheets` (name -> rows of cell text), in order.
+function writeXlsx(filePath, sheets) {
+    const names = Object.keys(sheets);
+    const cellRef = (row, column) => `${String.fromCharCode(65 + column)}${row + 1}`;
+    const files = {
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+            + names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+            + '</sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + names.map((name, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+            + '</Relationships>',
+    };
+    names.forEach((name, i) => {
+        const rows = sheets[name].map((cells, r) => `<row r="${r + 1}">`
+            + cells.map((text, c) => `<c r="${cellRef(r, c)}" t="inlineStr"><is><t>${text}</t></is></c>`).join('')
+            + '</row>');
+        files[`xl/worksheets/sheet${i + 1}.xml`] = '<?xml version="1.0" encoding="UTF-8"?>'
+            + `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join('')}</sheetData></worksheet>`;
+    });
+    writeZip(filePath, files);
+}
+
+describe('google-sheet provider', () => {
+    const csv = 'ID,GUIDE_NAME,PATH,NOTES\r\nSH010,opening,seq01,wide\r\nSH020,chase,seq02,\r\n';
+    let standIn;
+
+    before(async () => {
+        standIn = await startStandIn(({ method, url, body }) => {
+            if (method === 'GET' && url === '/sheet.csv') return { body: csv, headers: { 'Content-Type': 'text/csv' } };
+            if (method === 'GET' && url === '/broken.csv') return { status: 500, body: 'down' };
+            // The Apps Script answers a POST with a redirect to the result, fetched with GET.
+            if (method === 'POST' && url === '/exec') {
+                standIn.lastPost = body;
+                return { status: 302, body: '', headers: { Location: '/result' } };
+            }
+            if (method === 'GET' && url === '/result') {
+                const post = standIn.lastPost;
+                if (post.rows) {
+                    return { body: { status: 'success', results: post.rows.map(row => ({ id: row.id, status: row.id === 'SH404' ? 'error' : 'success', message: row.id === 'SH404' ? 'No such row' : 'Updated' })) } };
+                }
+                return { body: post.id === 'SH404' ? { status: 'error', message: 'No such row' } : { status: 'success', message: 'Updated' } };
+            }
+            return { status: 404, body: { message: 'not found' } };
+        });
+    });
+    after(() => standIn.close());
+
+    const provider = () => createProvider({ type: 'google-sheet', sheetId: `${standIn.url}/sheet.csv`, appsScriptUrl: `${standIn.url}/exec`, columnMap: {} });
+
+    it('looks up shots from the CSV export', async () => {
+        const shots = await provider().lookup(['SH010', 'SH999']);
+        assert.deepStrictEqual(shots, { SH010: { guideName: 'opening', path: 'seq01', fields: { notes: 'wide' } } });
+    });
+
+    it('rejects when the export fails', async () => {
+        const broken = createProvider({ type: 'google-sheet', sheetId: `${standIn.url}/broken.csv`, columnMap: {} });
+        await assert.rejects(broken.lookup(null), /status code: 500/);
+    });
+
+    it('writes a result back through the Apps Script', async () => {
+        const result = await provider().reportResult('SH010', DURATIONS, 3);
+        assert.deepStrictEqual(result, { success: true, message: 'Updated' });
+        assert.deepStrictEqual(standIn.lastPost, { id: 'SH010', dur_f: 216, dur_s: 9, guide_v: 3 });
+    });
+
+    it('reports a row the Apps Script refused', async () => {
+        const result = await provider().reportResult('SH404', DURATIONS, 1);
+        assert.deepStrictEqual(result, { success: false, message: 'No such row' });
+    });
+
+    it('writes several results in one request', async () => {
+        const reply = await provider().reportResults([
+            { id: 'SH010', durations: DURATIONS, version: 1 },
+            { id: 'SH404', durations: DURATIONS, version: 1 },
+        ]);
+        assert.strictEqual(reply.supported, true);
+        assert.deepStrictEqual(reply.results, [
+            { id: 'SH010', success: true, message: 'Updated' },
+            { id: 'SH404', success: false, message: 'No such row' },
+        ]);
+    });
+});
+
+describe('rest provider', () => {
+    const TOKEN = 'secret';
+    let standIn;
+
+    before(async () => {
+        standIn = await startStandIn(({ method, url, headers }) => {
+            if (headers.authorization !== `Bearer ${TOKEN}`) return { status: 401, body: { message: 'Unauthorized' } };
+            if (method === 'GET' && url.startsWith('/shots')) {
+                return { body: { shots: [{ id: 'SH010', guide_name: 'opening', path: 'seq01', status: 'wip' }, { id: 'SH020', guideName: 'chase', path: 'seq02' }] } };
+            }
+            if (method === 'POST' && url === '/shots/SH010/result') return { body: { message: 'Stored' } };
+            if (method === 'POST') return { status: 404, body: { message: 'Unknown shot' } };
+            return { status: 404, body: {} };
+        });
+    });
+    after(() => standIn.close());
+
+    const provider = (token = TOKEN) => createProvider({ type: 'rest', source: `${standIn.url}/`, metadataToken: token, columnMap: {} });
+
+    it('looks up shots with the token', async () => {
+        const shots = await provider().lookup(['SH010']);
+        assert.deepStrictEqual(shots, { SH010: { guideName: 'opening', path: 'seq01', fields: { status: 'wip' } } });
+        const request = standIn.requests[standIn.requests.length - 1];
+        assert.strictEqual(request.url, '/shots?ids=SH010');
+    });
+
+    it('rejects a lookup the API refuses', async () => {
+        await assert.rejects(provider('wrong').lookup(null), /status code: 401/);
+    });
+
+    it('posts a result', async () => {
+        const result = await provider().reportResult('SH010', DURATIONS, 2);
+        assert.deepStrictEqual(result, { success: true, message: 'Stored' });
+        const request = standIn.requests[standIn.requests.length - 1];
+        assert.deepStrictEqual(request.body, { id: 'SH010', dur_f: 216, dur_s: 9, guide_v: 2 });
+    });
+
+    it('reports a result the API refused', async () => {
+        const result = await provider().reportResult('SH404', DURATIONS, 1);
+        assert.deepStrictEqual(result, { success: false, message: 'HTTP 404: Unknown shot' });
+    });
+
+    it('reports an API that cannot be reached', async () => {
+        const closed = await startStandIn(() => ({ body: {} }));
+        await closed.close();
+        const unreachable = createProvider({ type: 'rest', source: closed.url, columnMap: {} });
+        const result = await unreachable.reportResult('SH010', DURATIONS, 1);
+        assert.strictEqual(result.success, false);
+        assert.match(result.message, /^Network Error/);
+    });
+});
+
+describe('json provider', () => {
+    let dir;
+    let filePath;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guide-shots-'));
+        filePath = path.join(dir, 'shots.json');
+        fs.writeFileSync(filePath, JSON.stringify({ SH010: { guideName: 'opening', path: 'seq01' }, SH020: { guideName: 'chase', path: 'seq02', skip: 'yes' } }));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const provider = () => createProvider({ type: 'json', source: filePath, columnMap: {} });
+
+    it('looks up shots from the file', async () => {
+        const shots = await provider().lookup(null);
+        assert.deepStrictEqual(shots, {
+            SH010: { guideName: 'opening', path: 'seq01' },
+            SH020: { guideName: 'chase', path: 'seq02', skip: true },
+        });
+    });
+
+    it('writes a result into the shot, keeping the layout', async () => {
+        const result = await provider().reportResult('SH010', DURATIONS, 4);
+        assert.strictEqual(result.success, true);
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        assert.deepStrictEqual(data.SH010, { guideName: 'opening', path: 'seq01', dur_f: 216, dur_s: 9, guide_v: 4 });
+        assert.ok(!fs.existsSync(`${filePath}.tmp`));
+    });
+
+    it('reports a shot that is not in the file', async () => {
+        const result = await provider().reportResult('SH404', DURATIONS, 1);
+        assert.deepStrictEqual(result, { success: false, message: 'No shot with ID "SH404" in shots.json.' });
+    });
+
+    it('reports a file that cannot be read', async () => {
+        const missing = createProvider({ type: 'json', source: path.join(dir, 'missing.json'), columnMap: {} });
+        await assert.rejects(missing.lookup(null), /ENOENT/);
+        assert.strictEqual((await missing.reportResult('SH010', DURATIONS, 1)).success, false);
+    });
+});
+
+describe('spreadsheet provider', () => {
+    let dir;
+    let filePath;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guide-shots-'));
+        filePath = path.join(dir, 'shots.xlsx');
+        writeXlsx(filePath, {
+            Shots: [['ID', 'GUIDE_NAME', 'PATH'], ['SH010', 'opening', 'seq01'], ['SH020', 'chase', 'seq02']],
+            Notes: [['ID', 'GUIDE_NAME', 'PATH'], ['SH010', 'not this one', 'seq09']],
+        });
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // The default profile names its Google Sheet tab, which a local workbook does not have.
+    const provider = sheetName => createProvider({ type: 'spreadsheet', source: filePath, sheetName, columnMap: {} });
+
+    it('reads the first sheet of a workbook without the profile\'s sheet', async () => {
+        const shots = await provider('guide_creator-export').lookup(['SH010']);
+        assert.deepStrictEqual(Object.keys(shots), ['SH010']);
+        assert.strictEqual(shots.SH010.guideName, 'opening');
+        assert.strictEqual(shots.SH010.path, 'seq01');
+    });
+
+    it('reads the sheet the profile names when the workbook has it', async () => {
+        const shots = await provider('notes').lookup(['SH010']);
+        assert.strictEqual(shots.SH010.guideName, 'not this one');
+    });
+
+    it('writes results next to the workbook', async () => {
+        const result = await provider('guide_creator-export').reportResult('SH020', DURATIONS, 2);
+        assert.deepStrictEqual(result, { success: true, message: 'Written to shots.results.csv' });
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'shots.results.csv'), 'utf8'), 'ID,DUR_F,DUR_S,GUIDE_V\r\nSH020,216,9,2\r\n');
+    });
+});
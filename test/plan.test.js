@@ -0,0 +1,45 @@
+// test/plan.test.js - Fingerprinting plan entries whose sources were not hashed up front
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLogSink } = require('../lib/logger');
+const { fingerprintEntry } = require('../lib/plan');
+const { hashSource, outputFingerprint } = require('../lib/manifest');
+
+setLogSink(() => {});
+
+const PRESET = { name: 'animatic-1080p', extension: '.mp4' };
+
+describe('plan', () => {
+    let dir;
+    let source;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-test-'));
+        source = path.join(dir, 'reel.mov');
+        fs.writeFileSync(source, 'not really a movie');
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('hashes the source of an entry planned without it', () => {
+        const entry = { source, sourceHash: null, startTime: 0, endTime: 4, fingerprint: null };
+        fingerprintEntry(entry, PRESET);
+        assert.strictEqual(entry.sourceHash, hashSource(source));
+        assert.strictEqual(entry.fingerprint, outputFingerprint({ sourceHash: entry.sourceHash, startTime: 0, endTime: 4, preset: PRESET }));
+    });
+
+    it('keeps the hash and fingerprint a skip-identical plan made', () => {
+        const entry = { source, sourceHash: 'sha256-sampled:abc', startTime: 0, endTime: 4, fingerprint: 'planned' };
+        fingerprintEntry(entry, PRESET);
+        assert.strictEqual(entry.fingerprint, 'planned');
+    });
+
+    it('leaves both null when the source cannot be read', () => {
+        const entry = { source: path.join(dir, 'missing.mov'), sourceHash: null, startTime: 0, endTime: 4, fingerprint: null };
+        fingerprintEntry(entry, PRESET);
+        assert.strictEqual(entry.sourceHash, null);
+        assert.strictEqual(entry.fingerprint, null);
+    });
+});
@@ -0,0 +1,57 @@
+// test/qc.test.js - Post-encode checks against made-up probes and analysis logs
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createQc, qcFailures, qcWarnings } = require('../lib/qc');
+
+const PRESET = { video: { codec: 'libx264', width: 1920, height: 1080 }, audio: { codec: 'aac' } };
+// A 5 s chapter at 24 fps with 10-frame holds; the picture is trimmed one frame short.
+const EXPECTED = { preset: PRESET, hasVideo: true, hasAudio: true, withChapters: false, title: 'SH010', frameRate: '24/1', holdFrames: 10, chapterFrames: 120, pictureFrames: 119 };
+
+function probe(frames) {
+    return {
+        format: { duration: String(frames / 24) },
+        streams: [
+            { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, nb_frames: String(frames) },
+            { codec_type: 'audio', codec_name: 'aac' },
+        ],
+    };
+}
+
+describe('qc', () => {
+    it('expects the picture as the encode trims it, plus both holds', () => {
+        const qc = createQc(PRESET, EXPECTED);
+        assert.strictEqual(qc.evaluate(probe(139), '').passed, true);
+        assert.deepStrictEqual(qcFailures(qc.evaluate(probe(141), '')), ['141 frames, expected 139 (119 + 2 x 10 hold)']);
+    });
+
+    it('analyses only the chapter part of the picture', () => {
+        const args = createQc(PRESET, EXPECTED).analysisArgs('/out/SH010.mp4').join(' ');
+        assert.match(args, /trim=start_frame=10:end_frame=129,/);
+    });
+
+    it('warns about black and frozen edges without failing the guide', () => {
+        const stderr = 'black_start:0 black_end:0.8\nlavfi.freezedetect.freeze_start: 3.5\nlavfi.freezedetect.freeze_end: 4.958\n';
+        const result = createQc(PRESET, EXPECTED).evaluate(probe(139), stderr);
+        assert.strictEqual(result.passed, true);
+        assert.deepStrictEqual(qcFailures(result), []);
+        assert.deepStrictEqual(qcWarnings(result), ['Black from 0.00s to 0.80s of the chapter', 'Frozen picture from 3.50s to 4.96s of the chapter']);
+    });
+
+    it('fails on a dropout inside the chapter but not on quiet edges', () => {
+        const qc = createQc(PRESET, EXPECTED);
+        assert.strictEqual(qc.evaluate(probe(139), 'silence_start: 0\nsilence_end: 1.0\n').passed, true);
+        assert.deepStrictEqual(qcFailures(qc.evaluate(probe(139), 'silence_start: 2.0\nsilence_end: 2.5\n')), ['Audio drops out from 2.00s to 2.50s']);
+    });
+
+    it('warns when the analysis pass failed, failing only on the probe', () => {
+        const qc = createQc(PRESET, EXPECTED);
+        const result = qc.evaluate(probe(139), null);
+        assert.strictEqual(result.passed, true);
+        assert.deepStrictEqual(qcWarnings(result), ['Picture and sound could not be analysed']);
+        assert.deepStrictEqual(qcFailures(qc.evaluate(probe(141), null)), ['141 frames, expected 139 (119 + 2 x 10 hold)']);
+    });
+
+    it('is off with "qc": false', () => {
+        assert.strictEqual(createQc({ ...PRESET, qc: false }, EXPECTED), null);
+    });
+});